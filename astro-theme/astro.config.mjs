@@ -2,7 +2,8 @@
 import { defineConfig } from 'astro/config';
 import tailwindcss from '@tailwindcss/vite';
 import sitemap from '@astrojs/sitemap';
-import { readFileSync, existsSync } from 'node:fs';
+import { readFileSync, existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
 
 // ─── Conditional Keystatic CMS ──────────────────────────────────────
 // Enable with: KEYSTATIC=true npm run dev  (local editing only)
@@ -32,13 +33,32 @@ try {
   }
 } catch {}
 
+// ─── Sitemap exclusions ─────────────────────────────────────────────
+// Pages and posts marked noindex, non-searchable (MODX `searchable`) or
+// `sitemap: false` are built but left out of sitemap.xml.
+const sitemapExcluded = new Set();
+for (const dir of ['./src/content/pages', './src/content/posts']) {
+  if (!existsSync(dir)) continue;
+  for (const file of readdirSync(dir, { recursive: true })) {
+    if (!String(file).endsWith('.json')) continue;
+    try {
+      const page = JSON.parse(readFileSync(join(dir, String(file)), 'utf-8'));
+      if (page.noindex || page.searchable === false || page.sitemap === false) {
+        sitemapExcluded.add(`/${page.slug || ''}`.replace(/\/+$/, '') || '/');
+      }
+    } catch {}
+  }
+}
+
 // https://astro.build/config
 export default defineConfig({
   site: siteUrl,
   output: isKeystatic ? 'server' : 'static',
   adapter: isKeystatic ? node({ mode: 'standalone' }) : undefined,
   integrations: [
-    sitemap(),
+    sitemap({
+      filter: (page) => !sitemapExcluded.has(decodeURI(new URL(page).pathname).replace(/\/+$/, '') || '/'),
+    }),
     ...(isKeystatic && keystatic ? [keystatic()] : []),
   ],
   vite: {
@@ -132,6 +132,37 @@ const accordionFields = fields.object({
   ),
 });
 
+const faqFields = fields.object({
+  title: fields.text({ label: 'Title', defaultValue: '' }),
+  items: fields.array(
+    fields.object({
+      question: fields.text({ label: 'Question' }),
+      answer:   fields.text({ label: 'Answer (HTML)', multiline: true }),
+    }),
+    { label: 'Questions', itemLabel: (p) => p.fields.question.value || 'Question' },
+  ),
+});
+
+const personFields = fields.object({
+  author: fields.checkbox({ label: 'Authors of This Page', defaultValue: false }),
+  items: fields.array(
+    fields.object({
+      name:  fields.text({ label: 'Name' }),
+      role:  fields.text({ label: 'Role', defaultValue: '' }),
+      image: fields.text({ label: 'Photo Path', defaultValue: '' }),
+      bio:   fields.text({ label: 'Bio (HTML)', multiline: true, defaultValue: '' }),
+      links: fields.array(
+        fields.object({
+          label: fields.text({ label: 'Label' }),
+          url:   fields.text({ label: 'URL' }),
+        }),
+        { label: 'Profile Links', itemLabel: (p) => p.fields.label.value || 'Link' },
+      ),
+    }),
+    { label: 'People', itemLabel: (p) => p.fields.name.value || 'Person' },
+  ),
+});
+
 const buttonsFields = fields.object({
   items: fields.array(
     fields.object({
@@ -172,7 +203,68 @@ const fileFields = fields.object({
   title: fields.text({ label: 'Download Label', defaultValue: '' }),
 });
 
-const contactFormFields = fields.object({});
+const contactFormFields = fields.object({
+  title:          fields.text({ label: 'Title', defaultValue: '' }),
+  submitLabel:    fields.text({ label: 'Submit Button Label', defaultValue: '' }),
+  successMessage: fields.text({ label: 'Success Message', multiline: true, defaultValue: '' }),
+  errorMessage:   fields.text({ label: 'Error Message', multiline: true, defaultValue: '' }),
+  successUrl:     fields.text({ label: 'Redirect After Sending (URL)', defaultValue: '' }),
+  action:         fields.text({ label: 'Form Endpoint (URL)', defaultValue: '' }),
+  fields: fields.array(
+    fields.object({
+      name:        fields.text({ label: 'Field Name' }),
+      label:       fields.text({ label: 'Label', defaultValue: '' }),
+      type:        fields.select({
+        label: 'Type',
+        options: ['text', 'email', 'tel', 'url', 'number', 'date', 'time', 'datetime-local', 'textarea', 'select', 'checkbox', 'radio', 'file']
+          .map((value) => ({ label: value, value })),
+        defaultValue: 'text',
+      }),
+      required:     fields.checkbox({ label: 'Required', defaultValue: false }),
+      placeholder:  fields.text({ label: 'Placeholder', defaultValue: '' }),
+      options: fields.array(
+        fields.object({
+          value: fields.text({ label: 'Value' }),
+          label: fields.text({ label: 'Label' }),
+        }),
+        { label: 'Choices (select, radio, checkbox)', itemLabel: (p) => p.fields.label.value || p.fields.value.value || 'Choice' },
+      ),
+      errorMessage: fields.text({ label: 'Error Message', defaultValue: '' }),
+    }),
+    { label: 'Fields (empty = default contact form)', itemLabel: (p) => p.fields.label.value || p.fields.name.value || 'Field' },
+  ),
+});
+
+const listingFields = fields.object({
+  items: fields.array(
+    fields.object({
+      title:       fields.text({ label: 'Title' }),
+      href:        fields.text({ label: 'Link URL' }),
+      description: fields.text({ label: 'Teaser', multiline: true, defaultValue: '' }),
+      date:        fields.text({ label: 'Date (ISO)', defaultValue: '' }),
+      pubDate:     fields.text({ label: 'Listed From (ISO date)', defaultValue: '' }),
+      unpubDate:   fields.text({ label: 'Listed Until (ISO date)', defaultValue: '' }),
+    }),
+    { label: 'Listed Pages', itemLabel: (p) => p.fields.title.value || 'Page' },
+  ),
+});
+
+const postsFields = fields.object({
+  container: fields.text({ label: 'Blog Container (URL path of this page)' }),
+  pageSize:  fields.integer({ label: 'Posts per Page', defaultValue: 10 }),
+});
+
+const navFields = fields.object({
+  items: fields.array(
+    fields.object({
+      label:     fields.text({ label: 'Label' }),
+      href:      fields.text({ label: 'Link URL' }),
+      pubDate:   fields.text({ label: 'Shown From (ISO date)', defaultValue: '' }),
+      unpubDate: fields.text({ label: 'Shown Until (ISO date)', defaultValue: '' }),
+    }),
+    { label: 'Menu Items (sub-menus edited via migration script)', itemLabel: (p) => p.fields.label.value || 'Item' },
+  ),
+});
 
 // Block type selector shared between all block arrays
 const BLOCK_TYPES = [
@@ -185,12 +277,17 @@ const BLOCK_TYPES = [
   { label: 'Video',        value: 'video' },
   { label: 'YouTube',      value: 'youtube' },
   { label: 'Accordion',    value: 'accordion' },
+  { label: 'FAQ',          value: 'faq' },
+  { label: 'People',       value: 'person' },
   { label: 'Buttons',      value: 'buttons' },
   { label: 'Features',     value: 'features' },
   { label: 'Divider',      value: 'divider' },
   { label: 'HTML (raw)',   value: 'html' },
   { label: 'File Download', value: 'file' },
   { label: 'Contact Form', value: 'contact-form' },
+  { label: 'Page Listing', value: 'listing' },
+  { label: 'Blog Posts',   value: 'posts' },
+  { label: 'Menu',         value: 'nav' },
   { label: 'Section',      value: 'section' },
   { label: 'Grid',         value: 'grid' },
 ] as const;
@@ -207,17 +304,45 @@ const blockConditional = fields.conditional(
     video:          videoFields,
     youtube:        youtubeFields,
     accordion:      accordionFields,
+    faq:            faqFields,
+    person:         personFields,
     buttons:        buttonsFields,
     features:       featuresFields,
     divider:        dividerFields,
     html:           htmlFields,
     file:           fileFields,
     'contact-form': contactFormFields,
+    listing:        listingFields,
+    posts:          postsFields,
+    nav:            navFields,
     section:        sectionFields,
     grid:           sectionFields, // grid nesting edited via migration script; same meta fields
   },
 );
 
+// Per-page SEO settings shared by pages and posts
+const seoFields = {
+  metaTitle: fields.text({
+    label: 'SEO Title',
+    description: 'Browser/search title (empty = page title)',
+    defaultValue: '',
+  }),
+  keywords: fields.text({ label: 'Meta Keywords', defaultValue: '' }),
+  canonicalUrl: fields.text({
+    label: 'Canonical URL',
+    description: 'Path or absolute URL (empty = this page)',
+    defaultValue: '',
+  }),
+  noindex: fields.checkbox({ label: 'noindex', defaultValue: false }),
+  nofollow: fields.checkbox({ label: 'nofollow', defaultValue: false }),
+  searchable: fields.checkbox({
+    label: 'Searchable',
+    description: 'Unchecked pages are left out of the sitemap',
+    defaultValue: true,
+  }),
+  sitemap: fields.checkbox({ label: 'In Sitemap', defaultValue: true }),
+};
+
 // ─── Keystatic config ────────────────────────────────────────────────
 
 export default config({
@@ -338,6 +463,74 @@ export default config({
           label: 'Template ID',
           description: 'MODX template ID (for reference)',
         }),
+        pubDate: fields.text({
+          label: 'Publish From (ISO date)',
+          description: 'Left out of the site before this date (empty = always)',
+          defaultValue: '',
+        }),
+        unpubDate: fields.text({
+          label: 'Publish Until (ISO date)',
+          description: 'Left out of the site from this date on (empty = never)',
+          defaultValue: '',
+        }),
+        ...seoFields,
+        blocks: fields.array(
+          blockConditional,
+          {
+            label: 'Content Blocks',
+            itemLabel: (props) => props.discriminant || 'Block',
+          },
+        ),
+      },
+    }),
+
+    // ─── Posts ──────────────────────────────────────────────────────
+    posts: collection({
+      label: 'Posts',
+      path: 'src/content/posts/**',
+      format: { data: 'json' },
+      slugField: 'title',
+      schema: {
+        title: fields.text({
+          label: 'Post Title',
+          validation: { isRequired: true },
+        }),
+        description: fields.text({
+          label: 'Meta Description',
+          multiline: true,
+        }),
+        slug: fields.text({
+          label: 'URL Slug',
+          description: 'URL path for this post',
+        }),
+        container: fields.text({
+          label: 'Blog Container',
+          description: 'URL path of the blog page listing this post',
+        }),
+        publishedAt: fields.text({
+          label: 'Published (ISO date)',
+          defaultValue: '',
+        }),
+        pubDate: fields.text({
+          label: 'Publish From (ISO date)',
+          description: 'Left out of the site before this date (empty = always)',
+          defaultValue: '',
+        }),
+        unpubDate: fields.text({
+          label: 'Publish Until (ISO date)',
+          description: 'Left out of the site from this date on (empty = never)',
+          defaultValue: '',
+        }),
+        ...seoFields,
+        excerpt: fields.text({
+          label: 'Excerpt',
+          multiline: true,
+          defaultValue: '',
+        }),
+        tags: fields.array(
+          fields.text({ label: 'Tag' }),
+          { label: 'Tags', itemLabel: (props) => props.value || 'Tag' },
+        ),
         blocks: fields.array(
           blockConditional,
           {
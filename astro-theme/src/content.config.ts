@@ -4,6 +4,8 @@
  *
  * Collections:
  * - pages: Individual page data with structured ContentBlocks
+ * - posts: Blog posts — children of MODX Collections / Articles containers
+ * - files: Non-HTML resources (robots.txt, feeds, …) served with their MIME type
  * - siteConfig: Global site settings (singleton pattern)
  * - redirects: URL redirect rules
  */
@@ -110,6 +112,30 @@ const accordionBlockSchema = z.object({
   })).default([]),
 });
 
+// Questions as plain text, answers as HTML — also emitted as FAQPage structured data
+const faqBlockSchema = z.object({
+  type: z.literal('faq'),
+  title: z.string().optional(),
+  items: z.array(z.object({
+    question: z.string(),
+    answer: z.string(),
+  })).default([]),
+});
+
+// Expert / author profiles — also emitted as Person structured data;
+// `author` makes them the authors of the page (Article structured data)
+const personBlockSchema = z.object({
+  type: z.literal('person'),
+  author: z.boolean().optional().default(false),
+  items: z.array(z.object({
+    name: z.string(),
+    role: z.string().optional().default(''),
+    image: z.string().optional().default(''),
+    bio: z.string().optional().default(''),
+    links: z.array(z.object({ label: z.string(), url: z.string() })).optional().default([]),
+  })).default([]),
+});
+
 const buttonsBlockSchema = z.object({
   type: z.literal('buttons'),
   items: z.array(z.object({
@@ -126,8 +152,39 @@ const featuresBlockSchema = z.object({
   })).default([]),
 });
 
+// One field of a contact form — parsed from the FormIt form markup and its
+// &validate rules by the migration script
+const formFieldSchema = z.object({
+  name: z.string(),
+  label: z.string().optional().default(''),
+  type: z.enum(['text', 'email', 'tel', 'url', 'number', 'date', 'time', 'datetime-local', 'textarea', 'select', 'checkbox', 'radio', 'file']).default('text'),
+  required: z.boolean().optional(),
+  placeholder: z.string().optional(),
+  // select, radio and checkbox-list choices
+  options: z.array(z.object({ value: z.string(), label: z.string() })).optional(),
+  multiple: z.boolean().optional(),
+  accept: z.string().optional(),
+  min: z.string().optional(),
+  max: z.string().optional(),
+  minLength: z.number().optional(),
+  maxLength: z.number().optional(),
+  pattern: z.string().optional(),
+  // Shown instead of the browser's message when the field is invalid
+  errorMessage: z.string().optional(),
+});
+
 const contactFormBlockSchema = z.object({
   type: z.literal('contact-form'),
+  title: z.string().optional(),
+  submitLabel: z.string().optional(),
+  // Without fields the theme's default form (name, e-mail, phone, message) is shown
+  fields: z.array(formFieldSchema).optional(),
+  successMessage: z.string().optional(),
+  errorMessage: z.string().optional(),
+  // Page to go to after sending (FormIt &redirectTo)
+  successUrl: z.string().optional(),
+  // Endpoint the form posts to (Formspree, Web3Forms, …) — file fields are only shown with one
+  action: z.string().optional(),
 });
 
 const fileBlockSchema = z.object({
@@ -136,34 +193,44 @@ const fileBlockSchema = z.object({
   title: z.string().optional().default(''),
 });
 
-// Leaf block union — used inside grid cells (no containers allowed here)
-const leafBlockSchema = z.discriminatedUnion('type', [
-  heroBlockSchema,
-  textBlockSchema,
-  headingBlockSchema,
-  imageBlockSchema,
-  dividerBlockSchema,
-  galleryBlockSchema,
-  sliderBlockSchema,
-  videoBlockSchema,
-  youtubeBlockSchema,
-  htmlBlockSchema,
-  accordionBlockSchema,
-  buttonsBlockSchema,
-  featuresBlockSchema,
-  contactFormBlockSchema,
-  fileBlockSchema,
-]);
+// Listing of child pages — emulates pdoResources / getResources snippet calls
+const listingBlockSchema = z.object({
+  type: z.literal('listing'),
+  items: z.array(z.object({
+    title: z.string(),
+    href: z.string(),
+    description: z.string().optional().default(''),
+    date: z.string().optional().default(''),
+    // Publish window of the listed page — evaluated at build time like pages
+    pubDate: z.string().optional(),
+    unpubDate: z.string().optional(),
+  })).default([]),
+});
 
-// Grid: cells contain only leaf blocks (no grid-in-grid, no section-in-grid)
-const gridBlockSchema = z.object({
-  type: z.literal('grid'),
-  columns: z.union([z.string(), z.number()]).transform(String),
-  cells: z.array(z.array(leafBlockSchema)),
+// Paginated post listing of a blog container — added to the container's page
+const postsBlockSchema = z.object({
+  type: z.literal('posts'),
+  container: z.string(),
+  pageSize: z.number().optional().default(10),
+});
+
+// Menu tree — emulates Wayfinder / pdoMenu snippet calls
+type NavBlockItem = { label: string; href: string; pubDate?: string; unpubDate?: string; children?: NavBlockItem[] };
+const navBlockItemSchema: z.ZodType<NavBlockItem> = z.lazy(() => z.object({
+  label: z.string(),
+  href: z.string(),
+  pubDate: z.string().optional(),
+  unpubDate: z.string().optional(),
+  children: z.array(navBlockItemSchema).optional(),
+}));
+
+const navBlockSchema = z.object({
+  type: z.literal('nav'),
+  items: z.array(navBlockItemSchema).default([]),
 });
 
-// Section children can contain leaf blocks + grid (but not section-in-section)
-const sectionChildSchema = z.discriminatedUnion('type', [
+// Leaf block union — everything but grids, sections and page-level blocks
+const leafBlockSchema = z.discriminatedUnion('type', [
   heroBlockSchema,
   textBlockSchema,
   headingBlockSchema,
@@ -175,14 +242,29 @@ const sectionChildSchema = z.discriminatedUnion('type', [
   youtubeBlockSchema,
   htmlBlockSchema,
   accordionBlockSchema,
+  faqBlockSchema,
+  personBlockSchema,
   buttonsBlockSchema,
   featuresBlockSchema,
   contactFormBlockSchema,
   fileBlockSchema,
-  gridBlockSchema,
+  listingBlockSchema,
+  navBlockSchema,
 ]);
 
-const sectionBlockSchema = z.object({
+const gridFields = {
+  type: z.literal('grid'),
+  // Relative column widths ([80, 20]); older content has "70-30" strings or a column count
+  columns: z.union([z.array(z.number().positive()), z.string(), z.number()]).transform((value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'number') return Array<number>(value).fill(1);
+    return value.split(/[-|]/).map(Number).filter((width) => width > 0);
+  }),
+  // Breakpoint below which the cells stack (default md)
+  stackBelow: z.enum(['sm', 'md', 'lg', 'xl', 'none']).optional(),
+};
+
+const sectionFields = {
   type: z.literal('section'),
   marginTop: z.string().optional().default(''),
   marginBottom: z.string().optional().default(''),
@@ -190,8 +272,24 @@ const sectionBlockSchema = z.object({
   textAlign: z.string().optional().default(''),
   anchor: z.string().optional().default(''),
   fullWidth: z.boolean().optional().default(false),
-  children: z.array(sectionChildSchema).default([]),
-});
+};
+
+// Grid and section whose grid cells hold `cell` blocks; section children are
+// cell blocks or a grid of the same level
+function containerSchemas<T extends z.ZodTypeAny>(cell: T) {
+  const grid = z.object({ ...gridFields, cells: z.array(z.array(cell)) });
+  const section = z.object({ ...sectionFields, children: z.array(z.union([cell, grid])).default([]) });
+  return { grid, section };
+}
+
+// Nested ContentBlocks layouts put grids and sections into grid cells. The
+// nesting is bounded: two levels below the page's own sections, then leaf
+// blocks only (the migrator flattens anything deeper).
+const innermostContainers = containerSchemas(leafBlockSchema);
+const nestedContainers = containerSchemas(z.union([leafBlockSchema, innermostContainers.grid, innermostContainers.section]));
+const { grid: gridBlockSchema, section: sectionBlockSchema } = containerSchemas(
+  z.union([leafBlockSchema, nestedContainers.grid, nestedContainers.section]),
+);
 
 // Top-level block schema: strict discriminated union.
 // Unknown block types will throw a build error — intentional: fix the migrator, not the schema.
@@ -207,16 +305,32 @@ const blockSchema = z.discriminatedUnion('type', [
   youtubeBlockSchema,
   htmlBlockSchema,
   accordionBlockSchema,
+  faqBlockSchema,
+  personBlockSchema,
   buttonsBlockSchema,
   featuresBlockSchema,
   contactFormBlockSchema,
   fileBlockSchema,
+  listingBlockSchema,
+  navBlockSchema,
+  postsBlockSchema,
   gridBlockSchema,
   sectionBlockSchema,
 ]);
 
 // ─── Page Collection ────────────────────────────────────────────────
 
+// Per-page SEO settings shared by pages and posts
+const seoFields = {
+  metaTitle: z.string().optional(),
+  keywords: z.string().optional().default(''),
+  canonicalUrl: z.string().optional(),
+  noindex: z.boolean().optional().default(false),
+  nofollow: z.boolean().optional().default(false),
+  searchable: z.boolean().optional().default(true),
+  sitemap: z.boolean().optional().default(true),
+};
+
 const pages = defineCollection({
   loader: glob({
     pattern: '**/*.json',
@@ -229,6 +343,48 @@ const pages = defineCollection({
     isHomepage: z.boolean().optional().default(false),
     template: z.number().optional(),
     publishedAt: z.string().optional(),
+    // MODX pub_date / unpub_date — pages outside the window are left out of the build
+    pubDate: z.string().optional(),
+    unpubDate: z.string().optional(),
+    // SEO (SEO Suite / SEO Pro / SEOTab): <title> override, robots flags,
+    // canonical URL; non-searchable and sitemap: false pages stay out of the sitemap
+    ...seoFields,
+    // MODX template variables by name (raw values; image/file TVs as asset paths)
+    tvs: z.record(z.string(), z.string()).optional().default({}),
+    // Multilingual sites: language code and the URLs of this page in other languages
+    lang: z.string().optional(),
+    translations: z.record(z.string(), z.string()).optional().default({}),
+    blocks: z.array(blockSchema).default([]),
+  }),
+});
+
+// ─── Posts Collection ───────────────────────────────────────────────
+// One entry per child of a Collections / Articles container, rendered at its
+// MODX URL; `container` is the slug of the container page listing it.
+
+const posts = defineCollection({
+  loader: glob({
+    pattern: '**/*.json',
+    base: './src/content/posts',
+  }),
+  schema: z.object({
+    title: z.string().default(''),
+    description: z.string().optional().default(''),
+    slug: z.string(),
+    template: z.number().optional(),
+    published: z.boolean().optional().default(true),
+    publishedAt: z.string().optional(),
+    // MODX pub_date / unpub_date — pages outside the window are left out of the build
+    pubDate: z.string().optional(),
+    unpubDate: z.string().optional(),
+    ...seoFields,
+    excerpt: z.string().optional().default(''),
+    tags: z.array(z.string()).optional().default([]),
+    container: z.string(),
+    order: z.number().optional().default(0),
+    tvs: z.record(z.string(), z.string()).optional().default({}),
+    lang: z.string().optional(),
+    translations: z.record(z.string(), z.string()).optional().default({}),
     blocks: z.array(blockSchema).default([]),
   }),
 });
@@ -238,9 +394,13 @@ const pages = defineCollection({
 const navItemSchema = z.object({
   label: z.string(),
   href: z.string(),
+  pubDate: z.string().optional(),
+  unpubDate: z.string().optional(),
   children: z.array(z.object({
     label: z.string(),
     href: z.string(),
+    pubDate: z.string().optional(),
+    unpubDate: z.string().optional(),
   })).optional(),
 });
 
@@ -279,6 +439,13 @@ const siteConfig = defineCollection({
     favicon: z.string().optional().default(''),
     socialLinks: z.array(socialLinkSchema).optional().default([]),
     navigation: z.array(navItemSchema).optional().default([]),
+    // Multilingual sites (one MODX context per language); `navigation` is the default language's
+    languages: z.array(z.object({
+      code: z.string(),
+      href: z.string(),
+      default: z.boolean().optional().default(false),
+    })).optional().default([]),
+    navigationByLanguage: z.record(z.string(), z.array(navItemSchema)).optional().default({}),
     theme: themeSchema.optional().default({}),
     showContactSection: z.boolean().optional().default(false),
     showCompanyName: z.boolean().optional().default(true),
@@ -305,6 +472,22 @@ const redirects = defineCollection({
   }),
 });
 
+// ─── Files ──────────────────────────────────────────────────────────
+// Non-HTML MODX resources, served as-is by src/pages/[...file].ts
+
+const files = defineCollection({
+  loader: glob({
+    pattern: '**/*.json',
+    base: './src/content/files',
+  }),
+  schema: z.object({
+    title: z.string().optional().default(''),
+    path: z.string(),
+    contentType: z.string(),
+    body: z.string().default(''),
+  }),
+});
+
 // ─── Export ─────────────────────────────────────────────────────────
 
-export const collections = { pages, siteConfig, redirects };
+export const collections = { pages, posts, files, siteConfig, redirects };
@@ -0,0 +1,48 @@
+/**
+ * RSS 2.0 feed of a blog container's latest posts, generated at build time.
+ */
+import type { APIRoute } from 'astro';
+import { getBlogs, getPosts, feedHref, pageHref, FEED_SIZE } from '../../utils/posts';
+
+export async function getStaticPaths() {
+  return (await getBlogs()).map((blog) => ({
+    params: { blog: blog.container || undefined },
+    props: { blog },
+  }));
+}
+
+const escapeXml = (value: string) =>
+  value.replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c] as string);
+
+export const GET: APIRoute = async ({ props, site }) => {
+  const { blog } = props as { blog: Awaited<ReturnType<typeof getBlogs>>[number] };
+  const posts = (await getPosts(blog.container)).slice(0, FEED_SIZE);
+  const url = (path: string) => new URL(path, site).href;
+
+  const items = posts.map((post) => [
+    '    <item>',
+    `      <title>${escapeXml(post.data.title)}</title>`,
+    `      <link>${url(`/${post.data.slug}`)}</link>`,
+    `      <guid isPermaLink="true">${url(`/${post.data.slug}`)}</guid>`,
+    post.data.publishedAt ? `      <pubDate>${new Date(post.data.publishedAt).toUTCString()}</pubDate>` : '',
+    `      <description>${escapeXml(post.data.excerpt || post.data.description || '')}</description>`,
+    ...(post.data.tags || []).map((tag: string) => `      <category>${escapeXml(tag)}</category>`),
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(blog.page.title)}</title>`,
+    `    <link>${url(pageHref(blog.container))}</link>`,
+    `    <description>${escapeXml(blog.page.description || blog.page.title)}</description>`,
+    blog.page.lang ? `    <language>${escapeXml(blog.page.lang)}</language>` : '',
+    `    <atom:link href="${url(feedHref(blog.container))}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+  ].filter(Boolean).join('\n');
+
+  return new Response(body, { headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' } });
+};
@@ -0,0 +1,25 @@
+/**
+ * Non-HTML MODX resources (robots.txt, XML/RSS feeds, text/plain …) from the
+ * `files` collection, written at their MODX URL and served with their MIME type.
+ */
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+
+export async function getStaticPaths() {
+  let files: any[] = [];
+  try {
+    files = await getCollection('files');
+  } catch {
+    files = [];
+  }
+  return files.map((entry) => ({
+    params: { file: entry.data.path },
+    props: { contentType: entry.data.contentType, body: entry.data.body },
+  }));
+}
+
+export const GET: APIRoute = ({ props }) => {
+  const { contentType, body } = props as { contentType: string; body: string };
+  const type = contentType.startsWith('text/') || /[+/](xml|json)$/.test(contentType) ? `${contentType}; charset=utf-8` : contentType;
+  return new Response(body, { headers: { 'Content-Type': type } });
+};
@@ -0,0 +1,23 @@
+/**
+ * Page language — multilingual sites carry `lang` on their pages and
+ * `languages` (with one `default`) in the site config.
+ */
+
+/** Language of a page: its own, else the site's default language, else German. */
+export function pageLanguage(lang: string | undefined, siteConfig: any = {}): string {
+  const languages: Array<{ code: string; default?: boolean }> = siteConfig.languages || [];
+  return lang || languages.find((l) => l.default)?.code || 'de';
+}
+
+/** Numeric date (24.12.2024, 12/24/2024, …) as written in `lang`; '' for invalid dates. */
+export function formatDate(iso: string, lang: string): string {
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  const options: Intl.DateTimeFormatOptions = { day: '2-digit', month: '2-digit', year: 'numeric' };
+  try {
+    return date.toLocaleDateString(lang, options);
+  } catch {
+    // Context keys that are no valid language tag
+    return date.toLocaleDateString('de-CH', options);
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Blog helpers — posts migrated from MODX Collections / Articles containers.
+ *
+ * A container page carries a `posts` block naming its container (the page's
+ * slug); its posts live in the `posts` collection with the same `container`.
+ * Listing pages, tag archives and the feed are all built from these helpers.
+ */
+import { getCollection } from 'astro:content';
+import { isLive } from './publishing';
+
+/** Items per RSS feed */
+export const FEED_SIZE = 20;
+
+/** Published posts of a container within their publish window, newest first, then in MODX menu order. */
+export async function getPosts(container: string) {
+  let posts: any[] = [];
+  try {
+    posts = await getCollection('posts');
+  } catch {
+    posts = [];
+  }
+  return posts
+    // Scheduled posts are unpublished in MODX until their pubDate
+    .filter((p) => p.data.container === container && (p.data.published !== false || p.data.pubDate) && isLive(p.data))
+    .sort((a, b) => (b.data.publishedAt || '').localeCompare(a.data.publishedAt || '') || a.data.order - b.data.order);
+}
+
+/** Every container page with the settings of its `posts` block. */
+export async function getBlogs() {
+  const pages = await getCollection('pages');
+  return pages.filter((entry) => isLive(entry.data)).flatMap((entry) => {
+    const block: any = entry.data.blocks.find((b) => b.type === 'posts');
+    return block ? [{ container: block.container as string, pageSize: block.pageSize as number, page: entry.data }] : [];
+  });
+}
+
+/** URL-safe form of a tag: "Größe & Preis" → "grosse-preis". */
+export function tagSlug(tag: string): string {
+  const slug = tag
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || encodeURIComponent(tag);
+}
+
+/** Unique tags of a list of posts, in order of first use. */
+export function collectTags(posts: any[]): string[] {
+  return [...new Set(posts.flatMap((p) => p.data.tags || []))] as string[];
+}
+
+const blogPath = (container: string, path = '') => '/' + [container, path].filter(Boolean).join('/');
+
+/** Listing page `n` of a container — page 1 is the container page itself. */
+export const pageHref = (container: string, n = 1) => (n <= 1 ? blogPath(container) : blogPath(container, `page/${n}`));
+export const tagHref = (container: string, tag: string) => blogPath(container, `tag/${tagSlug(tag)}`);
+export const feedHref = (container: string) => blogPath(container, 'rss.xml');
@@ -0,0 +1,27 @@
+/**
+ * Publish windows — MODX pub_date / unpub_date, carried into pages, posts
+ * and menu items as `pubDate` / `unpubDate` (ISO strings).
+ *
+ * Evaluated at build time: a scheduled page appears with the first build
+ * after its `pubDate` and disappears with the first build after its
+ * `unpubDate`. `node cli/migrate.js` lists the upcoming dates.
+ */
+
+interface PublishWindow {
+  pubDate?: string;
+  unpubDate?: string;
+}
+
+/** Whether `now` lies within the window — open ends always match. */
+export function isLive({ pubDate, unpubDate }: PublishWindow, now = new Date()): boolean {
+  if (pubDate && new Date(pubDate) > now) return false;
+  if (unpubDate && new Date(unpubDate) <= now) return false;
+  return true;
+}
+
+/** Menu items (and sub-menu items) whose window is open. */
+export function liveNavigation<T extends PublishWindow & { children?: PublishWindow[] }>(items: T[], now = new Date()): T[] {
+  return items
+    .filter((item) => isLive(item, now))
+    .map((item) => (item.children ? { ...item, children: item.children.filter((child) => isLive(child, now)) } : item));
+}
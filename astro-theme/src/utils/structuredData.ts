@@ -0,0 +1,74 @@
+/**
+ * Structured data (schema.org JSON-LD) derived from a page's content blocks,
+ * rendered into <head> by BaseLayout.
+ */
+
+interface Block {
+  type: string;
+  [key: string]: any;
+}
+
+/** All blocks of `type`, depth-first — sections and grid cells included. */
+export function findBlocks(blocks: Block[], type: string): Block[] {
+  return blocks.flatMap((block) => [
+    ...(block.type === type ? [block] : []),
+    ...findBlocks([...(block.children || []), ...(block.cells || []).flat()], type),
+  ]);
+}
+
+/** FAQPage of every FAQ block on the page, or null when there is none. */
+export function faqPage(blocks: Block[]): Record<string, unknown> | null {
+  const items = findBlocks(blocks, 'faq').flatMap((block) => block.items || []);
+  if (items.length === 0) return null;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: items.map((item: { question: string; answer: string }) => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: { '@type': 'Answer', text: item.answer },
+    })),
+  };
+}
+
+interface Person {
+  name: string;
+  role?: string;
+  image?: string;
+  bio?: string;
+  links?: Array<{ url: string }>;
+}
+
+function personData(person: Person, site?: URL): Record<string, unknown> {
+  const bio = (person.bio || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return {
+    '@type': 'Person',
+    name: person.name,
+    jobTitle: person.role || undefined,
+    image: person.image ? (site ? new URL(person.image, site).href : person.image) : undefined,
+    description: bio || undefined,
+    sameAs: person.links?.length ? person.links.map((link) => link.url) : undefined,
+  };
+}
+
+/**
+ * Person objects of the page's person blocks. People of blocks marked
+ * `author` are emitted as the authors of an Article about the page instead.
+ */
+export function peopleData(blocks: Block[], page: { title: string; url: string }, site?: URL): Array<Record<string, unknown>> {
+  const personBlocks = findBlocks(blocks, 'person');
+  const authors = personBlocks.filter((block) => block.author).flatMap((block) => block.items || []);
+  const others = personBlocks.filter((block) => !block.author).flatMap((block) => block.items || []);
+  return [
+    ...(authors.length > 0
+      ? [{
+          '@context': 'https://schema.org',
+          '@type': 'Article',
+          headline: page.title,
+          url: page.url,
+          author: authors.map((person: Person) => personData(person, site)),
+        }]
+      : []),
+    ...others.map((person: Person) => ({ '@context': 'https://schema.org', ...personData(person, site) })),
+  ];
+}
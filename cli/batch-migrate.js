@@ -14,11 +14,13 @@
  * Directory structure expected:
  *   sites/
  *     site-name-1/
- *       dump.sql       (or *.sql)
+ *       dump.sql       (or *.sql, *.sql.gz, *.sql.zst)
  *       assets/        (MODX assets directory)
  *     site-name-2/
  *       dump.sql
  *       assets/
+ *       mapping.json    (optional — layout/field mapping, see migrate.js --mapping)
+ *       migrate.config.json (optional — plugins, see migrate.js --config)
  *     ...
  * 
  * Usage:
@@ -26,14 +28,17 @@
  *   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output --build --parallel 4
  *   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output --build --deploy-host user@host --deploy-base ~/www
  *   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output --only site1,site2
+ *   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output --split-contexts --only brands/shop
  *   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output --dry-run
  * 
  * Options:
  *   --sites         Directory containing site folders (required)
  *   --theme         Path to the Astro theme template (required)
  *   --output        Output directory for built sites (required)
- *   --only          Comma-separated list of site names to process (optional)
+ *   --only          Comma-separated list of site names to process (optional);
+ *                   with --split-contexts also site/context or a bare context key
  *   --skip          Comma-separated list of site names to skip (optional)
+ *   --split-contexts  Migrate, build and deploy every MODX context as a site of its own
  *   --build         Also run astro build for each site (default: false)
  *   --deploy-host   SSH host for rsync deploy (optional, e.g., user@server)
  *   --deploy-base   Remote base path (optional, e.g., ~/www)
@@ -47,6 +52,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
+const { Worker } = require('worker_threads');
+const { migrate } = require('./migrate');
 
 // ─── CLI Arguments ─────────────────────────────────────────────────
 
@@ -81,8 +88,11 @@ Options:
   --sites         Directory containing site folders with SQL + assets (required)
   --theme         Path to the Astro theme template (required)
   --output        Output directory for built sites (required)
-  --only          Comma-separated list of site names to process
+  --only          Comma-separated list of site names to process; with
+                  --split-contexts also site/context or a bare context key
   --skip          Comma-separated list of site names to skip
+  --split-contexts  One site per MODX context (output/<site>/<context>/,
+                  deployed to <deploy-base>/<site>-<context>)
   --build         Also build each site with Astro (default: false)
   --deploy-host   SSH host for rsync deploy (e.g., user@server)
   --deploy-base   Remote base path (e.g., ~/www)
@@ -103,6 +113,10 @@ Examples:
   # Process specific sites
   node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output \\
     --only azotea,kp-services --build
+
+  # Only the "shop" context of a multi-brand install
+  node batch-migrate.js --sites ./sites --theme ../astro-theme --output ./output \\
+    --split-contexts --only brands/shop --build
 `);
   process.exit(0);
 }
@@ -119,6 +133,7 @@ const DOMAIN_SUFFIX = args['domain-suffix'] || '';
 const PARALLEL = Math.min(Math.max(parseInt(args.parallel) || 1, 1), 10);
 const VERBOSE = !!args.verbose;
 const DRY_RUN = !!args['dry-run'];
+const SPLIT_CONTEXTS = !!args['split-contexts'];
 
 if (!SITES_DIR || !THEME_DIR || !OUTPUT_DIR) {
   console.error('Error: --sites, --theme, and --output are required. Use --help.');
@@ -162,6 +177,21 @@ function formatDuration(ms) {
 
 // ─── Site Discovery ────────────────────────────────────────────────
 
+/**
+ * Contexts of `siteName` selected by --only in --split-contexts mode: entries
+ * written as site/context, plus bare entries that are not site folders (those
+ * apply to every site). Null when --only selects none.
+ */
+function onlyContexts(siteName) {
+  if (!ONLY || !SPLIT_CONTEXTS) return null;
+  const folders = fs.readdirSync(SITES_DIR);
+  const contexts = ONLY
+    .map(entry => entry.split('/'))
+    .filter(([name, context]) => context ? name === siteName : !folders.includes(name))
+    .map(([name, context]) => context || name);
+  return contexts.length > 0 ? contexts : null;
+}
+
 function discoverSites(sitesDir) {
   const sites = [];
   const entries = fs.readdirSync(sitesDir, { withFileTypes: true });
@@ -170,15 +200,16 @@ function discoverSites(sitesDir) {
     if (!entry.isDirectory()) continue;
     const siteName = entry.name;
     
-    if (ONLY && !ONLY.includes(siteName)) continue;
+    const contexts = onlyContexts(siteName);
+    if (ONLY && !ONLY.includes(siteName) && !contexts) continue;
     if (SKIP.includes(siteName)) continue;
     
     const siteDir = path.join(sitesDir, siteName);
     
-    // Find SQL file
-    const sqlFiles = fs.readdirSync(siteDir).filter(f => f.endsWith('.sql'));
+    // Find SQL dump (plain or compressed — migrate.js streams all three)
+    const sqlFiles = fs.readdirSync(siteDir).filter(f => /\.sql(\.gz|\.zst)?$/.test(f));
     if (sqlFiles.length === 0) {
-      log.warn(`Skipping ${siteName}: no .sql file found`);
+      log.warn(`Skipping ${siteName}: no .sql / .sql.gz / .sql.zst file found`);
       continue;
     }
     
@@ -189,11 +220,22 @@ function discoverSites(sitesDir) {
       continue;
     }
     
+    // Optional per-site layout/field mapping
+    const mappingFile = ['mapping.json', 'mapping.js'].find(f => fs.existsSync(path.join(siteDir, f)));
+    // Optional per-site migrate.js config (plugins)
+    const configFile = ['migrate.config.json', 'migrate.config.js'].find(f => fs.existsSync(path.join(siteDir, f)));
+    
     sites.push({
       name: siteName,
       sqlPath: path.join(siteDir, sqlFiles[0]),
       assetsPath: assetsDir,
+      mappingPath: mappingFile ? path.join(siteDir, mappingFile) : '',
+      configPath: configFile ? path.join(siteDir, configFile) : '',
       domain: DOMAIN_SUFFIX ? `${siteName}${DOMAIN_SUFFIX}` : '',
+      // --split-contexts: contexts picked by --only (empty = all); bare context
+      // keys apply to every site, so sites without them are skipped, not failed
+      contexts: ONLY && ONLY.includes(siteName) ? [] : contexts || [],
+      contextsByKey: !!contexts && !ONLY.some(entry => entry.startsWith(`${siteName}/`)),
     });
   }
   
@@ -214,121 +256,220 @@ async function processSite(site, index, total) {
   }
   
   const siteOutputDir = path.join(OUTPUT_DIR, site.name);
+  if (SPLIT_CONTEXTS) return processContexts(site, siteOutputDir);
   const contentDir = path.join(siteOutputDir, 'src', 'content');
   
   // ── Step 1: Run migration ──
   const migrateStart = Date.now();
   log.info('Migrating...');
   try {
-    const siteFlag = site.domain ? ` --site https://${site.domain}` : '';
-    const migrateCmd = `node ${path.join(__dirname, 'migrate.js')} --sql "${site.sqlPath}" --assets "${site.assetsPath}" --out "${contentDir}"${siteFlag}${VERBOSE ? ' --verbose' : ''}`;
-    const result = execSync(migrateCmd, { encoding: 'utf-8', maxBuffer: 50 * 1024 * 1024 });
+    const result = await runMigration({
+      sql: site.sqlPath,
+      assets: site.assetsPath,
+      out: contentDir,
+      site: site.domain ? `https://${site.domain}` : '',
+      mapping: site.mappingPath || undefined,
+      config: site.configPath || undefined,
+      verbose: VERBOSE,
+      quiet: !VERBOSE,
+    });
     
-    const pagesMatch = result.match(/Pages generated: (\d+)/);
-    const pages = pagesMatch ? pagesMatch[1] : '?';
     timings.migrate = Date.now() - migrateStart;
-    log.info(`Migration: ${pages} pages`);
+    log.info(`Migration: ${result.pages.length} pages, ${result.redirects.length} redirects, ${result.edgeCases.length} edge cases`);
     log.timing('Migrate', timings.migrate);
   } catch (err) {
     log.error(`Migration failed: ${err.message}`);
     return { name: site.name, status: 'error', step: 'migrate', duration: Date.now() - totalStart, timings };
   }
   
-  // ── Step 2: Prepare build directory ──
-  if (DO_BUILD || DEPLOY_HOST) {
-    const prepStart = Date.now();
-    log.info('Preparing build...');
-    const buildDir = path.join(siteOutputDir, 'build');
-    
-    // Copy theme files (skip node_modules, dist, .astro, .env)
-    await fs.ensureDir(buildDir);
-    const themeFiles = fs.readdirSync(THEME_DIR).filter(f => 
-      !['node_modules', 'dist', '.astro', '.env'].includes(f)
-    );
-    for (const file of themeFiles) {
-      await fs.copy(path.join(THEME_DIR, file), path.join(buildDir, file), { overwrite: true });
+  const failedStep = await buildAndDeploy(siteOutputDir, site.domain, `${DEPLOY_BASE}/${site.name}`, timings);
+  if (failedStep) {
+    return { name: site.name, status: 'error', step: failedStep, duration: Date.now() - totalStart, timings };
+  }
+  
+  const duration = Date.now() - totalStart;
+  log.info(`Done in ${formatDuration(duration)}`);
+  return { name: site.name, status: 'success', duration, timings };
+}
+
+/**
+ * --split-contexts: migrate every context of one install into
+ * <output>/<site>/<context>/, then build and deploy each as a site of its own.
+ * Returns one result per context (a single error result if migration fails).
+ */
+async function processContexts(site, siteOutputDir) {
+  const totalStart = Date.now();
+  const migrateStart = Date.now();
+  log.info(`Migrating contexts${site.contexts.length > 0 ? ` (${site.contexts.join(', ')})` : ''}...`);
+  let result;
+  try {
+    result = await runMigration({
+      sql: site.sqlPath,
+      assets: site.assetsPath,
+      // Each context's canonical URL comes from its own site_url setting
+      out: siteOutputDir,
+      mapping: site.mappingPath || undefined,
+      config: site.configPath || undefined,
+      splitContexts: true,
+      only: site.contexts,
+      verbose: VERBOSE,
+      quiet: !VERBOSE,
+    });
+  } catch (err) {
+    if (site.contextsByKey && /^no contexts to migrate/.test(err.message)) {
+      log.info(`Skipped: ${err.message}`);
+      return [];
     }
+    log.error(`Migration failed: ${err.message}`);
+    return { name: site.name, status: 'error', step: 'migrate', duration: Date.now() - totalStart, timings: {} };
+  }
+  const migrateTime = Date.now() - migrateStart;
+  log.timing('Migrate', migrateTime);
+  
+  const results = [];
+  for (const contextSite of result.sites) {
+    const start = Date.now();
+    const name = `${site.name}/${contextSite.context}`;
+    const timings = { migrate: migrateTime };
+    log.info(`${name}: ${contextSite.pages.length} pages, ${contextSite.redirects.length} redirects, ${contextSite.edgeCases.length} edge cases`);
     
-    // Symlink node_modules (saves ~200MB per site)
-    const nmLink = path.join(buildDir, 'node_modules');
-    const nmTarget = path.resolve(THEME_DIR, 'node_modules');
-    if (fs.existsSync(nmLink)) await fs.remove(nmLink);
-    await fs.symlink(nmTarget, nmLink);
-    
-    // Replace content
-    const buildContentDir = path.join(buildDir, 'src', 'content');
-    if (fs.existsSync(buildContentDir)) await fs.remove(buildContentDir);
-    await fs.copy(contentDir, buildContentDir);
-    
-    // Copy assets from migration output to build/public/assets
-    const migratedPublic = path.join(siteOutputDir, 'public', 'assets');
-    if (fs.existsSync(migratedPublic)) {
-      const publicAssetsDir = path.join(buildDir, 'public', 'assets');
-      await fs.copy(migratedPublic, publicAssetsDir, { overwrite: true });
+    // The context's own site_url, else <site>-<context><domain-suffix>
+    let domain = DOMAIN_SUFFIX ? `${site.name}-${contextSite.context}${DOMAIN_SUFFIX}` : '';
+    try {
+      if (contextSite.siteConfig.siteUrl) domain = new URL(contextSite.siteConfig.siteUrl).host;
+    } catch {
+      log.warn(`${name}: invalid site_url "${contextSite.siteConfig.siteUrl}"`);
     }
+    const failedStep = await buildAndDeploy(
+      path.join(siteOutputDir, contextSite.context),
+      domain,
+      `${DEPLOY_BASE}/${site.name}-${contextSite.context}`,
+      timings
+    );
+    const duration = migrateTime + Date.now() - start;
+    results.push(failedStep
+      ? { name, status: 'error', step: failedStep, duration, timings }
+      : { name, status: 'success', duration, timings });
+  }
+  
+  log.info(`Done in ${formatDuration(Date.now() - totalStart)}`);
+  return results;
+}
+
+/**
+ * Steps 2–4 for one migrated site in `siteOutputDir` (src/content + public/assets):
+ * prepare a build folder from the theme, run astro build, rsync to `remotePath`.
+ * Fills `timings`; returns the name of the failed step, or null.
+ */
+async function buildAndDeploy(siteOutputDir, domain, remotePath, timings) {
+  if (!DO_BUILD && !DEPLOY_HOST) return null;
+  const contentDir = path.join(siteOutputDir, 'src', 'content');
+  
+  // ── Step 2: Prepare build directory ──
+  const prepStart = Date.now();
+  log.info('Preparing build...');
+  const buildDir = path.join(siteOutputDir, 'build');
+  
+  // Copy theme files (skip node_modules, dist, .astro, .env)
+  await fs.ensureDir(buildDir);
+  const themeFiles = fs.readdirSync(THEME_DIR).filter(f => 
+    !['node_modules', 'dist', '.astro', '.env'].includes(f)
+  );
+  for (const file of themeFiles) {
+    await fs.copy(path.join(THEME_DIR, file), path.join(buildDir, file), { overwrite: true });
+  }
+  
+  // Symlink node_modules (saves ~200MB per site)
+  const nmLink = path.join(buildDir, 'node_modules');
+  const nmTarget = path.resolve(THEME_DIR, 'node_modules');
+  if (fs.existsSync(nmLink)) await fs.remove(nmLink);
+  await fs.symlink(nmTarget, nmLink);
+  
+  // Replace content
+  const buildContentDir = path.join(buildDir, 'src', 'content');
+  if (fs.existsSync(buildContentDir)) await fs.remove(buildContentDir);
+  await fs.copy(contentDir, buildContentDir);
+  
+  // Copy assets from migration output to build/public/assets
+  const migratedPublic = path.join(siteOutputDir, 'public', 'assets');
+  if (fs.existsSync(migratedPublic)) {
+    const publicAssetsDir = path.join(buildDir, 'public', 'assets');
+    await fs.copy(migratedPublic, publicAssetsDir, { overwrite: true });
+  }
+  
+  timings.prepare = Date.now() - prepStart;
+  log.timing('Prepare', timings.prepare);
+  
+  // ── Step 3: Build ──
+  const buildStart = Date.now();
+  log.info('Building Astro site...');
+  try {
+    const buildEnv = { ...process.env };
+    if (domain) buildEnv.SITE_URL = `https://${domain}`;
     
-    timings.prepare = Date.now() - prepStart;
-    log.timing('Prepare', timings.prepare);
+    execSync('npx astro build', { 
+      cwd: buildDir, 
+      encoding: 'utf-8', 
+      maxBuffer: 50 * 1024 * 1024,
+      env: buildEnv,
+    });
     
-    // ── Step 3: Build ──
-    const buildStart = Date.now();
-    log.info('Building Astro site...');
+    const distDir = path.join(buildDir, 'dist');
+    const pageCount = countHtmlFiles(distDir);
+    timings.build = Date.now() - buildStart;
+    log.info(`Build: ${pageCount} HTML pages`);
+    log.timing('Build', timings.build);
+  } catch (err) {
+    log.error(`Build failed: ${(err.stderr || err.message).slice(0, 500)}`);
+    return 'build';
+  }
+  
+  // ── Step 4: Deploy ──
+  if (DEPLOY_HOST && DEPLOY_BASE) {
+    const deployStart = Date.now();
+    log.info(`Deploying to ${DEPLOY_HOST}:${remotePath}...`);
     try {
-      const buildEnv = { ...process.env };
-      if (site.domain) buildEnv.SITE_URL = `https://${site.domain}`;
-      
-      execSync('npx astro build', { 
-        cwd: buildDir, 
-        encoding: 'utf-8', 
-        maxBuffer: 50 * 1024 * 1024,
-        env: buildEnv,
-      });
-      
       const distDir = path.join(buildDir, 'dist');
-      const pageCount = countHtmlFiles(distDir);
-      timings.build = Date.now() - buildStart;
-      log.info(`Build: ${pageCount} HTML pages`);
-      log.timing('Build', timings.build);
+      const deployCmd = [
+        'rsync -az --delete --inplace --compress-level=9',
+        "--exclude='.well-known'",
+        "--exclude='cgi-bin'",
+        // Only the server's own root .htaccess — the protected area's (intern/.htaccess) must deploy
+        "--exclude='/.htaccess'",
+        "--exclude='.user.ini'",
+        `"${distDir}/"`,
+        `${DEPLOY_HOST}:"${remotePath}/"`,
+      ].join(' ');
+      
+      execSync(deployCmd, { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 });
+      timings.deploy = Date.now() - deployStart;
+      log.info('Deploy complete');
+      log.timing('Deploy', timings.deploy);
     } catch (err) {
-      log.error(`Build failed: ${(err.stderr || err.message).slice(0, 500)}`);
-      return { name: site.name, status: 'error', step: 'build', duration: Date.now() - totalStart, timings };
-    }
-    
-    // ── Step 4: Deploy ──
-    if (DEPLOY_HOST && DEPLOY_BASE) {
-      const deployStart = Date.now();
-      const remotePath = `${DEPLOY_BASE}/${site.name}`;
-      log.info(`Deploying to ${DEPLOY_HOST}:${remotePath}...`);
-      try {
-        const distDir = path.join(buildDir, 'dist');
-        const deployCmd = [
-          'rsync -az --delete --inplace --compress-level=9',
-          "--exclude='.well-known'",
-          "--exclude='cgi-bin'",
-          "--exclude='.htaccess'",
-          "--exclude='.user.ini'",
-          `"${distDir}/"`,
-          `${DEPLOY_HOST}:"${remotePath}/"`,
-        ].join(' ');
-        
-        execSync(deployCmd, { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 });
-        timings.deploy = Date.now() - deployStart;
-        log.info('Deploy complete');
-        log.timing('Deploy', timings.deploy);
-      } catch (err) {
-        log.error(`Deploy failed: ${err.message}`);
-        return { name: site.name, status: 'error', step: 'deploy', duration: Date.now() - totalStart, timings };
-      }
+      log.error(`Deploy failed: ${err.message}`);
+      return 'deploy';
     }
   }
   
-  const duration = Date.now() - totalStart;
-  log.info(`Done in ${formatDuration(duration)}`);
-  return { name: site.name, status: 'success', duration, timings };
+  return null;
 }
 
 // ─── Parallel Execution (Worker Pool) ──────────────────────────────
 
+/**
+ * migrate(), in a worker thread of its own with --parallel: the runs of
+ * one migrate.js instance are queued, so parallel sites each need a thread.
+ */
+function runMigration(options) {
+  if (PARALLEL === 1) return migrate(options);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'migrate-worker.js'), { workerData: options });
+    worker.once('message', msg => (msg.error ? reject(new Error(msg.error)) : resolve(msg.result)));
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`Migration worker exited with code ${code}`)));
+  });
+}
+
 async function runParallel(sites, workers) {
   const results = new Array(sites.length);
   let nextIndex = 0;
@@ -388,7 +529,7 @@ async function main() {
   
   if (DRY_RUN) {
     log.info('DRY RUN — no changes will be made');
-    sites.forEach((s, i) => log.info(`  ${i + 1}. ${s.name} (${s.sqlPath})`));
+    sites.forEach((s, i) => log.info(`  ${i + 1}. ${s.name} (${s.sqlPath})${SPLIT_CONTEXTS ? ` — contexts: ${s.contexts.join(', ') || 'all'}` : ''}`));
     process.exit(0);
   }
   
@@ -403,6 +544,8 @@ async function main() {
       results.push(await processSite(sites[i], i, sites.length));
     }
   }
+  // --split-contexts yields one result per context
+  results = results.flat();
   
   // ── Summary ──
   const totalTime = Date.now() - startTime;
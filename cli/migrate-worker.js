@@ -0,0 +1,16 @@
+/**
+ * Worker thread of `batch-migrate.js --parallel`: runs one migrate() with
+ * the options in workerData and posts back its result (or error message).
+ *
+ * migrate() keeps the state of a run in module scope and queues the runs of
+ * one module instance — every thread loads a module instance of its own,
+ * so runs in separate threads go side by side.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { migrate } = require('./migrate');
+
+migrate(workerData).then(
+  result => parentPort.postMessage({ result }),
+  err => parentPort.postMessage({ error: err.message }),
+);
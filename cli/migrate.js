@@ -14,78 +14,387 @@
  * 
  * Usage:
  *   node migrate.js --sql ./dump.sql --assets ./assets --out ../astro-theme/src/content
+ *
+ * Node API:
+ *   const { migrate } = require('./migrate');
+ *   const result = await migrate({ sql: './dump.sql', assets: './assets', out: './src/content' });
  */
 
 const fs = require('fs-extra');
 const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { generatePassword, htpasswdHash } = require('../scripts/setup-admin');
+
+// ─── Settings ───────────────────────────────────────────────────────
+
+// Options of the running migration — set by migrate() (see resolveSettings)
+const settings = {
+  sql: '',
+  assets: '',
+  out: '',
+  site: '',
+  verbose: false,
+  quiet: false,
+  // null = auto-detect from the dump; '' = no prefix
+  tablePrefix: null,
+  tvMap: [],
+  // One site per context, written to <out>/<context>/src/content
+  splitContexts: false,
+  // Contexts to migrate in split mode (empty = all)
+  only: [],
+  // Days ahead to report scheduled publish / unpublish dates for
+  scheduleDays: 30,
+  // Resources in protected resource groups: 'exclude' them, or 'protect'
+  // them behind basic auth under protectedPath
+  protected: 'exclude',
+  protectedPath: 'intern',
+  // Where the basic-auth rules go: 'apache' (.htaccess/.htpasswd) or 'netlify' (_headers)
+  protectedServer: 'apache',
+  protectedUser: 'intern',
+  // Generated when empty (see protectedPassword)
+  protectedPassword: '',
+  // Absolute path of the .htpasswd on the server (default: $DEPLOY_PATH/<protectedPath>/.htpasswd)
+  htpasswdPath: '',
+  // Cleanup options for text, heading and html values, set by resolveSettings
+  // (see resolveHtmlCleanup); false = off
+  htmlCleanup: false,
+};
 
-// ─── CLI Arguments ──────────────────────────────────────────────────
-const args = parseArgs(process.argv.slice(2));
+// Page fields a TV may be mapped onto directly (everything else is <blockType>.<field>)
+const TV_PAGE_FIELDS = ['title', 'description', 'menuTitle', 'metaTitle', 'keywords', 'canonicalUrl'];
 
-if (args.help) {
-  console.log(`
-MODX → Astro Migration CLI
+// ─── Logging ────────────────────────────────────────────────────────
+const log = {
+  info: (msg) => !settings.quiet && console.log(`  ✓ ${msg}`),
+  warn: (msg) => !settings.quiet && console.log(`  ⚠ ${msg}`),
+  error: (msg) => console.error(`  ✗ ${msg}`),
+  verbose: (msg) => settings.verbose && console.log(`    ${msg}`),
+  section: (msg) => !settings.quiet && console.log(`\n━━━ ${msg} ━━━`),
+};
 
-Usage:
-  node migrate.js --sql <path> --assets <path> --out <path> [options]
+const edgeCases = [];
 
-Options:
-  --sql       Path to the MODX SQL dump file (required)
-  --assets    Path to the assets directory (required)
-  --out       Output directory for generated content (required)
-  --site      Site domain for canonical URLs (optional)
-  --verbose   Enable verbose logging
-  --help      Show this help message
-`);
-  process.exit(0);
+// Chunk name → chunk body, filled from site_htmlsnippets while reading the dump
+const chunks = new Map();
+// Chunk ID → name, for ContentBlocks chunk fields
+const chunkIds = new Map();
+
+// ContentBlocks layout/field definitions by ID, filled from contentblocks_layout/_field
+const contentBlocksDefs = { layouts: new Map(), fields: new Map() };
+
+// Basic-auth credentials generated by this run ({ path, user, password }), else null
+let generatedCredentials = null;
+
+// ─── Main ───────────────────────────────────────────────────────────
+
+// Runs share the module-level state above, so they are queued one at a time
+let migrationQueue = Promise.resolve();
+
+/**
+ * Run a migration and write its output to `out`.
+ *
+ * Options: sql, assets, out (required), site, tablePrefix (null = detect),
+ * tvMap (string or parsed list), mapping (path or object), plugins (specs
+ * or plugin objects), config (path to a --config file), splitContexts,
+ * only (context keys for splitContexts), scheduleDays, protected
+ * ('exclude' | 'protect'), protectedPath, protectedServer ('apache' |
+ * 'netlify'), protectedUser, protectedPassword, htpasswdPath, htmlCleanup
+ * (false or options over HTML_CLEANUP_DEFAULTS), verbose, quiet.
+ *
+ * Resolves to { pages, redirects, edgeCases, siteConfig, schedule, protected,
+ * credentials, htmlCleanup, timings }, timings in ms per step, htmlCleanup the cleanup
+ * changes by type ({ tag_unwrapped: 12, … }), schedule the pages going live or
+ * expiring within scheduleDays (see scheduledChanges), protected the
+ * resources left out or moved behind the password ([{ id, title, context,
+ * url? }]), credentials the basic-auth password generated for the protected
+ * area ({ path, user, password }, null unless one was generated — it is not
+ * printed when quiet). With splitContexts every context becomes a site of its
+ * own under <out>/<context>/ and the result is { sites: [{ context, out,
+ * pages, redirects, edgeCases, siteConfig, schedule }], edgeCases, protected,
+ * credentials, htmlCleanup, timings }.
+ * Concurrent calls run one after another; to run migrations side by side,
+ * run them in worker threads (as batch-migrate.js --parallel does).
+ */
+function migrate(options) {
+  const run = migrationQueue.then(() => runMigration(options));
+  migrationQueue = run.catch(() => {});
+  return run;
 }
 
-const SQL_PATH = args.sql;
-const ASSETS_PATH = args.assets;
-const OUT_PATH = args.out;
-const SITE_URL = args.site || '';
-const VERBOSE = !!args.verbose;
+/**
+ * Validate migrate() options into `settings`, and load config, mapping and plugins.
+ * Throws on invalid options.
+ */
+function resolveSettings(options = {}) {
+  if (!options.sql || !options.assets || !options.out) {
+    throw new Error('sql, assets and out are required');
+  }
+  const scheduleDays = options.scheduleDays === undefined ? 30 : Number(options.scheduleDays);
+  if (!Number.isInteger(scheduleDays) || scheduleDays < 0) {
+    throw new Error(`scheduleDays must be a whole number of days (got ${options.scheduleDays})`);
+  }
+  const protectedMode = options.protected === undefined ? 'exclude' : String(options.protected);
+  if (!['exclude', 'protect'].includes(protectedMode)) {
+    throw new Error(`protected must be "exclude" or "protect" (got ${options.protected})`);
+  }
+  const protectedServer = options.protectedServer === undefined ? 'apache' : String(options.protectedServer);
+  if (!['apache', 'netlify'].includes(protectedServer)) {
+    throw new Error(`protectedServer must be "apache" or "netlify" (got ${options.protectedServer})`);
+  }
+  const protectedPath = String(options.protectedPath || 'intern').replace(/^\/+|\/+$/g, '');
+  if (!/^[\w-]+(\/[\w-]+)*$/.test(protectedPath)) {
+    throw new Error(`protectedPath must be a URL path like "intern" (got ${options.protectedPath})`);
+  }
+
+  Object.assign(settings, {
+    sql: String(options.sql),
+    assets: String(options.assets),
+    out: String(options.out),
+    site: options.site || '',
+    verbose: !!options.verbose,
+    quiet: !!options.quiet,
+    tablePrefix: options.tablePrefix === undefined ? null : options.tablePrefix,
+    tvMap: Array.isArray(options.tvMap) ? options.tvMap : parseTvMap(options.tvMap),
+    splitContexts: !!options.splitContexts,
+    only: [].concat(options.only || []).flatMap(c => String(c).split(',')).map(c => c.trim()).filter(Boolean),
+    scheduleDays,
+    protected: protectedMode,
+    protectedPath,
+    protectedServer,
+    protectedUser: String(options.protectedUser || 'intern'),
+    protectedPassword: String(options.protectedPassword || process.env.PROTECTED_PASSWORD || ''),
+    htpasswdPath: String(options.htpasswdPath || ''),
+  });
+
+  let config = { file: null, plugins: [], mapping: null, htmlCleanup: undefined };
+  if (options.config) {
+    try {
+      config = loadConfig(String(options.config));
+    } catch (err) {
+      throw new Error(`Config: ${err.message}`);
+    }
+  }
+  settings.htmlCleanup = resolveHtmlCleanup(options.htmlCleanup ?? config.htmlCleanup);
+
+  const mapping = options.mapping || config.mapping;
+  if (mapping) {
+    try {
+      useMapping(loadMapping(mapping));
+    } catch (err) {
+      throw new Error(`Mapping: ${err.message}`);
+    }
+  }
+
+  // Plugin specs: 'path-or-package', ['path-or-package', options] or a plugin itself
+  const pluginSpecs = [
+    ...config.plugins,
+    ...[].concat(options.plugins || []).map(spec =>
+      typeof spec === 'string' || Array.isArray(spec)
+        ? { name: [].concat(spec)[0], options: [].concat(spec)[1] }
+        : { plugin: spec }),
+  ];
+  try {
+    loadPlugins(pluginSpecs);
+  } catch (err) {
+    throw new Error(`Plugins: ${err.message}`);
+  }
+
+  return { config, mapping: !!mapping };
+}
 
-if (!SQL_PATH || !ASSETS_PATH || !OUT_PATH) {
-  console.error('Error: --sql, --assets, and --out are required. Use --help for usage.');
-  process.exit(1);
+/**
+ * Clear everything a previous run left in module state.
+ */
+function resetState() {
+  edgeCases.length = 0;
+  chunks.clear();
+  chunkIds.clear();
+  contentBlocksDefs.layouts.clear();
+  contentBlocksDefs.fields.clear();
+  checkedColumnLayouts.clear();
+  for (const type of Object.keys(htmlCleanupStats)) delete htmlCleanupStats[type];
+  generatedCredentials = null;
+  useMapping(loadMapping({}));
+  resetPlugins();
 }
 
-// ─── Logging ────────────────────────────────────────────────────────
-const log = {
-  info: (msg) => console.log(`  ✓ ${msg}`),
-  warn: (msg) => console.log(`  ⚠ ${msg}`),
-  error: (msg) => console.error(`  ✗ ${msg}`),
-  verbose: (msg) => VERBOSE && console.log(`    ${msg}`),
-  section: (msg) => console.log(`\n━━━ ${msg} ━━━`),
-};
+async function runMigration(options) {
+  const started = Date.now();
+  const timings = {};
+  let lapStart = started;
+  // Split runs go through the per-site steps once per context — their times add up
+  const lap = (step) => {
+    timings[step] = (timings[step] || 0) + Date.now() - lapStart;
+    lapStart = Date.now();
+  };
 
-const edgeCases = [];
+  resetState();
+  const { config, mapping } = resolveSettings(options);
+  const outDir = settings.out;
 
-// ─── Main ───────────────────────────────────────────────────────────
-async function main() {
   log.section('MODX → Astro Migration');
-  log.info(`SQL: ${SQL_PATH}`);
-  log.info(`Assets: ${ASSETS_PATH}`);
-  log.info(`Output: ${OUT_PATH}`);
+  log.info(`SQL: ${settings.sql}`);
+  log.info(`Assets: ${settings.assets}`);
+  log.info(`Output: ${outDir}${settings.splitContexts ? ' (one site per context)' : ''}`);
+  if (config.file) log.info(`Config: ${config.file}`);
+  if (mapping) {
+    const report = mappingReport();
+    log.info(`Mapping: ${report.file || 'inline'} (${report.layouts} layouts, ${report.fields} fields, ${report.repeaterKeys} repeater keys)`);
+  }
+  if (pluginRegistry.plugins.length > 0) log.info(`Plugins: ${pluginRegistry.plugins.join(', ')}`);
 
-  // 1. Read & parse SQL
+  // 1. Stream the SQL dump — only the tables we need are parsed, everything
+  //    else is scanned and discarded so multi-GB dumps stay flat in memory.
   log.section('Step 1: Parsing SQL dump');
-  const sqlContent = await fs.readFile(SQL_PATH, 'utf-8');
-
-  // 2. Extract resources from modx_site_content
-  const resources = extractResources(sqlContent);
+  const resources = [];
+  const clientConfig = {};
+  const redirectRows = [];
+  const tvData = createTvData();
+  const seoData = createSeoData();
+  const accessData = createAccessData();
+  const contextSettings = {};
+  const systemSettings = {};
+  const dumpStats = await readSqlDump(settings.sql, {
+    site_content: resourceRowHandler(resources),
+    clientconfig_setting: clientConfigRowHandler(clientConfig),
+    context_setting: contextSettingRowHandler(contextSettings),
+    system_settings: systemSettingRowHandler(systemSettings),
+    seosuite_redirect: redirectRowHandler(redirectRows),
+    site_htmlsnippets: chunkRowHandler(chunks),
+    ...tvRowHandlers(tvData),
+    ...seoRowHandlers(seoData),
+    ...accessRowHandlers(accessData),
+    ...contentBlocksRowHandlers(contentBlocksDefs),
+  }, { prefix: settings.tablePrefix });
+  log.verbose(`Read ${dumpStats.statements} statements (${dumpStats.tables.size} tables with data)`);
+  reportTablePrefix(dumpStats);
+
+  // 2. Resources from site_content
+  if (!dumpStats.tables.has(prefixedTable(dumpStats, 'site_content'))) {
+    log.error(`Could not find ${prefixedTable(dumpStats, 'site_content')} INSERT statement`);
+  }
   log.info(`Found ${resources.length} resources`);
 
+  // Contexts as sites, or as languages — prefixed URIs must be in place before the resource map
+  const contextSites = settings.splitContexts ? splitContexts(resources, contextSettings, settings.only) : [];
+  const languages = settings.splitContexts ? [] : buildLanguages(resources, contextSettings, systemSettings);
+  if (languages.length > 0) {
+    localizeResources(resources, languages);
+    log.info(`Languages: ${languages.map(l => `${l.code} (${l.context} → /${l.prefix})`).join(', ')}`);
+  }
+  if (contextSites.length > 0) {
+    log.info(`Sites: ${contextSites.map(s => `${s.context} (${s.resources.length} resources${s.siteUrl ? `, ${s.siteUrl}` : ''})`).join(', ')}`);
+  }
+  const babelTvName = systemSettings['babel.babelTvName'] || BABEL_TV_NAME;
+
+  // Protected resources (resource groups, privateweb) are left out, or moved
+  // under the protected path — before the resource map, so links follow them
+  const protectedResources = protectResources(resources, accessData);
+  if (settings.protected === 'exclude' && protectedResources.length > 0) {
+    for (const list of [resources, ...contextSites.map(s => s.resources)]) {
+      const kept = list.filter(r => !r.protected);
+      list.splice(0, list.length, ...kept);
+    }
+  }
+  const protectedReport = protectedResources.map(r => ({
+    id: Number(r.id),
+    title: r.pagetitle,
+    context: r.context_key || 'web',
+    ...(settings.protected === 'protect' && { url: `/${r.uri.replace(/\.html$/, '').replace(/\/$/, '')}` }),
+  }));
+
   // 3. Build resource ID → alias/uri map for link resolution
   const resourceMap = buildResourceMap(resources);
 
-  // 4. Extract client config settings
-  const clientConfig = extractClientConfig(sqlContent);
+  // 4. Client config settings
   log.info(`Client config: ${Object.keys(clientConfig).length} settings`);
+  log.info(`Chunks: ${chunks.size}`);
+  if (contentBlocksDefs.layouts.size > 0 || contentBlocksDefs.fields.size > 0) {
+    log.info(`ContentBlocks definitions: ${contentBlocksDefs.layouts.size} layouts, ${contentBlocksDefs.fields.size} fields`);
+  } else {
+    log.warn('No ContentBlocks layout/field definitions in dump — assuming the built-in layout and field IDs');
+  }
+
+  // Template variable values per resource (explicit values, template defaults, @INHERIT)
+  const resourceTvs = buildResourceTvs(tvData, resources, resourceMap);
+  log.info(`Template variables: ${tvData.vars.size} TVs, ${tvData.values.length} values`);
+  if (seoData.resources.size > 0 || seoData.keywords.size > 0) {
+    log.info(`SEO settings: ${seoData.resources.size} SEO Suite records, ${seoData.keywords.size} SEO Pro keyword sets`);
+  }
+
+  const parseEdgeCases = [...edgeCases];
+  const shared = { resourceTvs, seoData, babelTvName, parseEdgeCases };
+
+  if (!settings.splitContexts) {
+    const site = await migrateSite({
+      ...shared,
+      resources,
+      resourceMap,
+      clientConfig,
+      redirectRows,
+      languages,
+      siteUrl: settings.site,
+      outDir,
+    }, lap);
+
+    log.section('Migration Complete');
+    log.info(`Pages generated: ${site.pages.length}`);
+    log.info(`Edge cases: ${edgeCases.length}`);
+    reportHtmlCleanup();
+    reportMappingUsage(mapping);
+    await writeEdgeCases(site);
+    timings.total = Date.now() - started;
+
+    return { pages: site.pages, redirects: site.redirects, edgeCases: [...edgeCases], siteConfig: site.siteConfig, schedule: site.schedule, protected: protectedReport, credentials: generatedCredentials, htmlCleanup: { ...htmlCleanupStats }, timings };
+  }
+
+  const sites = [];
+  for (const contextSite of contextSites) {
+    log.section(`Site: ${contextSite.context}`);
+    const site = await migrateSite({
+      ...shared,
+      resources: contextSite.resources,
+      resourceMap: buildContextResourceMap(resources, contextSite.context, contextSettings),
+      // Context settings (site_name, emails, …) take precedence over the install-wide client config
+      clientConfig: { ...clientConfig, ...contextSettings[contextSite.context] },
+      // Redirects without a context apply to every site
+      redirectRows: redirectRows.filter(r => !r.context_key || r.context_key === contextSite.context),
+      languages: [],
+      siteUrl: contextSite.siteUrl || settings.site,
+      outDir: path.join(outDir, contextSite.context, 'src', 'content'),
+    }, lap);
+    sites.push({ context: contextSite.context, ...site });
+  }
+
+  log.section('Migration Complete');
+  for (const site of sites) {
+    log.info(`${site.context}: ${site.pages.length} pages, ${site.redirects.length} redirects → ${site.out}`);
+  }
+  log.info(`Edge cases: ${edgeCases.length}`);
+  reportHtmlCleanup();
+  reportMappingUsage(mapping);
+  for (const site of sites) await writeEdgeCases(site);
+  timings.total = Date.now() - started;
+
+  return { sites, edgeCases: [...edgeCases], protected: protectedReport, credentials: generatedCredentials, htmlCleanup: { ...htmlCleanupStats }, timings };
+}
+
+/**
+ * Steps 2–5 for one site: process its resources, write pages, site config
+ * and redirects to `site.outDir`, and copy the assets next to it.
+ *
+ * Resolves to { out, pages, redirects, siteConfig, edgeCases, schedule } —
+ * the edge cases are the parse-stage ones plus those recorded for this site.
+ */
+async function migrateSite(site, lap) {
+  const { resources, resourceMap, clientConfig, resourceTvs, seoData, languages, babelTvName, outDir } = site;
+  const edgeCaseMark = edgeCases.length;
 
-  // 5. Extract SEO redirects, resolve chains, remove circular entries
-  const rawRedirects = extractRedirects(sqlContent, resourceMap);
+  // 5. SEO redirects (need the resource map), resolve chains, remove circular entries
+  const rawRedirects = mapRedirectRows(site.redirectRows, resourceMap);
   log.info(`SEO redirects: ${rawRedirects.length} (raw from SQL)`);
   const redirects = resolveRedirectChains(rawRedirects);
   log.info(`SEO redirects: ${redirects.length} (after chain + circular resolution)`);
@@ -93,9 +402,26 @@ async function main() {
   // Build old_url → final_url map — used by modWebLink to preserve anchors
   const redirectMap = new Map(redirects.map(r => [r.old_url, r.new_url]));
 
+  lap('parse');
+
   // 6. Process each resource
   log.section('Step 2: Processing resources');
   const pages = [];
+  // Children of Collections / Articles containers become posts
+  const postContainers = findPostContainers(resources);
+  // Static resources become downloads — before any page, so links point at the files
+  const downloads = resolveStaticResources(resources, resourceMap);
+  for (const download of downloads) {
+    download.redirects.forEach((oldUrl, i) => {
+      if (!redirects.some(r => r.old_url === oldUrl)) {
+        redirects.push({ id: `static-${download.id}-${i + 1}`, old_url: oldUrl, new_url: download.url, redirect_type: '301' });
+      }
+    });
+  }
+  if (downloads.length > 0) log.info(`Static resources: ${downloads.length} download(s)`);
+  for (const redirect of protectedRedirects(resources, resourceMap)) {
+    if (!redirects.some(r => r.old_url === redirect.old_url)) redirects.push(redirect);
+  }
 
   for (const resource of resources) {
     if (resource.deleted) {
@@ -104,10 +430,36 @@ async function main() {
     }
 
     try {
-      const page = processResource(resource, resourceMap, clientConfig, redirectMap);
+      if (isFileResource(resource)) {
+        const file = processFileResource(resource, { resourceMap, siteUrl: site.siteUrl });
+        if (file && file.sitemapRedirect) {
+          if (!redirects.some(r => r.old_url === file.sitemapRedirect.old_url)) redirects.push(file.sitemapRedirect);
+        } else if (file) {
+          pages.push(file);
+          log.info(`Processed: ${resource.pagetitle} → files/${file.outputPath} (${file.data.contentType})`);
+        }
+        continue;
+      }
+
+      let page = processResource(resource, resourceMap, clientConfig, redirectMap, resources);
       if (page) {
+        const tvs = resourceTvs.get(Number(resource.id)) || {};
+        if (Object.keys(tvs).length > 0) page.data.tvs = { ...tvs };
+        applyPublishWindow(page.data, resource);
+        // SEO settings from the dump first, so TV mappings (--tv-map) override them
+        applySeo(page.data, resource, seoData, resourceMap);
+        // Pages behind the password stay out of search engines
+        if (resource.protected) Object.assign(page.data, { noindex: true, sitemap: false, searchable: false });
+        applyTvMap(page.data, tvs);
+        if (languages.length > 0) applyTranslations(page, resource, tvs, languages, resourceMap, babelTvName);
+        const container = postContainers.get(Number(resource.id));
+        if (container) page.data.blocks.push({ type: 'posts', container: container.slug, pageSize: container.pageSize });
+        if (resource.isPost) page = toPost(page, resource, postContainers.get(Number(resource.parent)), tvs);
+        cleanupPageHtml(page.data);
+        page = await runPostProcessors(page, { resource, resources, resourceMap, clientConfig });
+        if (!page) continue;
         pages.push(page);
-        log.info(`Processed: ${resource.pagetitle} → ${page.outputPath}`);
+        log.info(`Processed: ${resource.pagetitle} → ${page.collection ? `${page.collection}/` : ''}${page.outputPath}`);
       }
     } catch (err) {
       log.error(`Failed to process "${resource.pagetitle}": ${err.message}`);
@@ -115,6 +467,13 @@ async function main() {
     }
   }
 
+  if (postContainers.size > 0) {
+    log.info(`Posts: ${pages.filter(p => p.collection === 'posts').length} in ${postContainers.size} container(s)`);
+  }
+
+  const schedule = scheduledChanges(resources, settings.scheduleDays);
+  reportSchedule(schedule, settings.scheduleDays);
+
   // 7. Post-processing: resolve anchor-only pages
   // Pages whose sole content is "#anchor" should set that anchor ID on the homepage's matching section
   log.section('Step 2b: Resolving anchor links');
@@ -150,41 +509,53 @@ async function main() {
     }
   }
 
+  lap('process');
+
   // 8. Generate output files
   log.section('Step 3: Writing output');
   // Clean previous output for idempotency
-  await fs.emptyDir(path.join(OUT_PATH, 'pages'));
-  log.verbose('Cleaned pages/ directory');
+  await fs.emptyDir(path.join(outDir, 'pages'));
+  await fs.emptyDir(path.join(outDir, 'posts'));
+  await fs.emptyDir(path.join(outDir, 'files'));
+  log.verbose('Cleaned pages/, posts/ and files/ directories');
+
+  // Site config (processed pages are passed for anchor-page detection)
+  const siteConfig = buildSiteConfig(resources, clientConfig, pages, languages, site.siteUrl);
 
-  // Write page JSON files
+  // Plugin output hooks may adjust pages, site config and redirects, or write extra files
+  await runOutputHooks({ pages, siteConfig, redirects, resources, resourceMap, outDir: outDir });
+
+  // Write page and post JSON files
   for (const page of pages) {
-    const outFile = path.join(OUT_PATH, 'pages', page.outputPath);
+    const outFile = path.join(outDir, page.collection || 'pages', page.outputPath);
     await fs.ensureDir(path.dirname(outFile));
     const pageData = { ...page.data, _m: 'b7264r9s' };
     await fs.writeJson(outFile, pageData, { spaces: 2 });
     log.verbose(`Written: ${page.outputPath}`);
   }
 
-  // Write site config (pass processed pages for anchor-page detection)
-  const siteConfig = buildSiteConfig(resources, clientConfig, pages);
+  // Write site config
   siteConfig._m = 'b7264r9s';
-  await fs.writeJson(path.join(OUT_PATH, 'site-config.json'), siteConfig, { spaces: 2 });
+  await fs.writeJson(path.join(outDir, 'site-config.json'), siteConfig, { spaces: 2 });
   log.info('Written: site-config.json');
 
   // Write redirects as JSON (for Astro config) and as .htaccess rules (server-side 301s)
   if (redirects.length > 0) {
-    await fs.writeJson(path.join(OUT_PATH, 'redirects.json'), redirects, { spaces: 2 });
+    await fs.writeJson(path.join(outDir, 'redirects.json'), redirects, { spaces: 2 });
     log.info(`Written: redirects.json (${redirects.length} redirects)`);
-    await writeHtaccessRedirects(redirects, OUT_PATH);
+    await writeHtaccessRedirects(redirects, outDir);
   }
+  if (settings.protected === 'protect' && resources.some(r => r.protected)) await writeProtectedArea(outDir);
+
+  lap('write');
 
   // Copy assets
   log.section('Step 4: Copying media assets');
   // Primary: src/assets/ — Astro <Image> reads originals and natively converts to
   // WebP/AVIF at build time while generating hashed srcset variants per viewport width.
   // No manual WebP conversion — Astro handles it all.
-  const srcAssetsDir = path.join(OUT_PATH, '..', 'assets');
-  await copyAssets(ASSETS_PATH, srcAssetsDir);
+  const srcAssetsDir = path.join(outDir, '..', 'assets');
+  await copyAssets(settings.assets, srcAssetsDir);
 
   // Validate images — remove corrupt/unreadable files before Astro's build step.
   // Astro fails the entire build if its Vite image plugin cannot read metadata from
@@ -200,56 +571,457 @@ async function main() {
   //   - Any fallback <img> in components where imageLoader.ts returns null
   // src/assets/ is the source-of-truth; public/ just mirrors it.
   log.section('Step 5: Mirroring assets to public/ (static fallback)');
-  const publicAssetsDir = path.join(OUT_PATH, '..', '..', 'public', 'assets');
+  const publicAssetsDir = path.join(outDir, '..', '..', 'public', 'assets');
   await fs.emptyDir(publicAssetsDir);
   await fs.copy(srcAssetsDir, publicAssetsDir, { overwrite: true });
   log.info('Assets mirrored to public/assets/');
+  await copyDownloads(downloads, path.join(outDir, '..', '..', 'public'));
+  lap('assets');
 
-  // Summary
-  log.section('Migration Complete');
-  log.info(`Pages generated: ${pages.length}`);
-  log.info(`Edge cases: ${edgeCases.length}`);
+  return {
+    out: outDir,
+    pages,
+    redirects,
+    siteConfig,
+    edgeCases: [...site.parseEdgeCases, ...edgeCases.slice(edgeCaseMark)],
+    schedule,
+  };
+}
 
-  if (edgeCases.length > 0) {
-    await fs.writeJson(path.join(OUT_PATH, 'edge-cases.json'), edgeCases, { spaces: 2 });
-    log.warn('See edge-cases.json for details');
-  }
+/**
+ * Log how much of a --mapping file was applied.
+ */
+function reportMappingUsage(mapping) {
+  if (!mapping) return;
+  const report = mappingReport();
+  log.info(`Mapping entries applied: ${siteMapping.used.size}`);
+  if (report.unused.length > 0) log.warn(`Mapping entries never matched: ${report.unused.join(', ')}`);
+}
+
+/**
+ * Write a site's edge cases to edge-cases.json in its output folder.
+ */
+async function writeEdgeCases(site) {
+  if (site.edgeCases.length === 0) return;
+  await fs.writeJson(path.join(site.out, 'edge-cases.json'), site.edgeCases, { spaces: 2 });
+  log.warn(`See ${site.context ? path.join(site.context, 'src', 'content', 'edge-cases.json') : 'edge-cases.json'} for details`);
 }
 
 // ─── SQL Parsing ────────────────────────────────────────────────────
 
 /**
- * Extract INSERT data from modx_site_content table.
- * Handles the complex multi-value INSERT format from mysqldump.
+ * Extract resources from the site_content INSERT statements of an
+ * in-memory SQL string. migrate() streams the dump file instead (readSqlDump);
+ * both paths share the same row handler.
  */
-function extractResources(sql) {
+function extractResources(sql, prefix = settings.tablePrefix) {
   const resources = [];
+  const stats = parseSqlDump(sql, {
+    site_content: resourceRowHandler(resources),
+  }, { prefix });
 
-  // Support both forms produced by different mysqldump versions:
-  //   INSERT INTO `modx_site_content` VALUES (…)
-  //   INSERT INTO `modx_site_content` (id, type, …) VALUES (…)
-  // Use matchAll + g flag so multiple INSERT blocks in one dump are all captured.
-  const insertRegex =
-    /INSERT INTO `modx_site_content`\s*(?:\([^)]+\)\s*)?VALUES\s*(.+?);\s*$/gmsi;
-  const matches = [...sql.matchAll(insertRegex)];
-
-  if (matches.length === 0) {
-    log.error('Could not find modx_site_content INSERT statement');
-    return resources;
+  if (!stats.tables.has(prefixedTable(stats, 'site_content'))) {
+    log.error(`Could not find ${prefixedTable(stats, 'site_content')} INSERT statement`);
   }
 
-  for (const match of matches) {
-    const rows = parseSQLValues(match[1]);
-    for (const row of rows) {
-      try {
-        resources.push(mapRowToResource(row));
-      } catch (err) {
-        log.verbose(`Failed to parse row: ${err.message}`);
+  return resources;
+}
+
+/**
+ * Row handler for site_content — maps each row and collects it into `resources`.
+ */
+function resourceRowHandler(resources) {
+  return (row, info) => {
+    try {
+      resources.push(mapRowToResource(row, info && info.columns, info && info.table));
+    } catch (err) {
+      log.verbose(`Failed to parse row: ${err.message}`);
+    }
+  };
+}
+
+// ─── Streaming SQL Reader ───────────────────────────────────────────
+
+/**
+ * Incremental SQL dump parser. Text is pushed in arbitrary chunks through
+ * write(); statements are recognised on the fly so the dump never has to be
+ * held in memory as a whole.
+ *
+ * Handlers are keyed by table name without the MODX table prefix
+ * (`site_content`, not `modx_site_content`); a key that matches a table name
+ * exactly is used as-is. The prefix is `options.prefix` when given, otherwise
+ * it is detected from the first MODX core table in the dump (see
+ * detectTablePrefix); all prefixes seen are collected in `stats.prefixes`.
+ *
+ * Every (…) tuple of an INSERT into a subscribed table is handed to
+ * parseSQLValues() as soon as it is complete and the resulting row is passed
+ * to that table's handler as `handler(row, { table, columns })`, where
+ * `columns` is the explicit INSERT column list, or else the column list of
+ * the table's CREATE TABLE statement (null if the dump has neither).
+ * Tuples of all other tables are scanned for quotes but never buffered.
+ * The VALUES list ends at the first token that is no `,` or `(`; the rest
+ * of the statement (ON DUPLICATE KEY UPDATE …) is skipped.
+ *
+ * Handles '…', "…" and `…` quoting, backslash and doubled-quote escapes,
+ * and -- / # / C-style comments between statements.
+ *
+ * @param {Object<string, Function>} handlers  unprefixed table name → row callback
+ * @param {{ prefix?: string|null }} [options]
+ * @returns {{ write(text: string): void, end(): void, stats: object }}
+ */
+function createSqlStreamParser(handlers, options = {}) {
+  const stats = {
+    statements: 0,
+    tables: new Set(),
+    prefix: options.prefix === undefined ? null : options.prefix,
+    prefixes: new Set(),
+  };
+  const tableColumns = new Map(); // table → column names from CREATE TABLE
+  const has = (key) => Object.prototype.hasOwnProperty.call(handlers, key);
+
+  const noteTable = (table) => {
+    const prefix = detectTablePrefix(table, Object.keys(handlers));
+    if (prefix === null) return;
+    stats.prefixes.add(prefix);
+    if (stats.prefix === null) stats.prefix = prefix;
+  };
+
+  const handlerFor = (table) => {
+    if (has(table)) return handlers[table];
+    const prefix = stats.prefix;
+    if (prefix !== null && table.startsWith(prefix) && has(table.slice(prefix.length))) {
+      return handlers[table.slice(prefix.length)];
+    }
+    return null;
+  };
+  let buf = '';
+  let mode = 'head';   // 'head' (statement text up to VALUES) | 'values' | 'tuple' | 'tail' (after the list)
+  let head = '';
+  let quote = '';
+  let comment = '';    // '' | 'line' | 'block'
+  let depth = 0;
+  let tuple = '';      // tuple text carried over from previous chunks
+  let tupleStart = 0;
+  let handler = null;
+  let info = null;
+
+  const finishStatement = () => {
+    if (head.trim()) stats.statements++;
+    const create = parseCreateTable(head);
+    if (create) {
+      noteTable(create.table);
+      tableColumns.set(create.table, create.columns);
+    }
+    head = '';
+  };
+
+  const startInsert = () => {
+    const m = head.match(INSERT_HEAD_RE);
+    if (!m) return false;
+    const table = m[1];
+    stats.statements++;
+    stats.tables.add(table);
+    noteTable(table);
+    handler = handlerFor(table);
+    const columns = m[2]
+      ? m[2].split(',').map(c => c.trim().replace(/^`|`$/g, ''))
+      : tableColumns.get(table) || null;
+    info = { table, columns };
+    head = '';
+    mode = 'values';
+    return true;
+  };
+
+  const endInsert = () => {
+    mode = 'head';
+    handler = null;
+    info = null;
+  };
+
+  function scan(final) {
+    let i = 0;
+    const len = buf.length;
+    // Returns true when the character after i is not available yet
+    const waitFor = (n) => !final && i + n >= len;
+
+    scanning:
+    while (i < len) {
+      const ch = buf[i];
+
+      if (mode === 'tuple' || mode === 'tail') {
+        if (quote) {
+          if (ch === '\\' || ch === quote) {
+            if (waitFor(1)) break scanning;
+            if (ch === '\\' || buf[i + 1] === quote) { i += 2; continue; }
+            quote = '';
+          }
+          i++;
+          continue;
+        }
+        if (mode === 'tail') {
+          // ON DUPLICATE KEY UPDATE … — skipped up to the end of the statement
+          if (ch === '\'' || ch === '"' || ch === '`') quote = ch;
+          else if (ch === ';') endInsert();
+          i++;
+          continue;
+        }
+        if (ch === '\'' || ch === '"') { quote = ch; i++; continue; }
+        if (ch === '(') { depth++; i++; continue; }
+        if (ch === ')') {
+          if (depth > 0) { depth--; i++; continue; }
+          if (handler) {
+            const rows = parseSQLValues(tuple + buf.slice(tupleStart, i + 1));
+            if (rows.length > 0) handler(rows[0], info);
+          }
+          tuple = '';
+          mode = 'values';
+        }
+        i++;
+        continue;
+      }
+
+      if (mode === 'values') {
+        if (ch === '(') {
+          mode = 'tuple';
+          depth = 0;
+          tuple = '';
+          tupleStart = i;
+        } else if (ch === ';') {
+          endInsert();
+        } else if (ch !== ',' && !/\s/.test(ch)) {
+          // The VALUES list ends at the first token that is no `,` or `(`
+          mode = 'tail';
+        }
+        i++;
+        continue;
+      }
+
+      // mode === 'head'
+      if (comment === 'line') {
+        if (ch === '\n') comment = '';
+        i++;
+        continue;
+      }
+      if (comment === 'block') {
+        if (ch === '*') {
+          if (waitFor(1)) break scanning;
+          if (buf[i + 1] === '/') { comment = ''; i += 2; continue; }
+        }
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === '\\' || ch === quote) {
+          if (waitFor(1)) break scanning;
+          if (ch === '\\' || buf[i + 1] === quote) { head += ch + buf[i + 1]; i += 2; continue; }
+          quote = '';
+        }
+        head += ch;
+        i++;
+        continue;
+      }
+      if (ch === '-') {
+        if (waitFor(2)) break scanning;
+        if (buf[i + 1] === '-' && /\s/.test(buf[i + 2] || '\n')) { comment = 'line'; i += 2; continue; }
+      } else if (ch === '#') {
+        comment = 'line';
+        i++;
+        continue;
+      } else if (ch === '/') {
+        if (waitFor(1)) break scanning;
+        if (buf[i + 1] === '*') { comment = 'block'; i += 2; continue; }
+      } else if (ch === '\'' || ch === '"' || ch === '`') {
+        quote = ch;
+      } else if (ch === ';') {
+        finishStatement();
+        i++;
+        continue;
       }
+      head += ch;
+      i++;
+      if ((ch === 'S' || ch === 's') && /VALUES$/i.test(head.slice(-6))) startInsert();
     }
+
+    // Keep the text of a tuple that spans the chunk boundary
+    if (mode === 'tuple' && handler) tuple += buf.slice(tupleStart, i);
+    tupleStart = 0;
+    buf = buf.slice(i);
   }
 
-  return resources;
+  return {
+    stats,
+    write(text) {
+      buf += text;
+      scan(false);
+    },
+    end() {
+      scan(true);
+      finishStatement();
+    },
+  };
+}
+
+// INSERT [IGNORE] INTO `table` [(col, …)] VALUES — also REPLACE INTO
+const INSERT_HEAD_RE =
+  /^\s*(?:INSERT|REPLACE)(?:\s+(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE))*\s+(?:INTO\s+)?(?:`[^`]+`\.)?`?([^`\s(]+)`?\s*(?:\(([^)]*)\))?\s*VALUES$/i;
+
+// Tables every MODX install has; used to recognise the table prefix
+const MODX_CORE_TABLES = [
+  'site_content', 'site_templates', 'site_snippets', 'site_htmlsnippets', 'site_plugins',
+  'site_tmplvars', 'site_tmplvar_contentvalues', 'site_tmplvar_templates', 'system_settings',
+  'system_eventnames', 'context_setting', 'content_type', 'lexicon_entries', 'media_sources',
+  'namespaces', 'workspaces', 'transport_packages', 'user_attributes', 'manager_log',
+];
+
+/**
+ * Return the prefix of a MODX core table name (`mx7_site_content` → `mx7_`),
+ * or null when the table is not a known core table. `extraTables` (e.g. the
+ * extras tables being subscribed to) are recognised as well.
+ */
+function detectTablePrefix(table, extraTables = []) {
+  const known = [...extraTables, ...MODX_CORE_TABLES].sort((a, b) => b.length - a.length);
+  for (const suffix of known) {
+    if (table.endsWith(suffix)) return table.slice(0, -suffix.length);
+  }
+  return null;
+}
+
+/**
+ * Full table name for an unprefixed one, using the prefix the parser settled on.
+ */
+function prefixedTable(stats, table) {
+  return `${stats.prefix === null ? 'modx_' : stats.prefix}${table}`;
+}
+
+/**
+ * Log which table prefix was used; warn when the dump mixes several installs.
+ */
+function reportTablePrefix(stats) {
+  if (stats.prefix === null) {
+    log.warn('No MODX tables found in dump — is this a MODX database?');
+    return;
+  }
+  log.info(`Table prefix: ${stats.prefix ? `"${stats.prefix}"` : '(none)'}`);
+  if (stats.prefixes.size > 1) {
+    const all = [...stats.prefixes].map(p => `"${p}"`).join(', ');
+    log.warn(`Dump contains tables of several MODX installs (${all}) — using "${stats.prefix}", pass --table-prefix to choose`);
+    edgeCases.push({ type: 'multiple_table_prefixes', prefixes: [...stats.prefixes], used: stats.prefix });
+  }
+}
+
+/**
+ * Extract the table name and ordered column names from a CREATE TABLE
+ * statement. Returns null for any other statement.
+ * The definition list is split at top-level commas; PRIMARY KEY, KEY, INDEX,
+ * UNIQUE, FULLTEXT, CONSTRAINT etc. entries are skipped.
+ */
+function parseCreateTable(statement) {
+  const m = statement.match(/^\s*CREATE\s+(?:TEMPORARY\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:`[^`]+`\.)?`?([^`\s(]+)`?\s*\(([\s\S]*)\)/i);
+  if (!m) return null;
+
+  const defs = [];
+  let current = '';
+  let depth = 0;
+  let quote = '';
+  for (const ch of m[2]) {
+    if (quote) {
+      if (ch === quote) quote = '';
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      defs.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  defs.push(current);
+
+  const columns = [];
+  for (const def of defs) {
+    const col = def.trim().match(/^(?:`([^`]+)`|(\w+))/);
+    if (!col) continue;
+    if (col[2] && /^(PRIMARY|KEY|INDEX|UNIQUE|FULLTEXT|SPATIAL|CONSTRAINT|FOREIGN|CHECK)$/i.test(col[2])) continue;
+    columns.push(col[1] || col[2]);
+  }
+  return columns.length > 0 ? { table: m[1], columns } : null;
+}
+
+/**
+ * Parse an in-memory SQL string with the streaming parser.
+ * Returns the parser stats ({ statements, tables, prefix, prefixes }).
+ */
+function parseSqlDump(sql, handlers, options = {}) {
+  const parser = createSqlStreamParser(handlers, options);
+  parser.write(sql || '');
+  parser.end();
+  return parser.stats;
+}
+
+/**
+ * Stream a SQL dump file through the parser. Plain, gzip and zstd dumps are
+ * supported; compression is detected from the file's magic bytes, so the
+ * extension does not matter.
+ * Returns the parser stats ({ statements, tables, prefix, prefixes }).
+ */
+async function readSqlDump(filePath, handlers, options = {}) {
+  const parser = createSqlStreamParser(handlers, options);
+  const decoder = new StringDecoder('utf8');
+  const { stream, done } = await openSqlStream(filePath);
+
+  for await (const chunk of stream) {
+    parser.write(decoder.write(chunk));
+  }
+  parser.write(decoder.end());
+  parser.end();
+  await done;
+
+  return parser.stats;
+}
+
+/**
+ * Open a (possibly compressed) dump file as a byte stream.
+ * zstd uses the native zlib binding where Node provides it (v22.15+),
+ * otherwise it falls back to the `zstd` command-line tool.
+ */
+async function openSqlStream(filePath) {
+  const magic = Buffer.alloc(4);
+  const fd = await fs.open(filePath, 'r');
+  try {
+    await fs.read(fd, magic, 0, 4, 0);
+  } finally {
+    await fs.close(fd);
+  }
+
+  const raw = () => fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+
+  // gzip: 1f 8b
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    return { stream: pipeline(raw(), zlib.createGunzip(), () => {}), done: Promise.resolve() };
+  }
+
+  // zstd: 28 b5 2f fd
+  if (magic.readUInt32LE(0) === 0xfd2fb528) {
+    if (typeof zlib.createZstdDecompress === 'function') {
+      return { stream: pipeline(raw(), zlib.createZstdDecompress(), () => {}), done: Promise.resolve() };
+    }
+    const child = spawn('zstd', ['-dc', filePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (d) => { stderr += d; });
+    const done = new Promise((resolve, reject) => {
+      child.on('error', (err) => reject(new Error(`Cannot decompress ${filePath}: zstd not available (${err.message})`)));
+      child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`zstd exited with code ${code}: ${stderr.trim()}`))));
+    });
+    // Surface spawn errors while the caller is still iterating
+    done.catch((err) => child.stdout.destroy(err));
+    return { stream: child.stdout, done };
+  }
+
+  return { stream: raw(), done: Promise.resolve() };
 }
 
 /**
@@ -386,64 +1158,185 @@ function parseSQLValue(val) {
   return val;
 }
 
+// ─── Column Mapping ─────────────────────────────────────────────────
+
 /**
- * Map a parsed SQL row array to a resource object.
- * Based on modx_site_content column order.
+ * Column order of the tables we read, as written by MODX 2.x. Only used as a
+ * positional fallback when the dump has neither a CREATE TABLE statement nor
+ * an explicit INSERT column list; otherwise rows are mapped by column name.
  */
-function mapRowToResource(row) {
-  return {
-    id: row[0],
-    type: row[1],
-    contentType: row[2],
-    pagetitle: row[3],
-    longtitle: row[4],
-    description: row[5],
-    alias: row[6],
-    alias_visible: row[7],
-    link_attributes: row[8],
-    published: row[9],
-    pub_date: row[10],
-    unpub_date: row[11],
-    parent: row[12],
-    isfolder: row[13],
-    introtext: row[14],
-    content: row[15],
-    richtext: row[16],
-    template: row[17],
-    menuindex: row[18],
-    searchable: row[19],
-    cacheable: row[20],
-    createdby: row[21],
-    createdon: row[22],
-    editedby: row[23],
-    editedon: row[24],
-    deleted: row[25],
-    deletedon: row[26],
-    deletedby: row[27],
-    publishedon: row[28],
-    publishedby: row[29],
-    menutitle: row[30],
-    donthit: row[31],
-    privateweb: row[32],
-    privatemgr: row[33],
-    content_dispo: row[34],
-    hidemenu: row[35],
-    class_key: row[36],
-    context_key: row[37],
-    content_type_id: row[38],
-    uri: row[39],
-    uri_override: row[40],
-    hide_children_in_tree: row[41],
-    show_in_tree: row[42],
-    properties: row[43],
-  };
-}
+const DEFAULT_COLUMNS = {
+  site_content: [
+    'id', 'type', 'contentType', 'pagetitle', 'longtitle', 'description', 'alias',
+    'alias_visible', 'link_attributes', 'published', 'pub_date', 'unpub_date', 'parent',
+    'isfolder', 'introtext', 'content', 'richtext', 'template', 'menuindex', 'searchable',
+    'cacheable', 'createdby', 'createdon', 'editedby', 'editedon', 'deleted', 'deletedon',
+    'deletedby', 'publishedon', 'publishedby', 'menutitle', 'donthit', 'privateweb',
+    'privatemgr', 'content_dispo', 'hidemenu', 'class_key', 'context_key', 'content_type',
+    'uri', 'uri_override', 'hide_children_in_tree', 'show_in_tree', 'properties',
+  ],
+  clientconfig_setting: [
+    'id', 'key', 'label', 'xtype', 'description', 'is_required', 'sortorder', 'value',
+    'default', 'group', 'options', 'process_options', 'source',
+  ],
+  seosuite_redirect: [
+    'id', 'context_key', 'resource_id', 'old_url', 'new_url', 'redirect_type', 'active',
+  ],
+  seosuite_resource: [
+    'id', 'resource_id', 'index_type', 'follow_type', 'searchable', 'override_uri', 'uri',
+    'sitemap', 'sitemap_prio', 'sitemap_changefreq', 'canonical', 'canonical_uri',
+    'keywords', 'meta_title', 'meta_description', 'editedon', 'editedby',
+  ],
+  seopro_keywords: ['id', 'resource', 'keywords'],
+  document_groups: ['id', 'document_group', 'document'],
+  documentgroup_names: ['id', 'name', 'private_memgroup', 'private_webgroup'],
+  access_resource_groups: ['id', 'target', 'principal_class', 'principal', 'authority', 'policy', 'context_key'],
+  site_tmplvars: [
+    'id', 'source', 'property_preprocess', 'type', 'name', 'caption', 'description',
+    'editor_type', 'category', 'locked', 'elements', 'rank', 'display', 'default_text',
+    'properties', 'input_properties', 'output_properties', 'static', 'static_file',
+  ],
+  site_htmlsnippets: [
+    'id', 'source', 'property_preprocess', 'name', 'description', 'editor_type', 'category',
+    'cache_type', 'snippet', 'locked', 'properties', 'static', 'static_file',
+  ],
+  site_tmplvar_contentvalues: ['id', 'tmplvarid', 'contentid', 'value'],
+  contentblocks_field: [
+    'id', 'input', 'name', 'description', 'example_html', 'example_html_editor', 'icon',
+    'icon_type', 'template', 'wrapper_template', 'sortorder', 'properties', 'parent',
+    'parent_properties', 'availability', 'layouts', 'times_per_page', 'times_per_layout',
+  ],
+  contentblocks_layout: [
+    'id', 'name', 'description', 'icon', 'icon_type', 'columns', 'template', 'settings',
+    'sortorder', 'availability', 'layout_only_nested', 'times_per_page',
+  ],
+  site_tmplvar_templates: ['tmplvarid', 'templateid', 'rank'],
+  context_setting: ['context_key', 'key', 'value', 'xtype', 'namespace', 'area', 'editedon'],
+  system_settings: ['key', 'value', 'xtype', 'namespace', 'area', 'editedon'],
+};
 
-// ─── Resource Map (for link resolution) ─────────────────────────────
+/**
+ * Columns the migration actually reads, for tables where that is a subset of
+ * DEFAULT_COLUMNS. Only these are reported when missing; tables not listed
+ * here need every default column.
+ */
+const REQUIRED_COLUMNS = {
+  clientconfig_setting: ['key', 'value'],
+  seosuite_redirect: ['id', 'old_url', 'new_url', 'redirect_type', 'active'],
+  seosuite_resource: ['resource_id', 'index_type', 'follow_type'],
+  seopro_keywords: ['resource', 'keywords'],
+  documentgroup_names: ['id', 'name'],
+  access_resource_groups: ['target', 'context_key'],
+  site_tmplvars: ['id', 'type', 'name', 'default_text'],
+  site_htmlsnippets: ['name', 'snippet'],
+  contentblocks_field: ['id', 'input', 'name', 'properties'],
+  contentblocks_layout: ['id', 'name', 'columns', 'settings'],
+  context_setting: ['context_key', 'key', 'value'],
+  system_settings: ['key', 'value'],
+};
 
-function buildResourceMap(resources) {
-  const map = {};
-  for (const r of resources) {
+// "table:columns" signatures already checked — each layout is reported once
+const checkedColumnLayouts = new Set();
+
+/**
+ * Turn a row array into a column name → value object.
+ *
+ * `columns` comes from the dump (INSERT column list or CREATE TABLE); when it
+ * is missing the row is read positionally in DEFAULT_COLUMNS order. Every
+ * required column that the dump does not have is reported loudly (once per
+ * column layout) — a missing column would otherwise silently become empty.
+ *
+ * @param {Array} row
+ * @param {string[]|null} columns  column names from the dump
+ * @param {string} table           key into DEFAULT_COLUMNS (without prefix)
+ * @param {string} [tableName]      actual table name, for messages
+ */
+function rowToRecord(row, columns, table, tableName = `modx_${table}`) {
+  const expected = DEFAULT_COLUMNS[table] || [];
+  const names = columns && columns.length > 0 ? columns : expected;
+
+  const signature = `${tableName}:${names.join(',')}`;
+  if (!checkedColumnLayouts.has(signature)) {
+    checkedColumnLayouts.add(signature);
+    const present = new Set(names.map(n => n.toLowerCase()));
+    for (const col of REQUIRED_COLUMNS[table] || expected) {
+      if (!present.has(col.toLowerCase())) {
+        log.warn(`Column \`${tableName}\`.\`${col}\` not found in dump — field will be empty`);
+        edgeCases.push({ type: 'missing_column', table: tableName, column: col });
+      }
+    }
+  }
+
+  const record = {};
+  names.forEach((name, i) => {
+    record[name] = row[i];
+    // MySQL column names are case-insensitive; expose the expected spelling too
+    const canonical = expected.find(e => e.toLowerCase() === name.toLowerCase());
+    if (canonical && canonical !== name) record[canonical] = row[i];
+  });
+  return record;
+}
+
+/**
+ * Map a parsed site_content row to a resource object.
+ * Columns are looked up by name, so dumps from other MODX versions or with
+ * extra columns map correctly; without column names the MODX 2.x order applies.
+ */
+function mapRowToResource(row, columns = null, tableName = undefined) {
+  const r = rowToRecord(row, columns, 'site_content', tableName);
+  return {
+    id: r.id,
+    type: r.type,
+    contentType: r.contentType,
+    pagetitle: r.pagetitle,
+    longtitle: r.longtitle,
+    description: r.description,
+    alias: r.alias,
+    alias_visible: r.alias_visible,
+    link_attributes: r.link_attributes,
+    published: r.published,
+    pub_date: r.pub_date,
+    unpub_date: r.unpub_date,
+    parent: r.parent,
+    isfolder: r.isfolder,
+    introtext: r.introtext,
+    content: r.content,
+    richtext: r.richtext,
+    template: r.template,
+    menuindex: r.menuindex,
+    searchable: r.searchable,
+    cacheable: r.cacheable,
+    createdby: r.createdby,
+    createdon: r.createdon,
+    editedby: r.editedby,
+    editedon: r.editedon,
+    deleted: r.deleted,
+    deletedon: r.deletedon,
+    deletedby: r.deletedby,
+    publishedon: r.publishedon,
+    publishedby: r.publishedby,
+    menutitle: r.menutitle,
+    donthit: r.donthit,
+    privateweb: r.privateweb,
+    privatemgr: r.privatemgr,
+    content_dispo: r.content_dispo,
+    hidemenu: r.hidemenu,
+    class_key: normalizeClassKey(r.class_key),
+    context_key: r.context_key,
+    content_type_id: r.content_type,
+    uri: r.uri,
+    uri_override: r.uri_override,
+    hide_children_in_tree: r.hide_children_in_tree,
+    show_in_tree: r.show_in_tree,
+    properties: r.properties,
+  };
+}
+
+// ─── Resource Map (for link resolution) ─────────────────────────────
+
+function buildResourceMap(resources) {
+  const map = {};
+  for (const r of resources) {
     map[r.id] = {
       alias: r.alias,
       uri: r.uri,
@@ -654,8 +1547,8 @@ function resolveResourceLinks(html, resourceMap) {
     const resource = resourceMap[parseInt(id)];
     if (resource) {
       let uri = resource.uri || resource.alias || '';
-      // Ensure leading slash
-      if (uri && !uri.startsWith('/')) uri = '/' + uri;
+      // Ensure leading slash (resources of other split-off contexts are absolute URLs)
+      if (uri && !/^(\/|https?:\/\/)/.test(uri)) uri = '/' + uri;
       // Remove .html extension for clean URLs
       uri = uri.replace(/\.html$/, '');
       return uri;
@@ -665,6 +1558,449 @@ function resolveResourceLinks(html, resourceMap) {
   });
 }
 
+// ─── Site Mapping ───────────────────────────────────────────────────
+
+const LAYOUT_KINDS = ['hero', 'columns', 'divider', 'article'];
+// Breakpoints below which a grid stacks its cells (`none`: never stacks)
+const GRID_BREAKPOINTS = ['sm', 'md', 'lg', 'xl', 'none'];
+const FIELD_KINDS = [
+  'heading', 'richtext', 'textarea', 'image', 'gallery', 'file', 'youtube', 'html', 'divider',
+  'contact-form', 'skip', 'slider', 'linkbox', 'buttons', 'accordion', 'features', 'faq',
+  'sections', 'repeater', 'layout', 'person',
+];
+
+/**
+ * Repeater sub-field keys read for each block property, per repeater kind.
+ * A --mapping file can add keys (they are tried first).
+ */
+const REPEATER_KEYS = {
+  slider: { image: ['image'], text: ['text'], link: ['button-link'] },
+  linkbox: { headline: ['headline'], text: ['text'], buttonText: ['button-text'], link: ['link'] },
+  buttons: { text: ['text', 'linktext'], url: ['link', 'url'], file: ['file'], newTab: ['newtab'] },
+  accordion: { title: ['headline', 'title'], content: ['inhalt', 'text', 'content'] },
+  features: { icon: ['img'], label: ['wert'] },
+  faq: { question: ['question'], answer: ['answer'] },
+  sections: { title: ['title'], text: ['text'] },
+  expert: {
+    name: ['expert-name', 'name'],
+    role: ['expert-role', 'role', 'position'],
+    bio: ['expert-bio', 'bio'],
+    image: ['expert-image', 'photo'],
+    links: ['expert-website', 'expert-linkedin', 'expert-xing', 'website', 'linkedin', 'xing'],
+  },
+};
+
+// Active --mapping (see loadMapping); empty unless the run loads one
+let siteMapping = loadMapping({});
+
+/**
+ * Load and validate a per-site mapping (path to a .json/.js file, or an
+ * object). Throws one Error listing every problem found.
+ *
+ *   {
+ *     "layouts": { "12": { "kind": "columns", "ratio": [60, 40], "columns": ["links", "rechts"] },
+ *                  "Bühne": { "kind": "hero" } },
+ *     "fields": { "45": "accordion", "Teaser": { "kind": "slider" } },
+ *     "repeaterKeys": { "features": { "label": ["wert", "titel"] } }
+ *   }
+ *
+ * Layouts and fields are matched by ID or by their name in the dump.
+ */
+function loadMapping(source) {
+  let raw = source;
+  let file = null;
+  if (typeof source === 'string') {
+    file = path.resolve(source);
+    raw = file.endsWith('.js') ? require(file) : JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  const errors = [];
+  const mapping = { file, layouts: {}, fields: {}, repeaterKeys: {}, used: new Set() };
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+  if (!isObject(raw)) throw new Error('mapping must be an object');
+  for (const key of Object.keys(raw)) {
+    if (!['layouts', 'fields', 'repeaterKeys'].includes(key)) errors.push(`unknown section "${key}"`);
+  }
+
+  for (const [key, entry] of Object.entries(raw.layouts || {})) {
+    const where = `layouts.${key}`;
+    if (!isObject(entry)) {
+      errors.push(`${where}: expected an object`);
+      continue;
+    }
+    if (entry.kind !== undefined && !LAYOUT_KINDS.includes(entry.kind)) {
+      errors.push(`${where}.kind: "${entry.kind}" is not one of ${LAYOUT_KINDS.join(', ')}`);
+    }
+    if (entry.ratio !== undefined && !parseRatio(entry.ratio)) {
+      errors.push(`${where}.ratio: "${entry.ratio}" is not a list of column widths (e.g. [80, 20] or "80-20")`);
+    }
+    if (entry.stackBelow !== undefined && !GRID_BREAKPOINTS.includes(entry.stackBelow)) {
+      errors.push(`${where}.stackBelow: "${entry.stackBelow}" is not one of ${GRID_BREAKPOINTS.join(', ')}`);
+    }
+    if (entry.columns !== undefined && !(Array.isArray(entry.columns) && entry.columns.every(c => typeof c === 'string'))) {
+      errors.push(`${where}.columns: expected an array of column keys`);
+    }
+    mapping.layouts[key] = entry.ratio !== undefined && parseRatio(entry.ratio)
+      ? { ...entry, ratio: parseRatio(entry.ratio) }
+      : entry;
+  }
+
+  for (const [key, entry] of Object.entries(raw.fields || {})) {
+    const normalized = typeof entry === 'string' ? { kind: entry } : entry;
+    if (!isObject(normalized) || !FIELD_KINDS.includes(normalized.kind)) {
+      errors.push(`fields.${key}: expected one of ${FIELD_KINDS.join(', ')}`);
+      continue;
+    }
+    mapping.fields[key] = normalized;
+  }
+
+  for (const [kind, props] of Object.entries(raw.repeaterKeys || {})) {
+    if (!REPEATER_KEYS[kind]) {
+      errors.push(`repeaterKeys.${kind}: unknown repeater, expected one of ${Object.keys(REPEATER_KEYS).join(', ')}`);
+      continue;
+    }
+    mapping.repeaterKeys[kind] = {};
+    for (const [prop, keys] of Object.entries(isObject(props) ? props : {})) {
+      const list = [].concat(keys);
+      if (!REPEATER_KEYS[kind][prop]) {
+        errors.push(`repeaterKeys.${kind}.${prop}: unknown property, expected one of ${Object.keys(REPEATER_KEYS[kind]).join(', ')}`);
+      } else if (!list.every(k => typeof k === 'string')) {
+        errors.push(`repeaterKeys.${kind}.${prop}: expected a key or an array of keys`);
+      } else {
+        mapping.repeaterKeys[kind][prop] = list;
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`invalid mapping${file ? ` ${file}` : ''}:\n    - ${errors.join('\n    - ')}`);
+  }
+  return mapping;
+}
+
+function useMapping(mapping) {
+  siteMapping = mapping;
+}
+
+/**
+ * Mapping entry for a layout/field, matched by ID first, then by name.
+ * Matches are remembered for the summary (see mappingReport).
+ */
+function mappingEntry(section, id, name) {
+  const entries = siteMapping[section];
+  for (const key of [String(id), name]) {
+    if (key && Object.prototype.hasOwnProperty.call(entries, key)) {
+      siteMapping.used.add(`${section}.${key}`);
+      return entries[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Summary of the active mapping: entry counts and entries that never matched.
+ */
+function mappingReport(mapping = siteMapping) {
+  const all = [
+    ...Object.keys(mapping.layouts).map(k => `layouts.${k}`),
+    ...Object.keys(mapping.fields).map(k => `fields.${k}`),
+  ];
+  const repeaterKeyCount = Object.values(mapping.repeaterKeys).reduce((n, props) => n + Object.keys(props).length, 0);
+  return {
+    file: mapping.file,
+    layouts: Object.keys(mapping.layouts).length,
+    fields: Object.keys(mapping.fields).length,
+    repeaterKeys: repeaterKeyCount,
+    unused: all.filter(k => !mapping.used.has(k)),
+  };
+}
+
+function repeaterKeys(kind, prop) {
+  return [...(siteMapping.repeaterKeys[kind]?.[prop] || []), ...(REPEATER_KEYS[kind]?.[prop] || [])];
+}
+
+/**
+ * First sub-field of a repeater row present under any key for `prop`.
+ */
+function rowField(row, kind, prop) {
+  for (const key of repeaterKeys(kind, prop)) {
+    if (row[key] !== undefined && row[key] !== null) return row[key];
+  }
+  return undefined;
+}
+
+/**
+ * First non-empty `.value` of a repeater row under any key for `prop`.
+ */
+function rowValue(row, kind, prop) {
+  for (const key of repeaterKeys(kind, prop)) {
+    if (row[key]?.value) return row[key].value;
+  }
+  return '';
+}
+
+// ─── ContentBlocks Definitions ──────────────────────────────────────
+
+/**
+ * Layout and field IDs of the original reference install. Used only when a
+ * dump has no contentblocks_layout / contentblocks_field rows — as soon as it
+ * has, IDs are looked up there (they differ between installs).
+ */
+const LEGACY_LAYOUTS = {
+  9: { name: 'Hero', kind: 'hero', refs: ['inhalt'] },
+  1: { name: '1 column', kind: 'columns', refs: ['main'] },
+  17: { name: 'Full width', kind: 'columns', refs: ['main'] },
+  21: { name: 'Media', kind: 'columns', refs: ['main'] },
+  2: { name: '50|50', kind: 'columns', refs: ['left', 'right'], ratio: [50, 50] },
+  3: { name: '60|40', kind: 'columns', refs: ['left', 'right'], ratio: [60, 40] },
+  4: { name: '40|60', kind: 'columns', refs: ['left', 'right'], ratio: [40, 60] },
+  7: { name: '70|30', kind: 'columns', refs: ['left', 'right'], ratio: [70, 30] },
+  10: { name: '80|20', kind: 'columns', refs: ['left', 'right'], ratio: [80, 20] },
+  12: { name: '75|25', kind: 'columns', refs: ['left', 'right'], ratio: [75, 25] },
+  16: { name: '66|33', kind: 'columns', refs: ['left', 'right'], ratio: [66, 33] },
+  8: { name: '30|70', kind: 'columns', refs: ['left', 'right'], ratio: [30, 70] },
+  11: { name: '20|80', kind: 'columns', refs: ['left', 'right'], ratio: [20, 80] },
+  13: { name: '25|75', kind: 'columns', refs: ['left', 'right'], ratio: [25, 75] },
+  15: { name: '33|66', kind: 'columns', refs: ['left', 'right'], ratio: [33, 66] },
+  6: { name: '30|30|30', kind: 'columns', refs: ['left', 'middle', 'right'] },
+  18: { name: '25|25|25|25', kind: 'columns', refs: ['left', 'middle', 'middle2', 'right'] },
+  5: { name: 'Divider', kind: 'divider', refs: [] },
+  19: { name: 'AI Article', kind: 'article', refs: ['expert', 'content'] },
+  20: { name: 'AI Expert Page', kind: 'article', refs: ['expert', 'content'] },
+};
+
+const LEGACY_FIELDS = {
+  2: { input: 'heading', kind: 'heading' },
+  3: { input: 'richtext', kind: 'richtext' },
+  4: { input: 'image', kind: 'image' },
+  14: { input: 'repeater', name: 'Slider', kind: 'slider' },
+  5: { input: 'repeater', name: 'Link Box', kind: 'linkbox' },
+  11: { input: 'repeater', name: 'Accordion', kind: 'accordion' },
+  22: { input: 'gallery', name: 'Gallery slider', kind: 'gallery' },
+  78: { input: 'gallery', name: 'Gallery list', kind: 'gallery' },
+  25: { input: 'file', kind: 'file' },
+  26: { input: 'video', name: 'YouTube', kind: 'youtube' },
+  27: { input: 'code', kind: 'html' },
+  77: { input: 'code', name: 'Iframe', kind: 'html' },
+  28: { input: 'repeater', name: 'Buttons', kind: 'buttons' },
+  33: { input: 'repeater', name: 'Feature list', kind: 'features' },
+  37: { input: 'dropdown', name: 'Spacer', kind: 'skip' },
+  38: { input: 'chunk', name: 'Contact form', kind: 'contact-form' },
+  124: { input: 'textarea', name: 'Trapez overlay', kind: 'textarea' },
+  177: { input: 'repeater', name: 'FAQ', kind: 'faq' },
+  180: { input: 'repeater', name: 'Content sections', kind: 'sections' },
+  183: { input: 'repeater', name: 'LLM info', kind: 'repeater' },
+  186: { input: 'repeater', name: 'Expert card', kind: 'person' },
+  196: { input: 'repeater', name: 'Expert profile', kind: 'person' },
+  202: { input: 'repeater', name: 'Expert cards grid', kind: 'person' },
+};
+
+/**
+ * Row handlers for contentblocks_layout / contentblocks_field, collecting
+ * parsed definitions into `defs` ({ layouts, fields } maps keyed by ID).
+ */
+function contentBlocksRowHandlers(defs) {
+  return {
+    contentblocks_layout: (row, info) => {
+      const r = rowToRecord(row, info.columns, 'contentblocks_layout', info.table);
+      const columns = parseJsonField(r.columns, []);
+      const settings = parseJsonField(r.settings, []);
+      defs.layouts.set(Number(r.id), classifyLayout({
+        id: Number(r.id),
+        name: r.name || '',
+        columns: Array.isArray(columns) ? columns : [],
+        settings: Array.isArray(settings) ? settings.map(st => st.reference).filter(Boolean) : [],
+      }));
+    },
+    contentblocks_field: (row, info) => {
+      const r = rowToRecord(row, info.columns, 'contentblocks_field', info.table);
+      const properties = parseJsonField(r.properties, {});
+      // Repeater sub-fields live in properties.group (itself JSON-encoded)
+      const group = parseJsonField(properties.group, []);
+      defs.fields.set(Number(r.id), {
+        id: Number(r.id),
+        input: String(r.input || '').toLowerCase(),
+        name: r.name || '',
+        properties,
+        subKeys: Array.isArray(group) ? group.map(g => g.key).filter(Boolean) : [],
+      });
+    },
+  };
+}
+
+function parseJsonField(value, fallback) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Layout definition for an ID — from the dump, else the legacy table — with
+ * any --mapping override (matched by ID or layout name) applied on top.
+ */
+function getLayoutDef(id) {
+  const def = contentBlocksDefs.layouts.size > 0
+    ? contentBlocksDefs.layouts.get(Number(id)) || null
+    : LEGACY_LAYOUTS[id] || null;
+  const override = mappingEntry('layouts', id, def && def.name);
+  if (!override) return def;
+
+  const merged = { name: '', kind: 'columns', refs: [], ratio: null, ...def, ...override };
+  if (override.columns) merged.refs = override.columns;
+  return merged;
+}
+
+function getFieldDef(id) {
+  if (contentBlocksDefs.fields.size > 0) return contentBlocksDefs.fields.get(Number(id)) || null;
+  return LEGACY_FIELDS[id] || null;
+}
+
+/**
+ * Decide how a layout definition from the dump is processed, by its column
+ * keys and settings rather than its ID. Adds { kind, refs, ratio }.
+ *   - no columns                          → divider
+ *   - an `expert` column                  → article
+ *   - one column + hero name or bg image  → hero
+ *   - otherwise                           → columns (ratio from column widths)
+ */
+function classifyLayout(def) {
+  const refs = def.columns.map(c => c.reference).filter(Boolean);
+  const name = def.name.toLowerCase();
+  let kind = 'columns';
+  if (refs.length === 0) {
+    kind = 'divider';
+  } else if (refs.includes('expert')) {
+    kind = 'article';
+  } else if (refs.length === 1 && (/hero|header|banner|bühne|stage/.test(name) || def.settings.some(st => /^bg(img|video)$/.test(st)))) {
+    kind = 'hero';
+  }
+  const ratio = refs.length > 1 ? columnRatio(def.columns.filter(c => c.reference)) : null;
+  return { ...def, kind, refs, ratio };
+}
+
+/**
+ * Column widths of a multi-column layout, as given — percentages or
+ * 12-column grid units, the grid only uses their proportions. Missing
+ * widths mean equal columns.
+ */
+function columnRatio(columns) {
+  const widths = columns.map(c => parseFloat(c.width || c.size));
+  if (widths.some(w => !(w > 0))) return equalRatio(columns.length);
+  return widths;
+}
+
+function equalRatio(count) {
+  return Array(count).fill(Math.round(100 / count));
+}
+
+/**
+ * Column widths from a mapping entry: an array of numbers or a string like
+ * "80-20" / "33|33|33". Null unless every width is a positive number.
+ */
+function parseRatio(value) {
+  const widths = Array.isArray(value)
+    ? value.map(Number)
+    : typeof value === 'string' ? value.split(/[-|:\/]/).map(w => parseFloat(w)) : [];
+  return widths.length > 0 && widths.every(w => w > 0) ? widths : null;
+}
+
+/**
+ * Grid block for a multi-column layout. A ratio that does not match the
+ * number of cells (a mapping override with other columns) falls back to
+ * equal widths.
+ */
+function gridBlock(def, cells) {
+  const ratio = def.ratio && def.ratio.length === cells.length ? def.ratio : equalRatio(cells.length);
+  return {
+    type: 'grid',
+    columns: ratio,
+    ...(def.stackBelow ? { stackBelow: def.stackBelow } : {}),
+    cells,
+  };
+}
+
+/**
+ * Processor kind for a content field: from the field definition's input type,
+ * repeaters further by their sub-field keys and name (see classifyRepeater).
+ */
+function fieldKind(field) {
+  if (!field.field) return 'empty';
+  const def = getFieldDef(field.field);
+  const override = mappingEntry('fields', field.field, def && def.name);
+  if (override) return override.kind;
+  if (!def) return 'unknown';
+  if (def.kind) return def.kind;
+
+  switch (def.input) {
+    case 'heading':
+      return 'heading';
+    case 'richtext':
+      return 'richtext';
+    case 'textarea':
+    case 'textfield':
+    case 'quote':
+    case 'list':
+    case 'table':
+      return 'textarea';
+    case 'image':
+    case 'imagewithtitle':
+    case 'image_with_title':
+      return 'image';
+    case 'gallery':
+      return 'gallery';
+    case 'file':
+      return 'file';
+    case 'video':
+    case 'youtube':
+      return 'youtube';
+    case 'code':
+    case 'iframe':
+      return 'html';
+    case 'hr':
+      return 'divider';
+    case 'layout':
+      return 'layout';
+    case 'chunk':
+    case 'chunkselector':
+      if (/form|kontakt|contact/i.test(def.name)) return 'contact-form';
+      return 'skip';
+    case 'dropdown':
+    case 'checkbox':
+    case 'colorpicker':
+    case 'hidden':
+      return 'skip';
+    case 'repeater':
+      return classifyRepeater(def, field);
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Pick a processor for a repeater by its name, then by the keys of its
+ * sub-fields (definition group, falling back to the keys of the actual rows).
+ */
+function classifyRepeater(def, field) {
+  const keys = new Set(def.subKeys.length > 0 ? def.subKeys : Object.keys((field.rows || [])[0] || {}));
+  const has = (...k) => k.some(key => keys.has(key));
+  const name = def.name.toLowerCase();
+
+  if ((has('question') && has('answer')) || /faq/.test(name)) return 'faq';
+  if (has('expert-name') || /expert|author|autor/.test(name)) return 'person';
+  if (/accordion|akkordeon|toggle/.test(name)) return 'accordion';
+  if (/slider|slide|carousel|karussell/.test(name) || (has('image') && has('text') && !has('headline'))) return 'slider';
+  if (has('headline') && has('link', 'button-text')) return 'linkbox';
+  if (/button|link/.test(name) || (has('link', 'url') && has('text', 'linktext'))) return 'buttons';
+  if ((has('img') && has('wert')) || /feature|icon/.test(name)) return 'features';
+  if (has('headline', 'title') && has('inhalt', 'content')) return 'accordion';
+  if (has('title') && has('text')) return 'sections';
+  return 'repeater';
+}
+
 // ─── ContentBlocks Processing ───────────────────────────────────────
 
 /**
@@ -728,29 +2064,24 @@ function processLayoutBlock(layoutBlock, resourceMap) {
     fullWidth: settings.randlos === 'fullwidth',
   };
 
-  switch (layoutId) {
-    // Layout 9: Hero / Header with background image
-    case 9:
-      return processHeroLayout(content, settings, resourceMap);
-
-    // Layout 1: 1-column
-    case 1:
-      return processOneColumnLayout(content, settings, sectionSettings, resourceMap);
-
-    // Layout 2: 50|50
-    case 2:
-      return processTwoColumnLayout(content, settings, sectionSettings, '50-50', resourceMap);
+  const def = getLayoutDef(layoutId);
+  const custom = runPluginProcessors(pluginRegistry.layouts, layoutBlock, layoutId, def, def && def.kind, resourceMap);
+  if (custom !== undefined) return custom;
 
-    // Layout 3: 60|40
-    case 3:
-      return processTwoColumnLayout(content, settings, sectionSettings, '60-40', resourceMap);
+  if (!def) {
+    edgeCases.push({ type: 'unknown_layout', layoutId, title });
+    // Try generic processing
+    return processGenericLayout(content, settings, sectionSettings, resourceMap);
+  }
 
-    // Layout 4: 40|60
-    case 4:
-      return processTwoColumnLayout(content, settings, sectionSettings, '40-60', resourceMap);
+  const refs = def.refs;
+  switch (def.kind) {
+    // Hero / header with background image
+    case 'hero':
+      return processHeroLayout(content, settings, resourceMap, refs[0]);
 
-    // Layout 5: Divider
-    case 5:
+    // Divider (layout without content columns)
+    case 'divider':
       return {
         type: 'divider',
         width: mapTrennerWidth(settings.trennerwidth),
@@ -758,72 +2089,32 @@ function processLayoutBlock(layoutBlock, resourceMap) {
         marginBottom: settings.marginB || '',
       };
 
-    // Layout 6: 30|30|30
-    case 6:
-      return processThreeColumnLayout(content, settings, sectionSettings, resourceMap);
-
-    // Layout 8: 30|70
-    case 8:
-      return processTwoColumnLayout(content, settings, sectionSettings, '30-70', resourceMap);
-
-    // Layout 7: 70|30
-    case 7:
-      return processTwoColumnLayout(content, settings, sectionSettings, '70-30', resourceMap);
-
-    // Layout 10: 80|20
-    case 10:
-      return processTwoColumnLayout(content, settings, sectionSettings, '70-30', resourceMap);
-
-    // Layout 11: 20|80
-    case 11:
-      return processTwoColumnLayout(content, settings, sectionSettings, '30-70', resourceMap);
-
-    // Layout 12: 75|25
-    case 12:
-      return processTwoColumnLayout(content, settings, sectionSettings, '70-30', resourceMap);
-
-    // Layout 13: 25|75
-    case 13:
-      return processTwoColumnLayout(content, settings, sectionSettings, '30-70', resourceMap);
-
-    // Layout 15: 33|66
-    case 15:
-      return processTwoColumnLayout(content, settings, sectionSettings, '30-70', resourceMap);
-
-    // Layout 16: 66|33
-    case 16:
-      return processTwoColumnLayout(content, settings, sectionSettings, '70-30', resourceMap);
-
-    // Layout 17: Full-width section (alias for 1-column)
-    case 17:
-      return processOneColumnLayout(content, settings, sectionSettings, resourceMap);
-
-    // Layout 21: Image/media gallery
-    case 21:
-      return processOneColumnLayout(content, settings, sectionSettings, resourceMap);
-
-    // Layout 18: 25|25|25|25
-    case 18:
-      return processFourColumnLayout(content, settings, sectionSettings, resourceMap);
-
-    // Layout 19: AI Article
-    case 19:
+    // AI article / expert page (expert + content repeaters)
+    case 'article':
       return processArticleLayout(content, settings, resourceMap);
 
-    // Layout 20: AI Expert Page
-    case 20:
-      return processExpertLayout(content, settings, resourceMap);
+    case 'columns':
+      switch (refs.length) {
+        case 1:
+          return processOneColumnLayout(content, settings, sectionSettings, resourceMap, refs[0]);
+        case 2:
+          return processTwoColumnLayout(content, settings, sectionSettings, def, resourceMap, refs);
+        case 3:
+          return processThreeColumnLayout(content, settings, sectionSettings, def, resourceMap, refs);
+        case 4:
+          return processFourColumnLayout(content, settings, sectionSettings, def, resourceMap, refs);
+        default:
+          return processGenericLayout(content, settings, sectionSettings, resourceMap);
+      }
 
     default:
-      edgeCases.push({ type: 'unknown_layout', layoutId, title });
-      // Try generic processing
       return processGenericLayout(content, settings, sectionSettings, resourceMap);
   }
 }
 
-function processHeroLayout(content, settings, resourceMap) {
-  // Extract heading text from the "inhalt" content area
-  const inhaltFields = content.inhalt || [];
+function processHeroLayout(content, settings, resourceMap, ref = 'inhalt') {
+  // Extract heading text from the hero's content area ("inhalt" in the built-in layout)
+  const inhaltFields = content[ref] || [];
   let title = '';
   let subtitle = '';
 
@@ -832,7 +2123,7 @@ function processHeroLayout(content, settings, resourceMap) {
   const heroH1Texts = [];
   const heroEyebrowTexts = [];
   for (const field of inhaltFields) {
-    if (field.field === 2) { // Heading field
+    if (fieldKind(field) === 'heading') {
       const text = cleanHtml(resolveResourceLinks(field.value || '', resourceMap));
       if (!text) continue;
       if (field.level === 'h1') {
@@ -858,11 +2149,11 @@ function processHeroLayout(content, settings, resourceMap) {
     }
   }
 
-  // Fallback: if no heading fields found, try richtext (field=3)
+  // Fallback: if no heading fields found, try richtext fields
   // Some hero blocks store content as HTML in richtext fields
   if (!title) {
     for (const field of inhaltFields) {
-      if (field.field === 3 && field.value) {
+      if (fieldKind(field) === 'richtext' && field.value) {
         const html = resolveResourceLinks(field.value, resourceMap);
         // Extract heading (h1-h6) as title
         const headingMatch = html.match(/<h[1-6][^>]*>(.*?)<\/h[1-6]>/is);
@@ -892,8 +2183,8 @@ function processHeroLayout(content, settings, resourceMap) {
   };
 }
 
-function processOneColumnLayout(content, settings, sectionSettings, resourceMap) {
-  const mainFields = content.main || [];
+function processOneColumnLayout(content, settings, sectionSettings, resourceMap, ref = 'main') {
+  const mainFields = content[ref] || [];
   const children = processContentFields(mainFields, resourceMap);
 
   if (children.length === 0) return null;
@@ -905,9 +2196,9 @@ function processOneColumnLayout(content, settings, sectionSettings, resourceMap)
   };
 }
 
-function processTwoColumnLayout(content, settings, sectionSettings, columns, resourceMap) {
-  const leftFields = content.left || [];
-  const rightFields = content.right || [];
+function processTwoColumnLayout(content, settings, sectionSettings, def, resourceMap, refs = ['left', 'right']) {
+  const leftFields = content[refs[0]] || [];
+  const rightFields = content[refs[1]] || [];
 
   const leftBlocks = processContentFields(leftFields, resourceMap);
   const rightBlocks = processContentFields(rightFields, resourceMap);
@@ -917,20 +2208,14 @@ function processTwoColumnLayout(content, settings, sectionSettings, columns, res
   return {
     type: 'section',
     ...sectionSettings,
-    children: [
-      {
-        type: 'grid',
-        columns,
-        cells: [leftBlocks, rightBlocks],
-      },
-    ],
+    children: [gridBlock(def, [leftBlocks, rightBlocks])],
   };
 }
 
-function processThreeColumnLayout(content, settings, sectionSettings, resourceMap) {
-  const leftFields = content.left || [];
-  const middleFields = content.middle || [];
-  const rightFields = content.right || [];
+function processThreeColumnLayout(content, settings, sectionSettings, def, resourceMap, refs = ['left', 'middle', 'right']) {
+  const leftFields = content[refs[0]] || [];
+  const middleFields = content[refs[1]] || [];
+  const rightFields = content[refs[2]] || [];
 
   const leftBlocks = processContentFields(leftFields, resourceMap);
   const middleBlocks = processContentFields(middleFields, resourceMap);
@@ -953,44 +2238,30 @@ function processThreeColumnLayout(content, settings, sectionSettings, resourceMa
   return {
     type: 'section',
     ...sectionSettings,
-    children: [{
-      type: 'grid',
-      columns: '30-30-30',
-      cells: [leftBlocks, middleBlocks, rightBlocks],
-    }],
+    children: [gridBlock(def, [leftBlocks, middleBlocks, rightBlocks])],
   };
 }
 
-function processFourColumnLayout(content, settings, sectionSettings, resourceMap) {
-  const cols = ['left', 'middle', 'middle2', 'right'].map(key => 
+function processFourColumnLayout(content, settings, sectionSettings, def, resourceMap, refs = ['left', 'middle', 'middle2', 'right']) {
+  const cols = refs.map(key => 
     processContentFields(content[key] || [], resourceMap)
   );
 
   return {
     type: 'section',
     ...sectionSettings,
-    children: [{
-      type: 'grid',
-      columns: '25-25-25-25',
-      cells: cols,
-    }],
+    children: [gridBlock(def, cols)],
   };
 }
 
 function processArticleLayout(content, settings, resourceMap) {
   const blocks = [];
   
-  // Process expert section
+  // Expert section — the authors of the article
   const expertFields = content.expert || [];
   for (const field of expertFields) {
-    if (field.rows) {
-      for (const row of field.rows) {
-        blocks.push({
-          type: 'html',
-          content: buildExpertCardHtml(row, resourceMap),
-        });
-      }
-    }
+    const authors = buildPersonBlock(field.rows || [], resourceMap);
+    if (authors.items.length > 0) blocks.push({ ...authors, author: true });
   }
 
   // Process content sections
@@ -998,23 +2269,23 @@ function processArticleLayout(content, settings, resourceMap) {
   for (const field of contentFields) {
     if (field.rows) {
       for (const row of field.rows) {
-        if (row.title && row.text) {
+        if (rowField(row, 'sections', 'title') && rowField(row, 'sections', 'text')) {
           blocks.push({
             type: 'heading',
-            text: resolveResourceLinks(row.title.value || '', resourceMap),
+            text: resolveResourceLinks(rowValue(row, 'sections', 'title'), resourceMap),
             level: 'h2',
           });
           blocks.push({
             type: 'text',
-            content: resolveResourceLinks(row.text.value || '', resourceMap),
+            content: resolveResourceLinks(rowValue(row, 'sections', 'text'), resourceMap),
           });
         }
-        // FAQ items
-        if (row.question && row.answer) {
-          blocks.push({
-            type: 'html',
-            content: buildFaqHtml(row, resourceMap),
-          });
+        // FAQ items — consecutive rows form one FAQ block
+        const faq = buildFaqBlock([row], resourceMap);
+        if (faq) {
+          const last = blocks[blocks.length - 1];
+          if (last && last.type === 'faq') last.items.push(...faq.items);
+          else blocks.push(faq);
         }
       }
     }
@@ -1023,11 +2294,6 @@ function processArticleLayout(content, settings, resourceMap) {
   return blocks.length > 0 ? blocks : null;
 }
 
-function processExpertLayout(content, settings, resourceMap) {
-  // Similar to article but different structure
-  return processArticleLayout(content, settings, resourceMap);
-}
-
 function processGenericLayout(content, settings, sectionSettings, resourceMap) {
   const allFields = [];
   for (const key of Object.keys(content)) {
@@ -1047,6 +2313,62 @@ function processGenericLayout(content, settings, sectionSettings, resourceMap) {
   };
 }
 
+// ─── Nested Layouts ─────────────────────────────────────────────────
+
+// Layout fields nest at most this deep — the theme's block schema allows
+// grids and sections inside grid cells down to this level
+const MAX_LAYOUT_NESTING = 2;
+
+// Nesting level of the layout field being processed
+let layoutNesting = 0;
+
+/**
+ * Blocks of a "layout" field — ContentBlocks layouts placed inside a column.
+ * The field holds its layouts like the top level does (`layouts: [...]`, or
+ * a single `layout` / `content` / `settings`). Sections without settings of
+ * their own are unwrapped, the surrounding column already frames them;
+ * layouts nested deeper than MAX_LAYOUT_NESTING are flattened into their
+ * blocks and reported.
+ */
+function processNestedLayouts(field, resourceMap) {
+  const layouts = Array.isArray(field.layouts) ? field.layouts : field.content ? [field] : [];
+  const blocks = [];
+
+  layoutNesting++;
+  try {
+    for (const layoutBlock of layouts) {
+      try {
+        const processed = processLayoutBlock(layoutBlock, resourceMap);
+        if (processed) blocks.push(...[].concat(processed));
+      } catch (err) {
+        edgeCases.push({ type: 'block_error', layout: layoutBlock.layout, error: err.message });
+      }
+    }
+  } finally {
+    layoutNesting--;
+  }
+
+  const unwrapped = blocks.flatMap(b => (isPlainSection(b) ? b.children : [b]));
+  if (layoutNesting < MAX_LAYOUT_NESTING) return unwrapped;
+
+  edgeCases.push({ type: 'layout_nesting_too_deep', field: field.field, depth: layoutNesting + 1 });
+  return flattenBlocks(unwrapped);
+}
+
+function isPlainSection(block) {
+  return block.type === 'section' && !block.marginTop && !block.marginBottom && !block.backgroundColor
+    && !block.textAlign && !block.anchor && !block.fullWidth;
+}
+
+/** Leaf blocks of sections and grids, in reading order. */
+function flattenBlocks(blocks) {
+  return blocks.flatMap((block) => {
+    if (block.type === 'section') return flattenBlocks(block.children || []);
+    if (block.type === 'grid') return flattenBlocks((block.cells || []).flat());
+    return [block];
+  });
+}
+
 // ─── Content Field Processing ───────────────────────────────────────
 
 /**
@@ -1058,8 +2380,18 @@ function processContentFields(fields, resourceMap) {
   for (const field of fields) {
     const fieldType = field.field;
 
-    switch (fieldType) {
-      case 2: // Heading
+    if (pluginRegistry.fields.length > 0) {
+      const custom = runPluginProcessors(pluginRegistry.fields, field, fieldType, getFieldDef(fieldType), fieldKind(field), resourceMap);
+      if (custom !== undefined) {
+        if (custom) blocks.push(...[].concat(custom));
+        continue;
+      }
+    }
+
+    // Processor chosen by the field's input type (and, for repeaters, its
+    // sub-field keys) — see fieldKind()
+    switch (fieldKind(field)) {
+      case 'heading':
         blocks.push({
           type: 'heading',
           text: cleanHtml(resolveResourceLinks(field.value || '', resourceMap)),
@@ -1068,7 +2400,7 @@ function processContentFields(fields, resourceMap) {
         });
         break;
 
-      case 3: { // Richtext / Textarea
+      case 'richtext': {
         const richContent = fixHtmlRelativePaths(resolveResourceLinks(field.value || '', resourceMap));
 
         // ── Images-only detection ──────────────────────────────────────────────
@@ -1107,7 +2439,7 @@ function processContentFields(fields, resourceMap) {
         break;
       }
 
-      case 4: // Image
+      case 'image':
         blocks.push({
           type: 'image',
           src: resolveImagePath(field.url || ''),
@@ -1126,20 +2458,21 @@ function processContentFields(fields, resourceMap) {
         });
         break;
 
-      case 14: // Repeater (slider with image + text)
+      case 'slider': // Repeater with image + text rows
         if (field.rows) {
           const slides = field.rows.map(row => {
             // Strip the MODX ContentBlocks "(link)" placeholder injected into slide text
-            const rawText = (row.text?.value || '')
+            const rawText = rowValue(row, 'slider', 'text')
               .replace(/<p>\s*\(link\)\s*<strong[^>]*>[\s\S]*?<\/strong>\s*<\/p>/gi, '')
               .replace(/<p>\s*\(link\)\s*<\/p>/gi, '')
               .replace(/\(link\)/gi, '');
+            const buttonLink = rowField(row, 'slider', 'link');
             return {
-              image: resolveImagePath(row.image?.url || ''),
+              image: resolveImagePath(rowField(row, 'slider', 'image')?.url || ''),
               title: resolveResourceLinks(extractTextFromHtml(rawText), resourceMap),
               text: resolveResourceLinks(stripTitleFromHtml(rawText), resourceMap),
-              link: row['button-link']
-                ? resolveResourceLinks(row['button-link'].linkType === 'resource' ? `[[~${row['button-link'].link}]]` : (row['button-link'].link || ''), resourceMap)
+              link: buttonLink
+                ? resolveResourceLinks(buttonLink.linkType === 'resource' ? `[[~${buttonLink.link}]]` : (buttonLink.link || ''), resourceMap)
                 : extractFirstLink(resolveResourceLinks(rawText, resourceMap)),
             };
           });
@@ -1147,17 +2480,17 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 5: // Link Box repeater — can be either card-style (headline+text+button) or plain links
+      case 'linkbox': // Link Box repeater — can be either card-style (headline+text+button) or plain links
         if (field.rows) {
           // Detect structure: if any row has a 'headline' subfield → card layout
-          const isCardLayout = field.rows.some(row => row.headline);
+          const isCardLayout = field.rows.some(row => rowField(row, 'linkbox', 'headline'));
           if (isCardLayout) {
             // Each row is a card: heading + body text + button link
             for (const row of field.rows) {
-              const headlineText = row.headline?.value || '';
-              const bodyText = row.text?.value || '';
-              const btnText = row['button-text']?.value || '';
-              const linkData = row.link || {};
+              const headlineText = rowValue(row, 'linkbox', 'headline');
+              const bodyText = rowValue(row, 'linkbox', 'text');
+              const btnText = rowValue(row, 'linkbox', 'buttonText');
+              const linkData = rowField(row, 'linkbox', 'link') || {};
               // Resolve resource link: {link: "7", linkType: "resource"} → url
               let url = '';
               if (linkData.link) {
@@ -1179,10 +2512,10 @@ function processContentFields(fields, resourceMap) {
           } else {
             // Plain link/button list: {text, url} rows
             const links = field.rows.map(row => ({
-              text: row.text?.value || row.linktext?.value || '',
-              url: resolveResourceLinks(row.link?.value || row.url?.value || '', resourceMap),
-              file: row.file?.files?.[0]?.url || '',
-              newTab: row.newtab?.checked === '1',
+              text: rowValue(row, 'buttons', 'text'),
+              url: resolveResourceLinks(rowValue(row, 'buttons', 'url'), resourceMap),
+              file: rowField(row, 'buttons', 'file')?.files?.[0]?.url || '',
+              newTab: rowField(row, 'buttons', 'newTab')?.checked === '1',
             })).filter(l => l.text || l.url);
             if (links.length > 0) {
               blocks.push({ type: 'buttons', links });
@@ -1191,11 +2524,11 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 11: // Accordion repeater
+      case 'accordion':
         if (field.rows) {
           const items = field.rows.map(row => ({
-            title: row.headline?.value || row.title?.value || '',
-            content: resolveResourceLinks(row.inhalt?.value || row.text?.value || row.content?.value || '', resourceMap),
+            title: rowValue(row, 'accordion', 'title'),
+            content: resolveResourceLinks(rowValue(row, 'accordion', 'content'), resourceMap),
           })).filter(a => a.title);
           if (items.length > 0) {
             blocks.push({ type: 'accordion', items, negative: field.settings?.accordionnegativ === '1' });
@@ -1203,8 +2536,7 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 22: // Gallery (image gallery slider)
-      case 78: // Gallery list
+      case 'gallery':
         if (field.files || field.images) {
           const images = (field.files || field.images || []).map(img => ({
             src: resolveImagePath(img.url || ''),
@@ -1219,7 +2551,7 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 25: // File/Video upload
+      case 'file': // File/Video upload
         if (field.files && field.files.length > 0) {
           const file = field.files[0];
           if (file.extension === 'mp4' || file.extension === 'webm') {
@@ -1230,28 +2562,27 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 26: // YouTube video
+      case 'youtube':
         blocks.push({
           type: 'youtube',
           url: field.value || field.url || '',
         });
         break;
 
-      case 27: // Code / raw HTML
-      case 77: // Iframe
+      case 'html': // Code / iframe
         blocks.push({
           type: 'html',
           content: fixHtmlRelativePaths(field.value || ''),
         });
         break;
 
-      case 28: // Buttons repeater
+      case 'buttons':
         if (field.rows) {
           const links = field.rows.map(row => ({
-            text: row.text?.value || row.linktext?.value || '',
-            url: resolveResourceLinks(row.link?.value || row.url?.value || '', resourceMap),
-            file: row.file?.files?.[0]?.url || '',
-            newTab: row.newtab?.checked === '1',
+            text: rowValue(row, 'buttons', 'text'),
+            url: resolveResourceLinks(rowValue(row, 'buttons', 'url'), resourceMap),
+            file: rowField(row, 'buttons', 'file')?.files?.[0]?.url || '',
+            newTab: rowField(row, 'buttons', 'newTab')?.checked === '1',
           })).filter(l => l.text || l.url);
           if (links.length > 0) {
             blocks.push({ type: 'buttons', links });
@@ -1259,65 +2590,63 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 33: // Repeater (feature list with icon + label)
+      case 'features': // Repeater with icon + label rows
         if (field.rows) {
           const items = field.rows.map(row => ({
-            icon: resolveImagePath(row.img?.url || ''),
-            label: row.wert?.value || '',
+            icon: resolveImagePath(rowField(row, 'features', 'icon')?.url || ''),
+            label: rowValue(row, 'features', 'label'),
           }));
           blocks.push({ type: 'features', items });
         }
         break;
 
-      case 37: // Spacer (margin classes) — skip, handled by section margins
+      case 'skip': // Spacers (margin classes, handled by section margins), settings-only inputs
         break;
 
-      case 38: // Contact form chunk
-        blocks.push({ type: 'contact-form' });
+      case 'contact-form':
+        blocks.push(processFormChunk(getFieldDef(fieldType), resourceMap));
         break;
 
-      case 124: // Richtext (trapez overlay)
+      case 'textarea':
         blocks.push({
           type: 'text',
           content: resolveResourceLinks(field.value || '', resourceMap),
         });
         break;
 
-      case 177: // FAQ repeater
-        if (field.rows) {
-          for (const row of field.rows) {
-            blocks.push({
-              type: 'html',
-              content: buildFaqHtml(row, resourceMap),
-            });
-          }
-        }
+      case 'faq': {
+        const faq = buildFaqBlock(field.rows || [], resourceMap);
+        if (faq) blocks.push(faq);
         break;
+      }
+
+      case 'person': { // Expert / author cards
+        const people = buildPersonBlock(field.rows || [], resourceMap);
+        if (people.items.length > 0) blocks.push(people);
+        break;
+      }
 
-      case 180: // Content section repeater (title + text)
+      case 'sections': // Repeater with title + text rows
         if (field.rows) {
           for (const row of field.rows) {
-            if (row.title) {
+            if (rowField(row, 'sections', 'title')) {
               blocks.push({
                 type: 'heading',
-                text: resolveResourceLinks(row.title.value || '', resourceMap),
+                text: resolveResourceLinks(rowValue(row, 'sections', 'title'), resourceMap),
                 level: 'h2',
               });
             }
-            if (row.text) {
+            if (rowField(row, 'sections', 'text')) {
               blocks.push({
                 type: 'text',
-                content: resolveResourceLinks(row.text.value || '', resourceMap),
+                content: resolveResourceLinks(rowValue(row, 'sections', 'text'), resourceMap),
               });
             }
           }
         }
         break;
 
-      case 183: // LLM info repeater (title + text sections)
-      case 186: // Expert card repeater
-      case 196: // Expert profile repeater
-      case 202: // Expert cards grid repeater
+      case 'repeater': // Any other repeater — output all sub-field values
         if (field.rows) {
           for (const row of field.rows) {
             // Generic: output all text-like values
@@ -1343,7 +2672,15 @@ function processContentFields(fields, resourceMap) {
         }
         break;
 
-      case 0: // Empty/default field
+      case 'divider':
+        blocks.push({ type: 'divider', width: mapTrennerWidth(field.settings?.trennerwidth), marginTop: '', marginBottom: '' });
+        break;
+
+      case 'layout':
+        blocks.push(...processNestedLayouts(field, resourceMap));
+        break;
+
+      case 'empty':
         break;
 
       default:
@@ -1370,74 +2707,442 @@ function processContentFields(fields, resourceMap) {
   return blocks;
 }
 
-// ─── Resource Processing ────────────────────────────────────────────
+// ─── HTML Cleanup ───────────────────────────────────────────────────
 
-function processResource(resource, resourceMap, clientConfig, redirectMap = null) {
-  // Skip non-document types we can't migrate
-  if (resource.contentType === 'text/xml') return null;
+/**
+ * Defaults of the `htmlCleanup` option. Tags outside the allowed lists are
+ * unwrapped (their content is kept), `dropTags` are removed with their
+ * content. `html` blocks — raw HTML by design — also allow `htmlBlockTags`
+ * and keep their inline styles unless `htmlBlockStyles` is false.
+ */
+const HTML_CLEANUP_DEFAULTS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em', 'u', 's', 'sub', 'sup',
+    'small', 'mark', 'abbr', 'cite', 'q', 'code', 'pre', 'blockquote', 'a', 'span', 'div', 'ul', 'ol', 'li',
+    'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'colgroup', 'col',
+    'img', 'figure', 'figcaption', 'picture', 'source', 'video', 'audio', 'track', 'iframe', 'address',
+    'time', 'details', 'summary', 'section', 'article', 'aside', 'header', 'footer', 'nav',
+  ],
+  // meta and link included: modWebLink pages fall back to <meta http-equiv="refresh">
+  htmlBlockTags: [
+    'script', 'style', 'noscript', 'meta', 'link', 'form', 'input', 'select', 'option', 'optgroup', 'textarea', 'button',
+    'label', 'fieldset', 'legend', 'svg', 'path', 'g', 'circle', 'ellipse', 'rect', 'line', 'polyline',
+    'polygon', 'use', 'defs', 'symbol', 'canvas', 'object', 'embed', 'param',
+  ],
+  dropTags: ['script', 'style', 'noscript', 'object', 'embed', 'applet', 'meta', 'link', 'base', 'title', 'head', 'xml'],
+  // Headings (heading blocks, hero titles) keep inline markup only — they are bold already
+  headingTags: ['a', 'em', 'u', 's', 'sub', 'sup', 'small', 'span', 'br', 'abbr', 'code', 'mark'],
+  // Inline style properties kept; every other declaration is stripped
+  allowedStyles: ['text-align'],
+  htmlBlockStyles: true,
+  // One h1 per page, no skipped heading levels
+  fixHeadingLevels: true,
+  // Empty paragraphs and inline wrappers, leading/trailing line breaks
+  removeEmpty: true,
+};
 
-  // Handle static resources (PDFs etc.)
-  if (resource.class_key === 'modStaticResource') {
-    return processStaticResource(resource);
-  }
+// Presentational tags replaced by their semantic counterparts (`tag_normalized`)
+const TAG_NORMALIZATION = { b: 'strong', i: 'em' };
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+// Elements whose end tag may be left out — not reported when unclosed
+const OPTIONAL_END_ELEMENTS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'option', 'thead', 'tbody', 'tfoot', 'colgroup']);
+// Open elements a start tag closes (<li> after <li>, <td> after <td>, …); block elements also close a <p>
+const IMPLIED_END = {
+  p: ['p'], li: ['li'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], option: ['option'],
+  tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'],
+  thead: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  tfoot: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+};
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'figure', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'nav', 'ol', 'pre', 'section', 'table', 'ul',
+]);
+// Removed when they hold nothing but whitespace and line breaks
+const EMPTY_REMOVABLE = new Set(['p', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'font', 'small', 'sub', 'sup', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
 
-  // Handle modWebLink (MODX redirect resources).
-  // The content field contains the target reference, e.g. [[~37]]#liefergebiet
-  // These are not content pages — render a meta-refresh + JS redirect so that
-  // any inbound link is forwarded transparently without requiring server config.
-  if (resource.class_key === 'modWebLink') {
-    const rawTarget = resource.content || '';
-    // Step 1: resolve [[~N]] placeholders to real paths
-    let resolvedTarget = resolveResourceLinks(rawTarget, resourceMap) || '/';
-    // Step 2: apply SEO Suite redirect chain to the BASE path so that any
-    // #anchor fragment is preserved even when the base path has a 301 redirect.
-    // Without this, the browser strips the hash before the HTTP request, the
-    // server 301s the bare path, and the anchor is silently lost.
-    if (redirectMap) {
-      resolvedTarget = applyRedirectChain(resolvedTarget, redirectMap);
+// Changes of the running migration by type, for the report
+const htmlCleanupStats = {};
+
+/**
+ * Options of the `htmlCleanup` setting merged over the defaults; false
+ * turns the cleanup off. Throws on unknown keys or wrongly typed values.
+ */
+function resolveHtmlCleanup(value) {
+  if (value === false) return false;
+  if (value === undefined || value === null || value === true) return { ...HTML_CLEANUP_DEFAULTS };
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error('htmlCleanup must be false or an object');
+  const errors = [];
+  for (const [key, option] of Object.entries(value)) {
+    const fallback = HTML_CLEANUP_DEFAULTS[key];
+    if (fallback === undefined) errors.push(`unknown option "${key}"`);
+    else if (Array.isArray(fallback) && !(Array.isArray(option) && option.every(v => typeof v === 'string'))) {
+      errors.push(`${key} must be an array of strings`);
+    } else if (typeof fallback === 'boolean' && typeof option !== 'boolean') {
+      errors.push(`${key} must be true or false`);
     }
-    let slug = (resource.uri || resource.alias || '').replace(/\.html$/, '').replace(/\/$/, '');
-    if (!slug) return null; // homepage-level weblink — skip
-    return {
-      outputPath: `${slug}.json`,
-      data: {
-        title: decodeHtmlEntities(resource.longtitle || resource.pagetitle),
-        description: '',
-        slug,
-        template: resource.template,
-        menuTitle: decodeHtmlEntities(resource.menutitle || resource.pagetitle),
-        hideMenu: resource.hidemenu === 1,
-        published: resource.published === 1,
-        blocks: [{
-          type: 'html',
-          // meta refresh as universal fallback; JS redirect fires immediately
-          content: `<meta http-equiv="refresh" content="0;url=${resolvedTarget}">` +
-            `<script>window.location.replace('${resolvedTarget.replace(/'/g, "\\'")}')<\/script>`,
-        }],
-      },
-    };
   }
+  if (errors.length > 0) throw new Error(`htmlCleanup: ${errors.join('; ')}`);
+  const options = { ...HTML_CLEANUP_DEFAULTS, ...value };
+  for (const key of ['allowedTags', 'htmlBlockTags', 'dropTags', 'headingTags', 'allowedStyles']) {
+    options[key] = options[key].map(v => v.toLowerCase());
+  }
+  return options;
+}
 
-  // Extract content blocks from properties JSON
-  const blocks = processContentBlocks(resource.properties, resourceMap);
+/**
+ * Parse an HTML fragment into a node tree: { type: 'element', tag, attrs,
+ * children }, { type: 'text', value } (entities kept as written) and
+ * { type: 'comment', value }. Stray end tags are dropped and unclosed
+ * elements closed; each counts as `markup_fixed` in `changes`.
+ */
+function parseHtmlFragment(html, changes = {}) {
+  const root = { type: 'element', tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const fixed = () => { changes.markup_fixed = (changes.markup_fixed || 0) + 1; };
+  const text = (value) => { if (value) top().children.push({ type: 'text', value }); };
+  const re = /<!--([\s\S]*?)(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let last = 0;
+  let m;
 
-  // If no ContentBlocks, try to extract from raw content field
-  if (blocks.length === 0 && resource.content) {
-    const fallbackContent = cleanModxTags(resource.content);
-    if (fallbackContent.trim()) {
-      blocks.push({
-        type: 'text',
-        content: resolveResourceLinks(fallbackContent, resourceMap),
-      });
+  while ((m = re.exec(html)) !== null) {
+    text(html.slice(last, m.index));
+    last = re.lastIndex;
+    if (m[1] !== undefined) {
+      top().children.push({ type: 'comment', value: m[1] });
+      continue;
+    }
+
+    const tag = m[3].toLowerCase();
+    if (m[2]) {
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) {
+        for (const open of stack.splice(index).slice(1)) {
+          if (!OPTIONAL_END_ELEMENTS.has(open.tag)) fixed();
+        }
+      } else {
+        fixed();
+      }
+      continue;
+    }
+
+    const closes = [...(IMPLIED_END[tag] || []), ...(BLOCK_ELEMENTS.has(tag) ? ['p'] : [])];
+    while (stack.length > 1 && closes.includes(top().tag)) stack.pop();
+
+    const node = { type: 'element', tag, attrs: parseHtmlAttributes(m[4]), children: [] };
+    top().children.push(node);
+    if (VOID_ELEMENTS.has(tag)) continue;
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      // Content up to the end tag is text, not markup
+      const end = html.toLowerCase().indexOf(`</${tag}`, last);
+      const content = html.slice(last, end < 0 ? html.length : end);
+      if (content) node.children.push({ type: 'text', value: content });
+      if (end < 0) fixed();
+      const close = end < 0 ? -1 : html.indexOf('>', end);
+      last = close < 0 ? html.length : close + 1;
+      re.lastIndex = last;
+      continue;
+    }
+    stack.push(node);
+  }
+  text(html.slice(last));
+  for (const open of stack.slice(1)) {
+    if (!OPTIONAL_END_ELEMENTS.has(open.tag)) fixed();
+  }
+  return root.children;
+}
+
+function serializeHtml(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'comment') return `<!--${node.value}-->`;
+    const attrs = Object.entries(node.attrs)
+      .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`))
+      .join('');
+    if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${attrs}>`;
+    return `<${node.tag}${attrs}>${serializeHtml(node.children)}</${node.tag}>`;
+  }).join('');
+}
+
+/**
+ * Heading level that fits the headings before it on the page: a second h1
+ * becomes h2 and no level is skipped going down (h2 → h4 becomes h3).
+ * `headings` is the page's state, { h1: seen, last: level }.
+ */
+function fixHeadingLevel(level, headings) {
+  let fixed = level === 1 && headings.h1 ? 2 : level;
+  if (headings.last && fixed > headings.last + 1) fixed = headings.last + 1;
+  if (fixed === 1) headings.h1 = true;
+  headings.last = fixed;
+  return fixed;
+}
+
+// Whitespace, non-breaking spaces and line breaks only
+function isBlankHtml(nodes) {
+  return nodes.every(node => (node.type === 'text' && /^(?:\s|&nbsp;|&#160;|\u00a0)*$/.test(node.value))
+    || (node.type === 'element' && node.tag === 'br'));
+}
+
+/**
+ * Clean one HTML value. `kind` is 'text', 'html' (raw HTML blocks) or
+ * 'heading' (inline markup only). `headings` carries heading-level state
+ * across the values of a page ({ h1: seen, last: level }). Changes are
+ * added by type to `stats`; a value without changes is returned as it was.
+ */
+function cleanupHtml(value, kind, options = settings.htmlCleanup, stats = htmlCleanupStats, headings = { h1: false, last: 0 }) {
+  if (!options || typeof value !== 'string' || !value) return value;
+  const changes = {};
+  const count = (type) => { changes[type] = (changes[type] || 0) + 1; };
+  const allowed = new Set(kind === 'heading' ? options.headingTags
+    : kind === 'html' ? [...options.allowedTags, ...options.htmlBlockTags] : options.allowedTags);
+  const keepStyles = kind === 'html' && options.htmlBlockStyles;
+
+  const cleanAttributes = (node) => {
+    for (const [name, attr] of Object.entries(node.attrs)) {
+      if (name.startsWith('on') || (URL_ATTRIBUTES.includes(name) && /^\s*(?:javascript|vbscript):/i.test(String(attr)))) {
+        delete node.attrs[name];
+        count('unsafe_attribute_removed');
+      } else if (name === 'style' && !keepStyles) {
+        const declarations = String(attr === true ? '' : attr).split(';').map(d => d.trim()).filter(Boolean);
+        const kept = declarations.filter(d => options.allowedStyles.includes(d.split(':')[0].trim().toLowerCase()));
+        if (kept.length === declarations.length) continue;
+        if (kept.length > 0) node.attrs.style = kept.join('; ');
+        else delete node.attrs.style;
+        count('style_stripped');
+      }
+    }
+  };
+
+  // Leading and trailing line breaks of a block's content
+  const trimBreaks = (children) => {
+    const edges = [children, [...children].reverse()];
+    const remove = new Set();
+    for (const list of edges) {
+      for (const node of list) {
+        if (node.type === 'element' && node.tag === 'br') remove.add(node);
+        else if (!(node.type === 'text' && !node.value.trim())) break;
+      }
+    }
+    if (remove.size > 0) count('whitespace_cleaned');
+    return children.filter(node => !remove.has(node));
+  };
+
+  const cleanNodes = (nodes) => nodes.flatMap((node) => {
+    if (node.type !== 'element') return [node];
+    if (TAG_NORMALIZATION[node.tag] && !allowed.has(node.tag)) {
+      node.tag = TAG_NORMALIZATION[node.tag];
+      count('tag_normalized');
+    }
+    if (!allowed.has(node.tag)) {
+      if (options.dropTags.includes(node.tag)) {
+        count('tag_removed');
+        return [];
+      }
+      count('tag_unwrapped');
+      return cleanNodes(node.children);
+    }
+    cleanAttributes(node);
+    if (options.fixHeadingLevels && /^h[1-6]$/.test(node.tag)) {
+      const level = fixHeadingLevel(Number(node.tag[1]), headings);
+      if (`h${level}` !== node.tag) {
+        node.tag = `h${level}`;
+        count('heading_level_fixed');
+      }
+    }
+    if (!RAW_TEXT_ELEMENTS.has(node.tag)) node.children = cleanNodes(node.children);
+    if (options.removeEmpty) {
+      if (EMPTY_REMOVABLE.has(node.tag) && Object.keys(node.attrs).every(a => a === 'class' || a === 'style') && isBlankHtml(node.children)) {
+        count('empty_removed');
+        return [];
+      }
+      if (['p', 'li', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(node.tag)) node.children = trimBreaks(node.children);
+    }
+    return [node];
+  });
+
+  let nodes = cleanNodes(parseHtmlFragment(value, changes));
+  if (options.removeEmpty && kind === 'heading') nodes = trimBreaks(nodes);
+  let result = serializeHtml(nodes);
+  if (kind !== 'html' && result.trim() !== result) {
+    result = result.trim();
+    count('whitespace_cleaned');
+  }
+
+  if (Object.keys(changes).length === 0) return value;
+  for (const [type, n] of Object.entries(changes)) stats[type] = (stats[type] || 0) + n;
+  return result;
+}
+
+/**
+ * Run cleanupHtml over a page's text, heading and html blocks and hero
+ * titles, sections and grid cells included, in reading order.
+ */
+function cleanupPageHtml(data, options = settings.htmlCleanup, stats = htmlCleanupStats) {
+  if (!options) return;
+  const headings = { h1: false, last: 0 };
+  const clean = (value, kind) => cleanupHtml(value, kind, options, stats, headings);
+
+  const walk = (blocks) => {
+    for (const block of blocks || []) {
+      if (block.type === 'hero') {
+        // The hero title is the page's h1
+        headings.h1 = true;
+        headings.last = 1;
+        block.title = clean(block.title, 'heading');
+        block.subtitle = clean(block.subtitle, 'heading');
+      } else if (block.type === 'heading') {
+        if (options.fixHeadingLevels && /^h[1-6]$/.test(block.level || '')) {
+          const level = `h${fixHeadingLevel(Number(block.level[1]), headings)}`;
+          if (level !== block.level) {
+            block.level = level;
+            stats.heading_level_fixed = (stats.heading_level_fixed || 0) + 1;
+          }
+        }
+        block.text = clean(block.text, 'heading');
+      } else if (block.type === 'text') {
+        block.content = clean(block.content, 'text');
+      } else if (block.type === 'html') {
+        block.content = clean(block.content, 'html');
+      }
+      walk(block.children);
+      for (const cell of block.cells || []) walk(cell);
+    }
+  };
+  walk(data.blocks);
+}
+
+function reportHtmlCleanup() {
+  if (!settings.htmlCleanup) return;
+  const changes = Object.entries(htmlCleanupStats);
+  const total = changes.reduce((sum, [, n]) => sum + n, 0);
+  log.info(`HTML cleanup: ${total} change(s)${total > 0 ? ` — ${changes.map(([type, n]) => `${type} ${n}`).join(', ')}` : ''}`);
+}
+
+// ─── Resource Processing ────────────────────────────────────────────
+
+/**
+ * Short class key of a resource — MODX 3 namespaces them
+ * (`MODX\Revolution\modWebLink`), MODX 2 does not (`modWebLink`).
+ */
+function normalizeClassKey(classKey) {
+  return String(classKey || 'modDocument').split('\\').pop();
+}
+
+// Fields a symlink keeps of its own — everything else comes from its target
+const SYMLINK_OWN_FIELDS = ['uri', 'alias', 'parent', 'menuindex', 'hidemenu', 'published', 'pub_date', 'unpub_date', 'langPrefix', 'context_key', 'protected'];
+
+/**
+ * Target resource of a modSymLink — its content is the target ID (also
+ * accepted as `[[~ID]]`). Chains of symlinks are followed. Missing, deleted
+ * or cyclic targets are reported as `symlink_target_missing`; targets that
+ * are not pages (static resources, files) or protected targets of a public
+ * symlink — their content would leak to its URL — as
+ * `symlink_target_unsupported`.
+ */
+function resolveSymlinkTarget(resource, resources) {
+  const seen = new Set([Number(resource.id)]);
+  let target = resource;
+  while (normalizeClassKey(target.class_key) === 'modSymLink') {
+    const match = String(target.content || '').match(/^\s*(?:\[\[~)?(\d+)/);
+    const id = match ? Number(match[1]) : 0;
+    target = seen.has(id) ? null : resources.find(r => Number(r.id) === id && !r.deleted);
+    if (!target) {
+      log.warn(`Symlink "${resource.pagetitle}": target not found — ${resource.content || '(empty)'}`);
+      edgeCases.push({ type: 'symlink_target_missing', resource: resource.pagetitle, id: Number(resource.id), target: String(resource.content || '') });
+      return null;
+    }
+    seen.add(id);
+  }
+  if (isStaticResource(target) || isFileResource(target)) {
+    edgeCases.push({ type: 'symlink_target_unsupported', resource: resource.pagetitle, id: Number(resource.id), target: Number(target.id) });
+    return null;
+  }
+  if (target.protected && !resource.protected) {
+    log.warn(`Symlink "${resource.pagetitle}": target "${target.pagetitle}" is protected — symlink left out`);
+    edgeCases.push({ type: 'symlink_target_unsupported', resource: resource.pagetitle, id: Number(resource.id), target: Number(target.id), reason: 'protected' });
+    return null;
+  }
+  return target;
+}
+
+function processResource(resource, resourceMap, clientConfig, redirectMap = null, resources = []) {
+  // robots.txt, feeds and other non-HTML documents are files, not pages (see processFileResource)
+  if (isFileResource(resource)) return null;
+
+  // Static resources (PDFs etc.) are downloads, not pages (see resolveStaticResources)
+  if (isStaticResource(resource)) return null;
+
+  // Handle modWebLink (MODX redirect resources).
+  // The content field contains the target reference, e.g. [[~37]]#liefergebiet
+  // These are not content pages — render a meta-refresh + JS redirect so that
+  // any inbound link is forwarded transparently without requiring server config.
+  if (normalizeClassKey(resource.class_key) === 'modWebLink') {
+    const rawTarget = resource.content || '';
+    // Step 1: resolve [[~N]] placeholders to real paths
+    let resolvedTarget = resolveResourceLinks(rawTarget, resourceMap) || '/';
+    // Step 2: apply SEO Suite redirect chain to the BASE path so that any
+    // #anchor fragment is preserved even when the base path has a 301 redirect.
+    // Without this, the browser strips the hash before the HTTP request, the
+    // server 301s the bare path, and the anchor is silently lost.
+    if (redirectMap) {
+      resolvedTarget = applyRedirectChain(resolvedTarget, redirectMap);
+    }
+    let slug = (resource.uri || resource.alias || '').replace(/\.html$/, '').replace(/\/$/, '');
+    if (!slug) return null; // homepage-level weblink — skip
+    return {
+      outputPath: `${slug}.json`,
+      data: {
+        title: decodeHtmlEntities(resource.longtitle || resource.pagetitle),
+        description: '',
+        slug,
+        template: resource.template,
+        menuTitle: decodeHtmlEntities(resource.menutitle || resource.pagetitle),
+        hideMenu: resource.hidemenu === 1,
+        published: resource.published === 1,
+        blocks: [{
+          type: 'html',
+          // meta refresh as universal fallback; JS redirect fires immediately
+          content: `<meta http-equiv="refresh" content="0;url=${resolvedTarget}">` +
+            `<script>window.location.replace('${resolvedTarget.replace(/'/g, "\\'")}')<\/script>`,
+        }],
+      },
+    };
+  }
+
+  // modSymLink: the target's content under the symlink's own URL, with a
+  // canonical tag pointing at the original
+  if (normalizeClassKey(resource.class_key) === 'modSymLink') {
+    const target = resolveSymlinkTarget(resource, resources);
+    if (!target) return null;
+    const ownFields = Object.fromEntries(SYMLINK_OWN_FIELDS.map(field => [field, resource[field]]));
+    const page = processResource({ ...target, ...ownFields, menutitle: resource.menutitle || resource.pagetitle }, resourceMap, clientConfig, redirectMap, resources);
+    if (page) {
+      page.data.canonicalUrl = resolveResourceLinks(`[[~${target.id}]]`, resourceMap);
+      // The original is the page search engines should list
+      page.data.sitemap = false;
     }
+    return page;
+  }
+
+  // Extract content blocks from properties JSON — snippet calls and chunks
+  // in their richtext and code fields are handled like in raw content
+  const blocks = expandSnippetBlocks(processContentBlocks(resource.properties, resourceMap), { resource, resources, resourceMap });
+
+  // If no ContentBlocks, try to extract from raw content field —
+  // known snippet calls in it become blocks of their own
+  if (blocks.length === 0 && resource.content) {
+    blocks.push(...processModxContent(resource.content, { resource, resources, resourceMap }));
   }
 
   // Determine output path
   let slug = resource.uri || resource.alias || '';
   slug = slug.replace(/\.html$/, '').replace(/\/$/, '');
   
-  if (!slug || slug === '' || resource.parent === 0 && resource.menuindex === 0) {
-    // Homepage
+  if (!slug || slug === '' || !resource.langPrefix && !resource.protected && resource.parent === 0 && resource.menuindex === 0) {
+    // Homepage (of the default language — other languages' start pages live at /{prefix})
     return {
       outputPath: 'index.json',
       data: {
@@ -1466,23 +3171,200 @@ function processResource(resource, resourceMap, clientConfig, redirectMap = null
   };
 }
 
-function processStaticResource(resource) {
-  const slug = (resource.uri || resource.alias || '').replace(/\.pdf$/, '').replace(/\.html$/, '');
-  
+// ─── Non-HTML Resources ─────────────────────────────────────────────
+
+// MIME types of MODX's default content types, by content_type ID
+const MODX_CONTENT_TYPES = {
+  1: 'text/html',
+  2: 'text/xml',
+  3: 'text/plain',
+  4: 'text/css',
+  5: 'text/javascript',
+  6: 'application/rss+xml',
+  7: 'application/json',
+  8: 'application/pdf',
+};
+
+// Snippets rendering an XML sitemap — the theme builds its own (@astrojs/sitemap)
+const SITEMAP_SNIPPETS = ['pdositemap', 'googlesitemap', 'sitemap', 'seositemap'];
+
+// The theme's sitemap, which replaces MODX sitemap resources
+const THEME_SITEMAP = '/sitemap-index.xml';
+
+/**
+ * MIME type of a resource — its `contentType`, else its content type ID's.
+ */
+function resourceMimeType(resource) {
+  return String(resource.contentType || MODX_CONTENT_TYPES[Number(resource.content_type_id)] || 'text/html').trim().toLowerCase();
+}
+
+/**
+ * Whether a resource is a non-HTML document (robots.txt, an RSS feed, …)
+ * that is served as a file. Static resources and links are handled apart.
+ */
+function isFileResource(resource) {
+  return !['modStaticResource', 'modWebLink', 'modSymLink'].includes(normalizeClassKey(resource.class_key)) && resourceMimeType(resource) !== 'text/html';
+}
+
+/**
+ * Turn a non-HTML document into a files/ entry — `{ path, contentType, body }`,
+ * served by the theme's [...file].ts endpoint with its MIME type. MODX tags
+ * in the body are resolved (see resolveFileTags).
+ *
+ * A MODX sitemap (sitemap*.xml, or a body calling a sitemap snippet) would
+ * duplicate the theme's: it is reported as `sitemap_conflict` and returned
+ * as `{ sitemapRedirect }` instead — a redirect to the theme's sitemap.
+ */
+function processFileResource(resource, ctx) {
+  const filePath = (resource.uri || resource.alias || '').replace(/^\/+|\/+$/g, '');
+  if (!filePath) return null;
+  const contentType = resourceMimeType(resource);
+  const content = resource.content || '';
+
+  const callsSitemapSnippet = /\[\[!?([\w.-]+)/g;
+  const snippets = [...content.matchAll(callsSitemapSnippet)].map(m => m[1].toLowerCase());
+  if (/(^|\/)sitemap[^/]*\.xml$/i.test(filePath) || snippets.some(name => SITEMAP_SNIPPETS.includes(name))) {
+    log.warn(`Sitemap resource "${resource.pagetitle}" (/${filePath}) conflicts with the theme's sitemap — redirected to ${THEME_SITEMAP}`);
+    edgeCases.push({ type: 'sitemap_conflict', resource: resource.pagetitle, id: Number(resource.id), path: `/${filePath}`, replacedBy: THEME_SITEMAP });
+    return {
+      sitemapRedirect: { id: `sitemap-${resource.id}`, old_url: `/${filePath}`, new_url: THEME_SITEMAP, redirect_type: '301' },
+    };
+  }
+
+  if (!/\.[a-z0-9]+$/i.test(filePath)) {
+    edgeCases.push({ type: 'file_without_extension', resource: resource.pagetitle, path: `/${filePath}`, contentType });
+  }
+
   return {
-    outputPath: `${slug || resource.alias}.json`,
+    outputPath: `${filePath}.json`,
+    collection: 'files',
     data: {
-      title: decodeHtmlEntities(resource.pagetitle),
-      description: decodeHtmlEntities(resource.description || ''),
-      slug,
-      type: 'static',
-      contentType: resource.contentType,
-      staticFile: resource.content, // Path to the static file
-      blocks: [],
+      title: decodeHtmlEntities(resource.pagetitle || ''),
+      path: filePath,
+      contentType,
+      body: resolveFileTags(content, resource, ctx),
     },
   };
 }
 
+/**
+ * Resolve the MODX tags of a file body: chunks, [[*field]] resource fields,
+ * [[++site_url]] and [[~id]] links. Links follow MODX's `&scheme`: relative
+ * to the site root by default (`Disallow: /[[~5]]`), `abs` with a leading
+ * slash, `full` absolute when the site URL is known. Anything else
+ * (snippets, placeholders, unknown settings) is removed and reported as
+ * `file_unresolved_tag`.
+ */
+function resolveFileTags(content, resource, { resourceMap = {}, siteUrl = '' } = {}) {
+  const base = String(siteUrl || '').replace(/\/+$/, '');
+  let body = expandChunks(content);
+  body = body.split('[[++site_url]]').join(`${base}/`);
+  body = body.replace(/\[\[~(\d+)(?:\?([^\]]*))?\]\]/g, (tag, id, params) => {
+    const href = resolveResourceLinks(`[[~${id}]]`, resourceMap);
+    if (!href.startsWith('/')) return href;
+    const scheme = parseTagParams(params || '').scheme;
+    return scheme === 'full' ? base + href : scheme === 'abs' ? href : href.slice(1);
+  });
+  body = body.replace(/\[\[\*([\w-]+)\]\]/g, (tag, field) => (resource[field] === undefined || resource[field] === null ? tag : String(resource[field])));
+  return replaceModxTags(body, (tag) => {
+    edgeCases.push({ type: 'file_unresolved_tag', resource: resource.pagetitle, id: Number(resource.id), tag: tag.slice(0, 200) });
+    return '';
+  });
+}
+
+// ─── Static Resources (Downloads) ───────────────────────────────────
+
+/**
+ * Whether a resource is a MODX static resource — a file (PDF, ZIP, …) served at its URI.
+ */
+function isStaticResource(resource) {
+  return normalizeClassKey(resource.class_key) === 'modStaticResource';
+}
+
+/**
+ * Find the file of a static resource in the assets directory. `content` is
+ * its path as stored by MODX — relative to the site root or a media source,
+ * possibly with [[++assets_url]] and friends or a full URL. Falls back to a
+ * fuzzy filename match in the upload folders.
+ *
+ * Returns { source, rel } — absolute path and path below the assets dir — or null.
+ */
+function findStaticFile(content, assetsDir = settings.assets) {
+  let file = String(content || '').trim()
+    .replace(/\[\[\+\+assets_(?:url|path)\]\]/g, 'assets/')
+    .replace(/\[\[\+\+(?:base_url|base_path|site_url)\]\]/g, '')
+    .replace(/^https?:\/\/[^/]+/i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/^\/+/, '');
+  try { file = decodeURIComponent(file); } catch { /* keep as is */ }
+  if (!file || file.includes('[[')) return null;
+
+  const root = path.resolve(assetsDir);
+  for (const rel of [file.replace(/^assets\//, ''), file]) {
+    const source = path.resolve(root, rel);
+    // Never leave the assets directory (`../` in a stored path)
+    if (!source.startsWith(root + path.sep)) continue;
+    try {
+      if (fs.statSync(source).isFile()) return { source, rel: path.relative(root, source).split(path.sep).join('/') };
+    } catch { /* not there */ }
+  }
+
+  const fuzzy = fuzzyFindFile(path.basename(file));
+  if (fuzzy) {
+    const rel = fuzzy.replace(/^\/assets\//, '');
+    return { source: path.join(root, rel), rel };
+  }
+  return null;
+}
+
+/**
+ * Resolve the files of all static resources. A file whose MODX URI already
+ * ends in its extension (downloads/preise.pdf) is served at that URI; any
+ * other is served from /assets/… with 301s from its old URLs, and its
+ * resource map entry is pointed at the file so [[~id]] links go straight
+ * there. Missing files are reported as `static_resource_missing`.
+ *
+ * Returns [{ id, title, source, url, redirects }] — url is where the file
+ * is copied to below public/ (see copyDownloads).
+ */
+function resolveStaticResources(resources, resourceMap, assetsDir = settings.assets) {
+  const downloads = [];
+  for (const resource of resources) {
+    if (resource.deleted || !isStaticResource(resource)) continue;
+    const uri = String(resource.uri || resource.alias || '').replace(/^\/+/, '');
+    const found = findStaticFile(resource.content, assetsDir);
+    if (!found) {
+      log.warn(`Static resource "${resource.pagetitle}" (/${uri}): file not found — ${resource.content || '(no path)'}`);
+      edgeCases.push({ type: 'static_resource_missing', resource: resource.pagetitle, id: Number(resource.id), url: `/${uri}`, file: resource.content || '' });
+      continue;
+    }
+
+    const ext = path.extname(found.source).toLowerCase();
+    if (uri && ext && uri.toLowerCase().endsWith(ext)) {
+      downloads.push({ id: Number(resource.id), title: resource.pagetitle, source: found.source, url: `/${uri}`, redirects: [] });
+      continue;
+    }
+
+    // URL-encoded — file names with spaces would break redirects and links (copyDownloads decodes it)
+    const url = `/assets/${found.rel.split('/').map(encodeURIComponent).join('/')}`;
+    // The old URL as MODX served it, and as [[~id]] links rendered it so far
+    const oldUrls = uri ? [...new Set([`/${uri}`, `/${uri.replace(/\.html$/, '').replace(/\/$/, '')}`])] : [];
+    downloads.push({ id: Number(resource.id), title: resource.pagetitle, source: found.source, url, redirects: oldUrls.filter(u => u !== '/' && u !== url) });
+    if (resourceMap[resource.id]) resourceMap[resource.id] = { ...resourceMap[resource.id], uri: url };
+  }
+  return downloads;
+}
+
+/**
+ * Copy resolved static resource files (see resolveStaticResources) into `publicDir`.
+ */
+async function copyDownloads(downloads, publicDir) {
+  for (const download of downloads) {
+    await fs.copy(download.source, path.join(publicDir, ...download.url.split('/').filter(Boolean).map(decodeURIComponent)));
+  }
+  if (downloads.length > 0) log.info(`Downloads copied to public/: ${downloads.length}`);
+}
+
 // ─── Helper Functions ───────────────────────────────────────────────
 
 function resolveImagePath(url, source) {
@@ -1509,7 +3391,7 @@ function resolveImagePath(url, source) {
     ];
     
     for (const candidate of candidates) {
-      const fullPath = path.join(ASSETS_PATH, '..', candidate);
+      const fullPath = path.join(settings.assets, '..', candidate);
       try {
         if (fs.existsSync(fullPath)) {
           return candidate;
@@ -1522,7 +3404,7 @@ function resolveImagePath(url, source) {
     if (fuzzyResult) return fuzzyResult;
     
     // Not found in assets — check phpthumbof cache for a match
-    const phpthumbDir = path.join(ASSETS_PATH, 'components', 'phpthumbof', 'cache');
+    const phpthumbDir = path.join(settings.assets, 'components', 'phpthumbof', 'cache');
     try {
       if (fs.existsSync(phpthumbDir)) {
         const cacheFiles = fs.readdirSync(phpthumbDir);
@@ -1567,7 +3449,7 @@ function resolvePhpThumbOf(cacheUrl) {
     
     // Check if file exists in assets directory
     for (const p of possiblePaths) {
-      const fullPath = path.join(ASSETS_PATH, '..', p);
+      const fullPath = path.join(settings.assets, '..', p);
       if (fs.existsSync(fullPath)) {
         return p;
       }
@@ -1607,162 +3489,1616 @@ function decodeHtmlEntities(str) {
  * - spaces ↔ underscores treated as same
  * - .jpeg ↔ .jpg treated as same
  */
-function normalizeFilename(name) {
-  return name
-    .toLowerCase()
-    .replace(/[\s_]+/g, '_')
-    .replace(/\.jpeg$/i, '.jpg');
+function normalizeFilename(name) {
+  return name
+    .toLowerCase()
+    .replace(/[\s_]+/g, '_')
+    .replace(/\.jpeg$/i, '.jpg');
+}
+
+/**
+ * Fuzzy-find a file in known asset directories.
+ * Handles case differences, space/underscore swaps, jpeg/jpg extension.
+ */
+function fuzzyFindFile(filename) {
+  const normalized = normalizeFilename(filename);
+  const searchDirs = [
+    { dir: path.join(settings.assets, '..', 'assets', 'userupload', 'assets', 'uploads'), prefix: '/assets/userupload/assets/uploads/' },
+    { dir: path.join(settings.assets, '..', 'assets', 'uploads'), prefix: '/assets/uploads/' },
+    { dir: path.join(settings.assets, '..', 'assets', 'userupload'), prefix: '/assets/userupload/' },
+  ];
+  
+  for (const { dir, prefix } of searchDirs) {
+    try {
+      if (!fs.existsSync(dir)) continue;
+      const files = fs.readdirSync(dir);
+      for (const file of files) {
+        if (normalizeFilename(file) === normalized) {
+          return `${prefix}${file}`;
+        }
+      }
+    } catch {}
+  }
+  return null;
+}
+
+function cleanModxTags(content, chunkMap = chunks) {
+  if (!content) return '';
+
+  // Expand chunk calls first so their markup survives the strip pass below
+  content = expandChunks(content, chunkMap);
+  
+  // Remove MODX chunk calls [[$chunkname?...]]
+  content = content.replace(/\[\[\$[^\]]*\]\]/g, '');
+  
+  // Remove MODX snippet calls [[!snippetname?...]] or [[snippetname?...]]
+  content = content.replace(/\[\[!?[a-zA-Z][^\]]*\]\]/g, '');
+  
+  // Remove MODX output modifiers [[+placeholder:modifier]]
+  content = content.replace(/\[\[\+[^\]]*\]\]/g, '');
+  
+  // Remove MODX system tags [[*field]] [[%lexicon]]
+  content = content.replace(/\[\[\*[^\]]*\]\]/g, '');
+  content = content.replace(/\[\[%[^\]]*\]\]/g, '');
+  
+  return content.trim();
+}
+
+function extractTextFromHtml(html) {
+  // Extract just the title/heading from HTML
+  const h4Match = html.match(/<h4[^>]*>(.*?)<\/h4>/is);
+  if (h4Match) return h4Match[1].replace(/<[^>]+>/g, '').trim();
+  
+  const h3Match = html.match(/<h3[^>]*>(.*?)<\/h3>/is);
+  if (h3Match) return h3Match[1].replace(/<[^>]+>/g, '').trim();
+  
+  return html.replace(/<[^>]+>/g, '').trim().substring(0, 100);
+}
+
+function stripTitleFromHtml(html) {
+  // Remove the title heading, return remaining content
+  let stripped = html.replace(/<h[1-6][^>]*>.*?<\/h[1-6]>/gis, '');
+  stripped = stripped.replace(/<p>\s*<\/p>/g, '').trim();
+  return stripped;
+}
+
+function extractFirstLink(html) {
+  const match = html.match(/href="([^"]+)"/);
+  return match ? match[1] : '';
+}
+
+function mapPosition(pos) {
+  const map = {
+    'img-cover-pos-t': 'top',
+    'img-cover-pos-b': 'bottom',
+    'img-cover-pos-l': 'left',
+    'img-cover-pos-r': 'right',
+    '': 'center',
+  };
+  return map[pos] || 'center';
+}
+
+function mapMinHeight(val) {
+  if (val === 'header-fullheight') return 'full';
+  if (val === 'minheight65') return 'medium';
+  return 'small';
+}
+
+function mapVerticalAlign(val) {
+  if (val === 'header-content-valign-t') return 'top';
+  if (val === 'header-content-valign-b') return 'bottom';
+  return 'center';
+}
+
+function mapTrennerWidth(val) {
+  if (val === 'trenner-60') return '60';
+  if (val === 'trenner-40') return '40';
+  if (val === 'trenner-20') return '20';
+  return 'full';
+}
+
+/**
+ * Person block from expert / author repeater rows: name, role, photo, bio
+ * (HTML) and profile links. The theme renders a card grid and Person
+ * structured data; `author: true` marks the people as authors of the page.
+ */
+function buildPersonBlock(rows, resourceMap) {
+  const items = rows
+    .map(row => ({
+      name: decodeHtmlEntities(rowValue(row, 'expert', 'name').replace(/<[^>]+>/g, '')).trim(),
+      role: decodeHtmlEntities(rowValue(row, 'expert', 'role').replace(/<[^>]+>/g, '')).trim(),
+      image: resolveImagePath(rowField(row, 'expert', 'image')?.url || ''),
+      bio: resolveResourceLinks(rowValue(row, 'expert', 'bio'), resourceMap),
+      links: personLinks(row, resourceMap),
+    }))
+    .filter(person => person.name);
+  return { type: 'person', items };
+}
+
+/** Profile links of a person row — one per link key with a URL. */
+// Link labels of known profile sites — other keys are capitalized
+const PERSON_LINK_LABELS = { website: 'Website', linkedin: 'LinkedIn', xing: 'XING' };
+
+function personLinks(row, resourceMap) {
+  const links = [];
+  for (const key of repeaterKeys('expert', 'links')) {
+    const field = row[key];
+    const url = field && (field.url || field.link || field.value);
+    if (!url || typeof url !== 'string') continue;
+    const label = key.replace(/^expert-/, '');
+    links.push({
+      label: PERSON_LINK_LABELS[label.toLowerCase()] || label.charAt(0).toUpperCase() + label.slice(1),
+      url: resolveResourceLinks(url.trim(), resourceMap),
+    });
+  }
+  return links;
+}
+
+/**
+ * FAQ block from question/answer repeater rows — questions as plain text,
+ * answers as HTML. The theme also emits them as FAQPage structured data.
+ * Null when no row has both — an empty FAQPage is invalid structured data.
+ */
+function buildFaqBlock(rows, resourceMap) {
+  const items = rows
+    .map(row => ({
+      question: decodeHtmlEntities(rowValue(row, 'faq', 'question').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim(),
+      answer: resolveResourceLinks(rowValue(row, 'faq', 'answer'), resourceMap),
+    }))
+    .filter(item => item.question && item.answer);
+  return items.length > 0 ? { type: 'faq', items } : null;
+}
+
+// ─── Client Config ──────────────────────────────────────────────────
+
+function extractClientConfig(sql, prefix = settings.tablePrefix) {
+  const config = {};
+  parseSqlDump(sql, {
+    clientconfig_setting: clientConfigRowHandler(config),
+  }, { prefix });
+  return config;
+}
+
+/**
+ * Row handler for clientconfig_setting — stores key → value into `config`.
+ */
+function clientConfigRowHandler(config) {
+  return (row, info) => {
+    // Mapped by name — note `value`, not `label`, holds the setting value
+    const { key, value } = rowToRecord(row, info && info.columns, 'clientconfig_setting', info && info.table);
+    if (key && value !== null && value !== undefined) {
+      config[key] = value;
+    }
+  };
+}
+
+// ─── Chunks ─────────────────────────────────────────────────────────
+
+// Nesting limit for chunk expansion — guards against runaway (non-cyclic) recursion
+const MAX_CHUNK_DEPTH = 20;
+
+/**
+ * Row handler for site_htmlsnippets — stores chunk name → body into `chunkMap`.
+ */
+function chunkRowHandler(chunkMap, idMap = chunkIds) {
+  return (row, info) => {
+    const r = rowToRecord(row, info.columns, 'site_htmlsnippets', info.table);
+    if (!r.name) return;
+    if (r.id !== undefined) idMap.set(Number(r.id), r.name);
+    if (!r.snippet && String(r.static) === '1') {
+      // Static chunks live in a file on the MODX server, not in the database
+      log.verbose(`Chunk "${r.name}" is static (${r.static_file}) — content not in dump`);
+      return;
+    }
+    chunkMap.set(r.name, r.snippet || '');
+  };
+}
+
+/**
+ * Return the index just past the `]]` that closes the MODX tag opening at
+ * `start`, honouring nested tags. -1 when the tag is not closed.
+ */
+function findTagEnd(content, start) {
+  let depth = 0;
+  for (let i = start; i < content.length - 1; i++) {
+    if (content[i] === '[' && content[i + 1] === '[') {
+      depth++;
+      i++;
+    } else if (content[i] === ']' && content[i + 1] === ']') {
+      depth--;
+      i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Call `fn(tag)` for every top-level [[…]] tag in `content` and splice in
+ * its return value. Unclosed tags are left as they are.
+ */
+function replaceModxTags(content, fn) {
+  let out = '';
+  let i = 0;
+  while (i < content.length) {
+    const start = content.indexOf('[[', i);
+    const end = start === -1 ? -1 : findTagEnd(content, start);
+    if (end === -1) break;
+    out += content.slice(i, start) + fn(content.slice(start, end));
+    i = end;
+  }
+  return out + content.slice(i);
+}
+
+/**
+ * Parse a `&name=`value`` parameter string into an object.
+ */
+function parseTagParams(str) {
+  const params = {};
+  const re = /&([\w.-]+)\s*=\s*`([\s\S]*?)`(?=\s*(?:&|$))/g;
+  let m;
+  while ((m = re.exec(str.trim())) !== null) {
+    params[m[1]] = m[2];
+  }
+  return params;
+}
+
+/**
+ * Expand [[$chunk? &param=`value`]] calls recursively.
+ *
+ * Inside a chunk, [[+param]] placeholders are replaced by the call's
+ * parameters; the output modifiers default/isempty, notempty/isnotempty are
+ * applied. Placeholders with a dot in their name (`fi.name`, `modx.user.id`)
+ * are set by snippets at runtime and stay in place, other unknown ones are
+ * empty — as in MODX. Unknown chunks and cycles are recorded in edgeCases
+ * and expand to nothing.
+ */
+function expandChunks(content, chunkMap = chunks, stack = []) {
+  if (!content || !content.includes('[[')) return content || '';
+
+  return replaceModxTags(content, (tag) => {
+    const m = tag.match(/^\[\[!?\$([^?:@\]\s]+)(?:@[^?:\]\s]*)?(?::[^?]*)?(?:\?([\s\S]*))?\]\]$/);
+    if (!m) return tag;
+
+    const name = m[1];
+    if (stack.includes(name)) {
+      const chain = [...stack, name].join(' → ');
+      log.warn(`Chunk cycle: ${chain}`);
+      edgeCases.push({ type: 'chunk_cycle', chunk: name, chain });
+      return '';
+    }
+    if (stack.length >= MAX_CHUNK_DEPTH) {
+      const chain = [...stack, name].join(' → ');
+      log.warn(`Chunks nested deeper than ${MAX_CHUNK_DEPTH}: ${chain}`);
+      edgeCases.push({ type: 'chunk_depth_exceeded', chunk: name, chain });
+      return '';
+    }
+    if (!chunkMap.has(name)) {
+      log.verbose(`Unresolved chunk: [[$${name}]]`);
+      edgeCases.push({ type: 'unresolved_chunk', chunk: name, context: tag.slice(0, 200) });
+      return '';
+    }
+
+    // Parameters may contain chunk calls themselves
+    const params = parseTagParams(m[2] || '');
+    for (const key of Object.keys(params)) {
+      params[key] = expandChunks(params[key], chunkMap, stack);
+    }
+
+    const body = substituteChunkPlaceholders(chunkMap.get(name), params);
+    return expandChunks(body, chunkMap, [...stack, name]);
+  });
+}
+
+/**
+ * Replace the [[+placeholder]] tags of a chunk body with the call's
+ * parameters, including placeholders nested in other tags' parameters.
+ */
+function substituteChunkPlaceholders(text, params) {
+  return replaceModxTags(text, (tag) => applyChunkPlaceholder(tag, params));
+}
+
+/**
+ * Resolve a single [[+placeholder:modifier=`x`]] tag inside a chunk body.
+ * Any other tag is returned with the placeholders inside it substituted.
+ */
+function applyChunkPlaceholder(tag, params) {
+  const m = tag.match(/^\[\[!?\+([\w.-]+)((?::[\w-]+(?:=`[\s\S]*?`)?)*)\]\]$/);
+  if (!m) return `[[${substituteChunkPlaceholders(tag.slice(2, -2), params)}]]`;
+
+  const key = m[1];
+  if (!Object.prototype.hasOwnProperty.call(params, key) && key.includes('.')) return tag;
+
+  let value = params[key] ?? '';
+  const modifiers = /:([\w-]+)(?:=`([\s\S]*?)`)?/g;
+  let mod;
+  while ((mod = modifiers.exec(m[2])) !== null) {
+    const [, op, rawArg = ''] = mod;
+    const arg = substituteChunkPlaceholders(rawArg, params);
+    if (op === 'default' || op === 'isempty') {
+      if (value === '') value = arg;
+    } else if (op === 'notempty' || op === 'isnotempty') {
+      value = value !== '' ? arg : '';
+    }
+  }
+  return value;
+}
+
+// ─── Snippet Emulators ──────────────────────────────────────────────
+
+// Snippet name (lower case) → emulator function
+const snippetEmulators = new Map();
+
+/**
+ * Register an emulator that turns a snippet call into static blocks.
+ *
+ * `fn(params, ctx)` receives the call's &parameters and
+ * { resource, resources, resourceMap, rest } — `rest` is the content after
+ * the call. It returns an array of blocks, `{ blocks, rest }` to also rewrite
+ * the following content, or null when the call cannot be emulated (it is
+ * then reported like an unknown snippet).
+ *
+ * @param {string|string[]} names  snippet name(s), case-insensitive
+ * @param {Function} fn
+ */
+function registerSnippetEmulator(names, fn) {
+  for (const name of [].concat(names)) {
+    snippetEmulators.set(name.toLowerCase(), fn);
+  }
+}
+
+/**
+ * Split raw resource content into blocks: chunks are expanded, snippet calls
+ * are handed to their emulators, and the text between them becomes text
+ * blocks. Unknown snippets are reported with their parameters.
+ */
+function processModxContent(content, ctx) {
+  const blocks = [];
+  let text = '';
+  let rest = expandChunks(content || '');
+
+  const flush = () => {
+    const cleaned = cleanModxTags(text);
+    if (cleaned.trim()) {
+      blocks.push({ type: 'text', content: resolveResourceLinks(cleaned, ctx.resourceMap) });
+    }
+    text = '';
+  };
+
+  while (rest) {
+    const start = rest.indexOf('[[');
+    const end = start === -1 ? -1 : findTagEnd(rest, start);
+    if (end === -1) {
+      text += rest;
+      break;
+    }
+    text += rest.slice(0, start);
+    const tag = rest.slice(start, end);
+    rest = rest.slice(end);
+
+    const m = tag.match(/^\[\[!?([a-zA-Z][\w.-]*)(?::[^?]*)?(?:\?([\s\S]*))?\]\]$/);
+    if (!m) {
+      text += tag;
+      continue;
+    }
+
+    const name = m[1];
+    const params = parseTagParams(m[2] || '');
+    const emulator = snippetEmulators.get(name.toLowerCase());
+    const result = emulator ? emulator(params, { ...ctx, rest }) : null;
+    if (!result) {
+      reportSnippet(name, params, ctx.resource, emulator ? 'not_emulated' : 'unknown');
+      continue;
+    }
+
+    flush();
+    const emitted = Array.isArray(result) ? result : result.blocks || [];
+    blocks.push(...emitted);
+    if (!Array.isArray(result) && typeof result.rest === 'string') rest = result.rest;
+    log.verbose(`Snippet ${name} → ${emitted.map(b => b.type).join(', ') || 'nothing'}`);
+  }
+
+  flush();
+  return blocks;
+}
+
+// Chunk, snippet, placeholder or field tags — not [[~id]] links, those are resolved already
+const MODX_TAG_RE = /\[\[(?:[$+*%]|!?[a-zA-Z][\w.-]*(?:[?:`&\s]|\]\]))/;
+
+/**
+ * Run the text and html blocks of ContentBlocks fields (sections and grid
+ * cells included) that hold MODX tags through processModxContent: snippet
+ * calls become blocks of their own, other tags are removed. The text around
+ * them keeps the block's type and settings.
+ */
+function expandSnippetBlocks(blocks, ctx) {
+  return blocks.flatMap((block) => {
+    if (block.children) block.children = expandSnippetBlocks(block.children, ctx);
+    if (block.cells) block.cells = block.cells.map(cell => expandSnippetBlocks(cell, ctx));
+    if (!['text', 'html'].includes(block.type) || !MODX_TAG_RE.test(block.content || '')) return [block];
+    return processModxContent(block.content, ctx).map(b => (b.type === 'text' ? { ...block, content: b.content } : b));
+  });
+}
+
+function reportSnippet(name, params, resource, reason) {
+  const page = resource ? resource.pagetitle : '';
+  log.warn(`Snippet [[${name}]] ${reason === 'unknown' ? 'has no emulator' : 'could not be emulated'} — removed from "${page}"`);
+  edgeCases.push({ type: 'unknown_snippet', snippet: name, reason, params, resource: page });
+}
+
+/**
+ * Parse a comma-separated ID list (`2,5,-7`) into included and excluded IDs.
+ */
+function parseIdList(value) {
+  const include = [];
+  const exclude = [];
+  for (const part of String(value || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const id = parseInt(part, 10);
+    if (isNaN(id)) continue;
+    if (id < 0) exclude.push(-id);
+    else include.push(id);
+  }
+  return { include, exclude };
+}
+
+/**
+ * Visible children of `parentIds` down to `depth` levels (0 = direct children only).
+ */
+function collectDescendants(resources, parentIds, depth, filter) {
+  const byParent = new Map();
+  for (const r of resources) {
+    if (!filter(r)) continue;
+    const parent = Number(r.parent);
+    if (!byParent.has(parent)) byParent.set(parent, []);
+    byParent.get(parent).push(r);
+  }
+  const result = [];
+  let level = parentIds.map(Number);
+  for (let d = 0; d <= depth && level.length > 0; d++) {
+    const next = [];
+    for (const id of level) {
+      for (const child of byParent.get(id) || []) {
+        result.push(child);
+        next.push(Number(child.id));
+      }
+    }
+    level = next;
+  }
+  return result;
+}
+
+function resourceHref(id, resourceMap) {
+  return resolveResourceLinks(`[[~${id}]]`, resourceMap) || '/';
+}
+
+/**
+ * pdoResources / getResources → listing block of the selected resources.
+ * Supports &parents, &resources, &depth, &limit, &offset, &sortby, &sortdir,
+ * &showHidden and &showUnpublished; &tpl chunks are replaced by the theme's
+ * listing component.
+ */
+function emulateResourceListing(defaults) {
+  return (params, { resource, resources, resourceMap }) => {
+    const p = { ...defaults, ...params };
+    const showHidden = p.showHidden === '1';
+    const showUnpublished = p.showUnpublished === '1';
+    // Scheduled resources are listed with their publish window — the theme shows them while it is open
+    const visible = (r) => !r.deleted && !r.protected && (showUnpublished || isPublishable(r)) && (showHidden || !r.hidemenu);
+
+    const parents = parseIdList(p.parents === undefined ? String(resource ? resource.id : 0) : p.parents);
+    const ids = parseIdList(p.resources);
+    const depth = parseInt(p.depth, 10) >= 0 ? parseInt(p.depth, 10) : 10;
+
+    let selected = parents.include.length > 0
+      ? collectDescendants(resources, parents.include, depth, visible)
+      : [];
+    for (const id of ids.include) {
+      const r = resources.find(x => Number(x.id) === id && visible(x));
+      if (r && !selected.includes(r)) selected.push(r);
+    }
+    selected = selected.filter(r => !ids.exclude.includes(Number(r.id)) && !parents.exclude.includes(Number(r.parent)));
+
+    // &sortby may be a field name or pdoTools JSON ({"publishedon":"DESC"})
+    let sortby = (p.sortby || '').replace(/`/g, '').trim();
+    let sortdir = (p.sortdir || 'DESC').toUpperCase();
+    if (sortby.startsWith('{')) {
+      try {
+        const [field, dir] = Object.entries(JSON.parse(sortby))[0] || [];
+        sortby = field || '';
+        if (dir) sortdir = String(dir).toUpperCase();
+      } catch {
+        sortby = '';
+      }
+    }
+    sortby = sortby.replace(/^[\w]+\./, '') || 'publishedon';
+    const sign = sortdir === 'ASC' ? 1 : -1;
+    selected.sort((a, b) => {
+      const x = a[sortby];
+      const y = b[sortby];
+      if (x === y) return 0;
+      return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x ?? '').localeCompare(String(y ?? ''))) * sign;
+    });
+
+    const offset = parseInt(p.offset, 10) || 0;
+    const limit = parseInt(p.limit, 10) || 0;
+    selected = selected.slice(offset, limit > 0 ? offset + limit : undefined);
+
+    return [{
+      type: 'listing',
+      items: selected.map(r => ({
+        title: decodeHtmlEntities(r.longtitle || r.pagetitle || ''),
+        href: resourceHref(r.id, resourceMap),
+        description: decodeHtmlEntities(r.introtext || r.description || ''),
+        date: modxDate(r.publishedon),
+        ...publishWindow(r),
+      })),
+    }];
+  };
+}
+
+/**
+ * Wayfinder / pdoMenu → nav block with the menu tree below &startId
+ * (&parents for pdoMenu), limited to &level levels (0 = unlimited).
+ */
+function emulateMenu(startParam) {
+  return (params, { resource, resources, resourceMap }) => {
+    const startIds = parseIdList(params[startParam] === undefined ? String(resource ? resource.id : 0) : params[startParam]);
+    // Wayfinder: &excludeDocs=`5,7`, pdoMenu: &resources=`-5,-7`
+    const excluded = [...parseIdList(params.excludeDocs).include, ...parseIdList(params.resources).exclude];
+    const maxLevel = parseInt(params.level, 10) || 0;
+    const visible = (r) => isPublishable(r) && !r.deleted && !r.hidemenu && !excluded.includes(Number(r.id));
+
+    const build = (parentId, level) => resources
+      .filter(r => Number(r.parent) === parentId && visible(r))
+      .sort((a, b) => a.menuindex - b.menuindex)
+      .map(r => {
+        const item = { label: decodeHtmlEntities(r.menutitle || r.pagetitle), href: resourceHref(r.id, resourceMap), ...publishWindow(r) };
+        if (!maxLevel || level < maxLevel) {
+          const children = build(Number(r.id), level + 1);
+          if (children.length > 0) item.children = children;
+        }
+        return item;
+      });
+
+    const items = startIds.include.flatMap(id => build(id, 1));
+    return items.length > 0 ? [{ type: 'nav', items }] : null;
+  };
+}
+
+// Defaults as in the snippets — pdoResources lists hidden resources, getResources does not
+registerSnippetEmulator('pdoResources', emulateResourceListing({ limit: '10', showHidden: '1' }));
+registerSnippetEmulator('getResources', emulateResourceListing({ limit: '5' }));
+registerSnippetEmulator('Wayfinder', emulateMenu('startId'));
+registerSnippetEmulator('pdoMenu', emulateMenu('parents'));
+
+// ─── Forms (FormIt) ─────────────────────────────────────────────────
+
+// Input types the theme's ContactForm renders — anything else becomes text
+const FORM_FIELD_TYPES = ['text', 'email', 'tel', 'url', 'number', 'date', 'time', 'datetime-local', 'textarea', 'select', 'checkbox', 'radio', 'file'];
+
+// Controls that are not fields of the form
+const FORM_SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+// FormIt validators and filters that need nothing in a static form
+const FORM_IGNORED_RULES = ['stripTags', 'allowTags', 'trim', 'lowercase', 'uppercase', 'ucwords', 'urlencode', 'urldecode', 'allowSpecialChars'];
+
+/**
+ * Attributes of an HTML start tag's attribute string, names lowercased.
+ * Boolean attributes get `true`.
+ */
+function parseHtmlAttributes(str) {
+  const attrs = {};
+  const re = /([^\s=/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(str || '')) !== null) {
+    const value = m[2] ?? m[3] ?? m[4];
+    attrs[m[1].toLowerCase()] = value === undefined ? true : decodeHtmlEntities(value);
+  }
+  return attrs;
+}
+
+// Visible text of a markup fragment — tags, MODX tags and required markers removed
+function formText(html) {
+  return decodeHtmlEntities(String(html || '').replace(/\[\[[\s\S]*?\]\]/g, '').replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ').replace(/\s*\*\s*$/, '').trim();
+}
+
+/**
+ * Field schema of a form's markup — inputs, selects and textareas in
+ * document order. Radio buttons and `name[]` checkboxes sharing a name
+ * become one field with `options`. Labels come from `<label for>`, a
+ * wrapping `<label>`, else the placeholder or name.
+ *
+ * Returns { fields, submitLabel }.
+ */
+function parseFormMarkup(html) {
+  const labels = new Map();
+  const wrapped = new Map();
+  for (const m of html.matchAll(/<label\b([^>]*)>([\s\S]*?)<\/label>/gi)) {
+    const attrs = parseHtmlAttributes(m[1]);
+    const control = m[2].match(/<(?:input|select|textarea)\b([^>]*)>/i);
+    const text = formText(m[2].replace(/<select\b[\s\S]*?<\/select>|<textarea\b[\s\S]*?<\/textarea>/gi, ''));
+    if (attrs.for) labels.set(String(attrs.for), text);
+    if (control) {
+      const controlAttrs = parseHtmlAttributes(control[1]);
+      wrapped.set(`${controlAttrs.name}=${controlAttrs.value ?? ''}`, text);
+    }
+  }
+  const labelOf = (attrs) => labels.get(String(attrs.id)) || wrapped.get(`${attrs.name}=${attrs.value ?? ''}`) || '';
+
+  const fields = [];
+  let submitLabel = '';
+  const controls = [...html.matchAll(/<input\b([^>]*)>|<select\b([^>]*)>([\s\S]*?)<\/select>|<textarea\b([^>]*)>[\s\S]*?<\/textarea>|<button\b([^>]*)>([\s\S]*?)<\/button>/gi)];
+  for (const m of controls) {
+    if (m[5] !== undefined) {
+      const attrs = parseHtmlAttributes(m[5]);
+      if (!submitLabel && (attrs.type || 'submit') === 'submit') submitLabel = formText(m[6]);
+      continue;
+    }
+    const tag = m[1] !== undefined ? 'input' : m[2] !== undefined ? 'select' : 'textarea';
+    const attrs = parseHtmlAttributes(m[1] ?? m[2] ?? m[4]);
+    const inputType = tag === 'input' ? String(attrs.type || 'text').toLowerCase() : tag;
+    if (inputType === 'submit' && !submitLabel) submitLabel = formText(attrs.value);
+    if (FORM_SKIPPED_TYPES.includes(inputType) || !attrs.name || attrs.name === true) continue;
+
+    const multiple = String(attrs.name).endsWith('[]');
+    const name = String(attrs.name).replace(/\[\]$/, '');
+    const label = labelOf(attrs);
+
+    // Radio buttons and checkbox lists: one field, one option per control
+    if (inputType === 'radio' || (inputType === 'checkbox' && multiple)) {
+      const value = attrs.value === undefined || attrs.value === true ? 'on' : String(attrs.value);
+      const option = { value, label: label || value };
+      const group = fields.find(f => f.name === name);
+      if (group) {
+        group.options.push(option);
+        if (attrs.required) group.required = true;
+        continue;
+      }
+      fields.push({ name, label: '', type: inputType, ...(attrs.required && { required: true }), ...(multiple && { multiple: true }), options: [option] });
+      continue;
+    }
+
+    const field = {
+      name,
+      label: label || formText(attrs.placeholder) || name,
+      type: FORM_FIELD_TYPES.includes(inputType) ? inputType : 'text',
+    };
+    if (attrs.required) field.required = true;
+    if (typeof attrs.placeholder === 'string' && attrs.placeholder && !attrs.placeholder.includes('[[')) field.placeholder = attrs.placeholder;
+    if (attrs.multiple || multiple) field.multiple = true;
+    if (typeof attrs.accept === 'string') field.accept = attrs.accept;
+    for (const key of ['min', 'max', 'pattern']) {
+      if (typeof attrs[key] === 'string' && attrs[key]) field[key] = attrs[key];
+    }
+    if (Number(attrs.minlength) > 0) field.minLength = Number(attrs.minlength);
+    if (Number(attrs.maxlength) > 0) field.maxLength = Number(attrs.maxlength);
+    if (tag === 'select') {
+      field.options = [];
+      for (const o of m[3].matchAll(/<option\b([^>]*)>([\s\S]*?)(?=<option\b|<\/option>|$)/gi)) {
+        const optionAttrs = parseHtmlAttributes(o[1]);
+        const text = formText(o[2]);
+        const value = typeof optionAttrs.value === 'string' ? optionAttrs.value : text;
+        // An empty first option is the prompt ("Bitte wählen")
+        if (!value) {
+          if (text && !field.placeholder) field.placeholder = text;
+          continue;
+        }
+        field.options.push({ value, label: text || value });
+      }
+    }
+    fields.push(field);
+  }
+  return { fields, submitLabel };
+}
+
+/**
+ * Split FormIt's &validate (`email:email:required,age:isNumber:minValue=^18^`)
+ * into [[field, [rule, …]], …]. Values between carets may contain commas,
+ * colons and carets of their own (regexp anchors).
+ */
+function parseFormItValidate(value) {
+  const rule = /[\w.-]+(?:=\^[\s\S]*?\^(?=[:,]|\s*$))?/.source;
+  const entries = [];
+  for (const m of String(value || '').matchAll(new RegExp(`\\s*([^:,\\s]+)((?::${rule})+)\\s*(?:,|$)`, 'g'))) {
+    const rules = [...m[2].matchAll(new RegExp(`:(${rule})`, 'g'))].map(r => r[1]);
+    entries.push([m[1].replace(/\[\]$/, ''), rules]);
+  }
+  return entries;
+}
+
+/**
+ * Build a contact-form block from a FormIt call's parameters and the form
+ * markup it processes. &validate rules become field properties (required,
+ * email/isNumber/isDate types, min/max length and value, regexp patterns),
+ * `blank` fields (honeypots) are dropped, and &successMessage,
+ * &validationErrorMessage, &redirectTo and `<field>.vText…` messages are
+ * carried over. Validators without a static equivalent are reported as
+ * `form_validator_unsupported`.
+ */
+function buildFormBlock(params, markup, ctx = {}) {
+  const { fields, submitLabel } = parseFormMarkup(markup || '');
+  const byName = new Map(fields.map(f => [f.name, f]));
+  const honeypots = new Set();
+
+  for (const [name, rules] of parseFormItValidate(params.validate)) {
+    const field = byName.get(name);
+    for (const rule of rules) {
+      const [validator, ...raw] = rule.split('=');
+      const arg = raw.join('=').replace(/^\^|\^$/g, '');
+      if (validator === 'blank') honeypots.add(name);
+      if (!field || FORM_IGNORED_RULES.includes(validator)) continue;
+      switch (validator) {
+        case 'required': field.required = true; break;
+        case 'email': field.type = 'email'; break;
+        case 'isNumber': field.type = 'number'; break;
+        case 'isDate': field.type = 'date'; break;
+        case 'minLength': field.minLength = Number(arg); break;
+        case 'maxLength': field.maxLength = Number(arg); break;
+        case 'minValue': field.min = arg; break;
+        case 'maxValue': field.max = arg; break;
+        case 'regexp': field.pattern = arg.replace(/^\/(.*)\/[a-z]*$/s, '$1'); break;
+        case 'blank': break;
+        default:
+          edgeCases.push({ type: 'form_validator_unsupported', field: name, validator, resource: ctx.resource ? ctx.resource.pagetitle : '' });
+      }
+    }
+  }
+
+  const schema = fields.filter(f => !honeypots.has(f.name));
+  for (const field of schema) {
+    // Per-field messages: &email.vTextRequired=`…` (any vText… parameter)
+    const message = Object.entries(params).find(([key]) => key.startsWith(`${field.name}.vText`));
+    if (message && message[1]) field.errorMessage = formText(message[1]);
+  }
+
+  // Migrated forms post nowhere until an endpoint (`action`) is set — the theme hides uploads till then
+  for (const field of schema.filter(f => f.type === 'file')) {
+    edgeCases.push({ type: 'form_upload_without_endpoint', field: field.name, resource: ctx.resource ? ctx.resource.pagetitle : '' });
+  }
+
+  const block = { type: 'contact-form' };
+  if (schema.length > 0) block.fields = schema;
+  if (submitLabel) block.submitLabel = submitLabel;
+  if (params.successMessage) block.successMessage = formText(params.successMessage);
+  if (params.validationErrorMessage) block.errorMessage = formText(params.validationErrorMessage);
+  if (params.redirectTo) {
+    block.successUrl = /^\d+$/.test(params.redirectTo.trim())
+      ? resourceHref(Number(params.redirectTo), ctx.resourceMap || {})
+      : params.redirectTo.trim();
+  }
+  return block;
+}
+
+// FormIt only processes the form that follows it — its markup and &validate
+// rules become the contact form's field schema, the original (server-side)
+// form markup is dropped.
+registerSnippetEmulator('FormIt', (params, ctx) => {
+  const form = ctx.rest.match(/<form\b[\s\S]*?<\/form>/i);
+  return {
+    blocks: [buildFormBlock(params, form ? form[0] : '', ctx)],
+    rest: form ? ctx.rest.replace(form[0], '') : ctx.rest,
+  };
+});
+
+// AjaxForm renders the &form chunk and hands it to &snippet (FormIt by default)
+registerSnippetEmulator('AjaxForm', (params, ctx) => {
+  if (params.snippet && params.snippet.toLowerCase() !== 'formit') return null;
+  const markup = expandChunks(chunks.get(params.form || 'tpl.AjaxForm.example') || '');
+  return [buildFormBlock(params, markup, ctx)];
+});
+
+/**
+ * Contact form of a ContentBlocks chunk field — the chunk's FormIt call and
+ * markup (see the emulators above), or the theme's default form.
+ */
+function processFormChunk(def, resourceMap) {
+  const ref = def && def.properties ? def.properties.chunk : undefined;
+  const name = chunkIds.get(Number(ref)) || ref;
+  const body = name ? chunks.get(String(name)) : undefined;
+  if (body) {
+    const form = processModxContent(body, { resourceMap }).find(b => b.type === 'contact-form');
+    if (form) return form;
+  }
+  return { type: 'contact-form' };
+}
+
+// ─── Template Variables ─────────────────────────────────────────────
+
+/**
+ * Parse `--tv-map "heroImage=hero.backgroundImage,seoDesc=description"`
+ * into [{ tv, target }]. Throws on malformed entries — a silently ignored
+ * mapping would only show up as missing content after the build.
+ */
+function parseTvMap(value) {
+  if (!value || value === true) return [];
+  const map = [];
+  for (const entry of String(value).split(',').map(e => e.trim()).filter(Boolean)) {
+    const [tv, target] = entry.split('=').map(p => (p || '').trim());
+    const valid = tv && target && (TV_PAGE_FIELDS.includes(target) || /^[\w-]+\.\w+$/.test(target));
+    if (!valid) {
+      throw new Error(`invalid --tv-map entry "${entry}" — expected tvName=${TV_PAGE_FIELDS.join('|')} or tvName=<blockType>.<field>`);
+    }
+    map.push({ tv, target });
+  }
+  return map;
+}
+
+function createTvData() {
+  return { vars: new Map(), values: [], templates: [] };
+}
+
+/**
+ * Row handlers for the three TV tables, collecting into `tvData`
+ * (see createTvData). Keyed by unprefixed table name for readSqlDump.
+ */
+function tvRowHandlers(tvData) {
+  return {
+    site_tmplvars: (row, info) => {
+      const r = rowToRecord(row, info.columns, 'site_tmplvars', info.table);
+      tvData.vars.set(Number(r.id), { id: Number(r.id), name: r.name, type: r.type, default: r.default_text });
+    },
+    site_tmplvar_contentvalues: (row, info) => {
+      tvData.values.push(rowToRecord(row, info.columns, 'site_tmplvar_contentvalues', info.table));
+    },
+    site_tmplvar_templates: (row, info) => {
+      tvData.templates.push(rowToRecord(row, info.columns, 'site_tmplvar_templates', info.table));
+    },
+  };
+}
+
+/**
+ * Resolve the TV values of every resource → Map(resourceId → { tvName: value }).
+ *
+ * Explicit values from site_tmplvar_contentvalues win; otherwise a TV assigned
+ * to the resource's template contributes its default. `@INHERIT` defaults take
+ * the nearest ancestor's value. Other @ bindings (@SELECT, @EVAL, @CHUNK, …)
+ * need a running MODX and are reported as edge cases instead.
+ * Image/file TVs are resolved to asset paths, [[~id]] links to URLs.
+ */
+function buildResourceTvs(tvData, resources, resourceMap = {}) {
+  const explicit = new Map(); // resourceId → Map(tvId → value)
+  for (const v of tvData.values) {
+    const contentId = Number(v.contentid);
+    if (!explicit.has(contentId)) explicit.set(contentId, new Map());
+    explicit.get(contentId).set(Number(v.tmplvarid), v.value);
+  }
+
+  const templateTvs = new Map(); // templateId → [tvId]
+  for (const t of tvData.templates) {
+    const templateId = Number(t.templateid);
+    if (!templateTvs.has(templateId)) templateTvs.set(templateId, []);
+    templateTvs.get(templateId).push(Number(t.tmplvarid));
+  }
+
+  const byId = new Map(resources.map(r => [Number(r.id), r]));
+  const reportedBindings = new Set();
+
+  // Walk up the parent chain for the first explicit value of a TV
+  const inherited = (resource, tvId) => {
+    const seen = new Set();
+    let current = byId.get(Number(resource.parent));
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      const value = explicit.get(Number(current.id))?.get(tvId);
+      if (value !== undefined && value !== null && value !== '') return value;
+      current = byId.get(Number(current.parent));
+    }
+    return undefined;
+  };
+
+  const result = new Map();
+  for (const resource of resources) {
+    const values = explicit.get(Number(resource.id)) || new Map();
+    const tvIds = new Set([...(templateTvs.get(Number(resource.template)) || []), ...values.keys()]);
+    const tvs = {};
+
+    for (const tvId of tvIds) {
+      const tv = tvData.vars.get(tvId);
+      if (!tv || !tv.name) continue;
+
+      let value = values.get(tvId);
+      if (value === undefined || value === null) {
+        const def = tv.default == null ? '' : String(tv.default).trim();
+        if (/^@INHERIT\b/i.test(def)) {
+          value = inherited(resource, tvId);
+        } else if (def.startsWith('@')) {
+          if (!reportedBindings.has(tvId)) {
+            reportedBindings.add(tvId);
+            log.warn(`TV "${tv.name}": default binding ${def.split(/\s/)[0]} cannot be evaluated — skipped`);
+            edgeCases.push({ type: 'tv_binding', tv: tv.name, binding: def });
+          }
+          continue;
+        } else {
+          value = def;
+        }
+      }
+      if (value === undefined || value === null || value === '') continue;
+
+      tvs[tv.name] = normalizeTvValue(tv, String(value), resourceMap);
+    }
+    result.set(Number(resource.id), tvs);
+  }
+  return result;
+}
+
+/**
+ * Convert a raw TV value to what the theme needs: asset paths for image/file
+ * TVs, resolved links for everything else.
+ */
+function normalizeTvValue(tv, value, resourceMap) {
+  if (tv.type === 'image' || tv.type === 'file') {
+    return resolveImagePath(value.trim());
+  }
+  return resolveResourceLinks(value, resourceMap);
+}
+
+/**
+ * Copy mapped TV values onto the page (see --tv-map). Block targets apply to
+ * the first block of that type, searching sections and grid cells too.
+ */
+function applyTvMap(data, tvs, tvMap = settings.tvMap) {
+  for (const { tv, target } of tvMap) {
+    const value = tvs[tv];
+    if (value === undefined || value === '') continue;
+
+    if (TV_PAGE_FIELDS.includes(target)) {
+      data[target] = decodeHtmlEntities(value);
+      continue;
+    }
+
+    const [blockType, field] = target.split('.');
+    const block = findBlock(data.blocks || [], blockType);
+    if (block) {
+      block[field] = value;
+    } else {
+      log.verbose(`TV "${tv}" → ${target}: no ${blockType} block on "${data.title}"`);
+      edgeCases.push({ type: 'tv_map_unmatched', page: data.slug, tv, target });
+    }
+  }
+}
+
+/**
+ * Depth-first search for the first block of `type` (sections and grid cells included).
+ */
+function findBlock(blocks, type) {
+  for (const block of blocks) {
+    if (block.type === type) return block;
+    const nested = [...(block.children || []), ...(block.cells || []).flat()];
+    const found = nested.length > 0 ? findBlock(nested, type) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+// ─── Posts (Collections / Articles) ─────────────────────────────────
+
+// Class keys of blog containers — MODX Collections and Articles
+const POST_CONTAINER_CLASSES = ['CollectionContainer', 'modCollectionContainer', 'ArticlesContainer'];
+// TVs holding a post's comma-separated tags (Articles stores them in articlestags)
+const POST_TAG_TVS = ['articlestags', 'tags'];
+// Posts per listing page when the container does not set one
+const POSTS_PER_PAGE = 10;
+
+/**
+ * Blog containers among `resources` — Collections and Articles containers.
+ * Their direct children are tagged `isPost`: they are written to posts/
+ * instead of pages/ and left out of the menu.
+ *
+ * Returns a Map of container ID → { id, slug, title, pageSize }.
+ */
+function findPostContainers(resources) {
+  const containers = new Map();
+  for (const r of resources) {
+    if (r.deleted || !POST_CONTAINER_CLASSES.includes(normalizeClassKey(r.class_key))) continue;
+    containers.set(Number(r.id), {
+      id: Number(r.id),
+      slug: (r.uri || r.alias || '').replace(/\.html$/, '').replace(/^\/+|\/+$/g, ''),
+      title: decodeHtmlEntities(r.pagetitle || ''),
+      pageSize: containerPageSize(r.properties),
+    });
+  }
+  for (const r of resources) {
+    // Protected children are pages under the protected path, not posts in a public listing
+    if (!r.deleted && !r.protected && containers.has(Number(r.parent))) r.isPost = true;
+  }
+  return containers;
+}
+
+/**
+ * Listing page size of a container — Articles keeps it in its properties
+ * (`articles.articlesPerPage`), Collections has none.
+ */
+function containerPageSize(properties) {
+  try {
+    const props = typeof properties === 'string' ? JSON.parse(properties || '{}') : properties || {};
+    return parseInt(props.articles && props.articles.articlesPerPage, 10) || POSTS_PER_PAGE;
+  } catch {
+    return POSTS_PER_PAGE;
+  }
+}
+
+/**
+ * Turn the processed page of a container child into a posts/ entry carrying
+ * its publish date, excerpt (introtext), tags and position in the container.
+ */
+function toPost(page, resource, container, tvs = {}) {
+  const tagTv = POST_TAG_TVS.find(name => tvs[name]);
+  const tags = tagTv ? [...new Set(String(tvs[tagTv]).split(',').map(t => t.trim()).filter(Boolean))] : [];
+  return {
+    ...page,
+    collection: 'posts',
+    data: {
+      ...page.data,
+      publishedAt: modxDate(resource.publishedon) || modxDate(resource.pub_date) || modxDate(resource.createdon) || undefined,
+      excerpt: decodeHtmlEntities(resource.introtext || ''),
+      tags,
+      container: container.slug,
+      order: Number(resource.menuindex) || 0,
+    },
+  };
+}
+
+/**
+ * MODX Unix timestamp (seconds) → ISO string, '' when unset.
+ */
+function modxDate(timestamp) {
+  const seconds = Number(timestamp);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : '';
+}
+
+// ─── Scheduled Publishing ───────────────────────────────────────────
+
+/**
+ * Publish window of a resource as ISO strings — `pubDate` / `unpubDate` are
+ * only set when MODX has them. The theme hides pages outside the window at
+ * build time, so a scheduled page goes live with the first build after its
+ * `pubDate` and disappears with the first one after its `unpubDate`.
+ */
+function publishWindow(resource) {
+  const dates = {};
+  if (modxDate(resource.pub_date)) dates.pubDate = modxDate(resource.pub_date);
+  if (modxDate(resource.unpub_date)) dates.unpubDate = modxDate(resource.unpub_date);
+  return dates;
+}
+
+/**
+ * Carry publishedon and the publish window of `resource` into page data.
+ */
+function applyPublishWindow(data, resource) {
+  if (modxDate(resource.publishedon)) data.publishedAt = modxDate(resource.publishedon);
+  Object.assign(data, publishWindow(resource));
+}
+
+/**
+ * Whether a resource belongs in menus and listings — published, or
+ * unpublished with a pub_date (MODX publishes it once the date has passed).
+ */
+function isPublishable(resource) {
+  return !!resource.published || Number(resource.pub_date) > 0;
+}
+
+/**
+ * Publish / unpublish dates falling within the next `days` days — each one
+ * needs a rebuild for the site to follow it.
+ *
+ * Returns [{ id, title, href, action: 'publish' | 'unpublish', at }] ordered by date.
+ */
+function scheduledChanges(resources, days, now = Date.now()) {
+  const until = now + days * 86400000;
+  const changes = [];
+  for (const r of resources) {
+    if (r.deleted) continue;
+    for (const [action, timestamp] of [['publish', r.pub_date], ['unpublish', r.unpub_date]]) {
+      const at = Number(timestamp) * 1000;
+      if (at > now && at <= until) {
+        changes.push({
+          id: Number(r.id),
+          title: decodeHtmlEntities(r.pagetitle || ''),
+          href: '/' + (r.uri || r.alias || '').replace(/\.html$/, '').replace(/^\/+|\/+$/g, ''),
+          action,
+          at: new Date(at).toISOString(),
+        });
+      }
+    }
+  }
+  return changes.sort((a, b) => a.at.localeCompare(b.at) || a.id - b.id);
+}
+
+/**
+ * Log the scheduled changes, so rebuilds can be planned for their dates.
+ */
+function reportSchedule(schedule, days) {
+  if (schedule.length === 0) {
+    log.verbose(`No pages go live or expire within ${days} days`);
+    return;
+  }
+  log.warn(`${schedule.length} scheduled change(s) within ${days} days — rebuild on these dates:`);
+  for (const change of schedule) {
+    log.warn(`  ${change.at.replace('T', ' ').slice(0, 16)} UTC  ${change.action.padEnd(9)}  ${change.href} (${change.title})`);
+  }
+}
+
+// ─── Languages (Contexts) ───────────────────────────────────────────
+
+// Babel's default TV for translation links ("web:1;en:5;fr:9")
+const BABEL_TV_NAME = 'babelLanguageLinks';
+
+/**
+ * Row handler for context_setting — collects `{ [context_key]: { key: value } }`.
+ */
+function contextSettingRowHandler(contextSettings) {
+  return (row, info) => {
+    const { context_key: context, key, value } = rowToRecord(row, info && info.columns, 'context_setting', info && info.table);
+    if (!context || !key) return;
+    if (!contextSettings[context]) contextSettings[context] = {};
+    contextSettings[context][key] = value === null ? '' : String(value);
+  };
+}
+
+/**
+ * Row handler for system_settings — collects `{ key: value }`.
+ */
+function systemSettingRowHandler(systemSettings) {
+  return (row, info) => {
+    const { key, value } = rowToRecord(row, info && info.columns, 'system_settings', info && info.table);
+    if (key) systemSettings[key] = value === null ? '' : String(value);
+  };
+}
+
+/**
+ * One language per web context that has resources — empty for single-context
+ * sites. The default context (`web`, else the first) keeps its URLs at the
+ * root; other contexts live under their `base_url` (or `site_url` path),
+ * falling back to /{lang}/. The language code is the context's `cultureKey`.
+ *
+ * Returns [{ context, code, prefix, default, siteUrl, startId }].
+ */
+function buildLanguages(resources, contextSettings = {}, systemSettings = {}) {
+  const contexts = [...new Set(resources.filter(r => !r.deleted).map(r => r.context_key || 'web'))]
+    .filter(key => key !== 'mgr');
+  if (contexts.length < 2) return [];
+
+  const defaultContext = contexts.includes('web') ? 'web' : contexts[0];
+  contexts.sort((a, b) => (b === defaultContext) - (a === defaultContext) || a.localeCompare(b));
+
+  const usedCodes = new Set();
+  const usedPrefixes = new Set();
+  return contexts.map(context => {
+    const cs = contextSettings[context] || {};
+    const isDefault = context === defaultContext;
+
+    let code = (cs.cultureKey || (isDefault ? systemSettings.cultureKey : '') || context).toLowerCase();
+    if (usedCodes.has(code)) code = context.toLowerCase();
+    usedCodes.add(code);
+
+    let urlPath = cs.base_url;
+    if (urlPath === undefined && cs.site_url) {
+      try {
+        urlPath = new URL(cs.site_url).pathname;
+      } catch {
+        urlPath = undefined;
+      }
+    }
+    let prefix = urlPath !== undefined ? urlPath.replace(/^\/+|\/+$/g, '') : (isDefault ? '' : code);
+    // Contexts told apart by domain share base_url "/" — they still need their own folder
+    if (!isDefault && (!prefix || usedPrefixes.has(prefix))) prefix = code;
+    usedPrefixes.add(prefix);
+
+    const startId = contextStartId(resources, context, cs);
+
+    return { context, code, prefix, default: isDefault, siteUrl: cs.site_url || '', startId };
+  });
+}
+
+/**
+ * Start resource of a context: its `site_start` setting, else the first
+ * top-level resource by menuindex (0 if the context has none).
+ */
+function contextStartId(resources, context, cs = {}) {
+  const topLevel = resources
+    .filter(r => (r.context_key || 'web') === context && r.parent === 0 && !r.deleted)
+    .sort((a, b) => a.menuindex - b.menuindex);
+  return Number(cs.site_start) || (topLevel[0] ? Number(topLevel[0].id) : 0);
+}
+
+/**
+ * Tag resources with their language and move the URIs of prefixed contexts
+ * under their prefix, so that slugs, [[~id]] links and navigation all point
+ * at /{prefix}/… The start resource of a prefixed context becomes /{prefix}.
+ */
+function localizeResources(resources, languages) {
+  const byContext = new Map(languages.map(l => [l.context, l]));
+  for (const resource of resources) {
+    const language = byContext.get(resource.context_key || 'web');
+    if (!language) continue;
+    resource.lang = language.code;
+    if (!language.prefix) continue;
+
+    resource.langPrefix = language.prefix;
+    const uri = (resource.uri || resource.alias || '').replace(/^\/+/, '');
+    resource.uri = Number(resource.id) === language.startId ? language.prefix : `${language.prefix}/${uri}`;
+  }
+}
+
+/**
+ * Parse a Babel link value ("web:1;en:5") into [[context, id], …].
+ */
+function parseBabelLinks(value) {
+  if (!value) return [];
+  return String(value).split(';')
+    .map(pair => pair.split(':').map(p => p.trim()))
+    .filter(([context, id]) => context && /^\d+$/.test(id || ''))
+    .map(([context, id]) => [context, Number(id)]);
+}
+
+/**
+ * Set `lang` and `translations` ({ [code]: href } of the other languages) on
+ * a page from the resource's Babel TV, which is then dropped from `tvs`.
+ */
+function applyTranslations(page, resource, tvs, languages, resourceMap, tvName = BABEL_TV_NAME) {
+  const byContext = new Map(languages.map(l => [l.context, l]));
+  const homeIds = new Set(languages.filter(l => !l.prefix).map(l => l.startId));
+
+  page.data.lang = resource.lang;
+  const translations = {};
+  for (const [context, id] of parseBabelLinks(tvs[tvName])) {
+    const language = byContext.get(context);
+    if (!language || language.code === resource.lang) continue;
+    if (!resourceMap[id]) {
+      edgeCases.push({ type: 'babel_link_unresolved', resource: resource.pagetitle, context, id });
+      continue;
+    }
+    translations[language.code] = homeIds.has(id) ? '/' : resourceHref(id, resourceMap);
+  }
+  if (Object.keys(translations).length > 0) page.data.translations = translations;
+
+  if (page.data.tvs) {
+    delete page.data.tvs[tvName];
+    if (Object.keys(page.data.tvs).length === 0) delete page.data.tvs;
+  }
+}
+
+// ─── Contexts as Sites ──────────────────────────────────────────────
+
+/**
+ * One site per web context (`--split-contexts`), limited to `only` when given.
+ * The start resource of each context becomes that site's homepage: its URI is
+ * set to "/" so that links to it, redirects and the menu all point at the root.
+ *
+ * Returns [{ context, siteUrl, startId, resources }], `web` first. Throws when
+ * `only` leaves nothing to migrate.
+ */
+function splitContexts(resources, contextSettings = {}, only = []) {
+  const contexts = [...new Set(resources.filter(r => !r.deleted).map(r => r.context_key || 'web'))]
+    .filter(key => key !== 'mgr')
+    .sort((a, b) => (b === 'web') - (a === 'web') || a.localeCompare(b));
+
+  for (const key of only) {
+    if (!contexts.includes(key)) log.warn(`--only: context "${key}" has no resources in the dump`);
+  }
+  const selected = only.length > 0 ? contexts.filter(key => only.includes(key)) : contexts;
+  if (selected.length === 0) {
+    throw new Error(`no contexts to migrate (found: ${contexts.join(', ') || 'none'})`);
+  }
+
+  const sites = contexts.map(context => {
+    const cs = contextSettings[context] || {};
+    const startId = contextStartId(resources, context, cs);
+    const start = resources.find(r => Number(r.id) === startId);
+    if (start) start.uri = '/';
+
+    // Links between sites need an absolute URL to point at
+    if (contexts.length > 1 && !cs.site_url) {
+      log.warn(`Context "${context}" has no site_url — links to it from other contexts stay relative`);
+      edgeCases.push({ type: 'context_without_site_url', context });
+    }
+
+    return {
+      context,
+      siteUrl: contextSiteUrl(cs),
+      startId,
+      resources: resources.filter(r => (r.context_key || 'web') === context),
+    };
+  });
+  return sites.filter(site => selected.includes(site.context));
+}
+
+/**
+ * A context's site_url without the trailing slash ('' if not set).
+ */
+function contextSiteUrl(cs = {}) {
+  return (cs.site_url || '').replace(/\/+$/, '');
 }
 
 /**
- * Fuzzy-find a file in known asset directories.
- * Handles case differences, space/underscore swaps, jpeg/jpg extension.
+ * Resource map for one split site — resources of other contexts link to
+ * absolute URLs on their context's site_url.
  */
-function fuzzyFindFile(filename) {
-  const normalized = normalizeFilename(filename);
-  const searchDirs = [
-    { dir: path.join(ASSETS_PATH, '..', 'assets', 'userupload', 'assets', 'uploads'), prefix: '/assets/userupload/assets/uploads/' },
-    { dir: path.join(ASSETS_PATH, '..', 'assets', 'uploads'), prefix: '/assets/uploads/' },
-    { dir: path.join(ASSETS_PATH, '..', 'assets', 'userupload'), prefix: '/assets/userupload/' },
-  ];
-  
-  for (const { dir, prefix } of searchDirs) {
-    try {
-      if (!fs.existsSync(dir)) continue;
-      const files = fs.readdirSync(dir);
-      for (const file of files) {
-        if (normalizeFilename(file) === normalized) {
-          return `${prefix}${file}`;
-        }
-      }
-    } catch {}
+function buildContextResourceMap(resources, context, contextSettings = {}) {
+  const map = buildResourceMap(resources);
+  for (const r of resources) {
+    const key = r.context_key || 'web';
+    const siteUrl = key !== context && contextSiteUrl(contextSettings[key]);
+    if (!siteUrl) continue;
+    const uri = (r.uri || r.alias || '').replace(/^\/+/, '');
+    map[r.id] = { ...map[r.id], uri: `${siteUrl}/${uri}` };
   }
-  return null;
+  return map;
 }
 
-function cleanModxTags(content) {
-  if (!content) return '';
-  
-  // Remove MODX chunk calls [[$chunkname?...]]
-  content = content.replace(/\[\[\$[^\]]*\]\]/g, '');
-  
-  // Remove MODX snippet calls [[!snippetname?...]] or [[snippetname?...]]
-  content = content.replace(/\[\[!?[a-zA-Z][^\]]*\]\]/g, '');
-  
-  // Remove MODX output modifiers [[+placeholder:modifier]]
-  content = content.replace(/\[\[\+[^\]]*\]\]/g, '');
-  
-  // Remove MODX system tags [[*field]] [[%lexicon]]
-  content = content.replace(/\[\[\*[^\]]*\]\]/g, '');
-  content = content.replace(/\[\[%[^\]]*\]\]/g, '');
-  
-  return content.trim();
+// ─── SEO Metadata ───────────────────────────────────────────────────
+
+/**
+ * Per-resource SEO settings from the dump — SEO Suite (`seosuite_resource`)
+ * and SEO Pro keywords (`seopro_keywords`), by resource ID.
+ */
+function createSeoData() {
+  return { resources: new Map(), keywords: new Map() };
 }
 
-function extractTextFromHtml(html) {
-  // Extract just the title/heading from HTML
-  const h4Match = html.match(/<h4[^>]*>(.*?)<\/h4>/is);
-  if (h4Match) return h4Match[1].replace(/<[^>]+>/g, '').trim();
-  
-  const h3Match = html.match(/<h3[^>]*>(.*?)<\/h3>/is);
-  if (h3Match) return h3Match[1].replace(/<[^>]+>/g, '').trim();
-  
-  return html.replace(/<[^>]+>/g, '').trim().substring(0, 100);
+/**
+ * Row handlers for the SEO tables, filling `seoData` (see createSeoData).
+ */
+function seoRowHandlers(seoData) {
+  return {
+    seosuite_resource: (row, info) => {
+      const record = rowToRecord(row, info.columns, 'seosuite_resource', info.table);
+      seoData.resources.set(Number(record.resource_id), record);
+    },
+    seopro_keywords: (row, info) => {
+      const record = rowToRecord(row, info.columns, 'seopro_keywords', info.table);
+      if (record.keywords) seoData.keywords.set(Number(record.resource), String(record.keywords));
+    },
+  };
 }
 
-function stripTitleFromHtml(html) {
-  // Remove the title heading, return remaining content
-  let stripped = html.replace(/<h[1-6][^>]*>.*?<\/h[1-6]>/gis, '');
-  stripped = stripped.replace(/<p>\s*<\/p>/g, '').trim();
-  return stripped;
+/**
+ * Carry a resource's SEO settings into page data. Sources, later ones winning:
+ * the resource itself (`searchable`), SEOTab's `stercseo` properties, SEO Pro
+ * keywords and the SEO Suite record. Only values differing from the defaults
+ * are set — `metaTitle`, `keywords`, `canonicalUrl`, and `noindex`,
+ * `nofollow`, `searchable: false`, `sitemap: false`.
+ */
+function applySeo(data, resource, seoData, resourceMap = {}) {
+  const flag = (value) => (value === undefined || value === null || value === '' ? undefined : String(value) !== '0');
+  const seo = { searchable: flag(resource.searchable) };
+
+  const sterc = parseJsonField(resource.properties, {}).stercseo;
+  if (sterc && typeof sterc === 'object') {
+    Object.assign(seo, { index: flag(sterc.index), follow: flag(sterc.follow), sitemap: flag(sterc.sitemap) });
+  }
+
+  const keywords = seoData.keywords.get(Number(resource.id));
+  if (keywords) seo.keywords = keywords;
+
+  const suite = seoData.resources.get(Number(resource.id));
+  if (suite) {
+    Object.assign(seo, {
+      index: flag(suite.index_type),
+      follow: flag(suite.follow_type),
+      sitemap: flag(suite.sitemap),
+    });
+    if (flag(suite.searchable) !== undefined) seo.searchable = flag(suite.searchable);
+    if (suite.keywords) seo.keywords = String(suite.keywords);
+    if (flag(suite.canonical) && suite.canonical_uri) seo.canonical = String(suite.canonical_uri);
+    const metaTitle = seoMetaText(suite.meta_title, resource);
+    if (metaTitle) seo.metaTitle = metaTitle;
+    const metaDescription = seoMetaText(suite.meta_description, resource);
+    if (metaDescription) data.description = metaDescription;
+  }
+
+  if (seo.metaTitle) data.metaTitle = seo.metaTitle;
+  if (seo.keywords) data.keywords = decodeHtmlEntities(seo.keywords.split(',').map(k => k.trim()).filter(Boolean).join(', '));
+  if (seo.canonical) {
+    // A bare number is a resource ID
+    data.canonicalUrl = resolveResourceLinks(/^\d+$/.test(seo.canonical) ? `[[~${seo.canonical}]]` : seo.canonical, resourceMap);
+  }
+  if (seo.index === false) data.noindex = true;
+  if (seo.follow === false) data.nofollow = true;
+  if (seo.searchable === false) data.searchable = false;
+  if (seo.sitemap === false) data.sitemap = false;
 }
 
-function extractFirstLink(html) {
-  const match = html.match(/href="([^"]+)"/);
-  return match ? match[1] : '';
+/**
+ * SEO Suite meta title/description — plain text, or its JSON list of parts
+ * (`{ type: 'text' | 'field', value }`) with fields read from the resource.
+ * Values still holding MODX tags are dropped and reported.
+ */
+function seoMetaText(value, resource) {
+  if (!value) return '';
+  const parts = parseJsonField(value, null);
+  const text = Array.isArray(parts)
+    ? parts.map(part => (part.type === 'field' ? resource[part.value] || '' : part.value || '')).join('')
+    : String(value);
+  if (/\[\[/.test(text)) {
+    edgeCases.push({ type: 'seo_meta_with_tags', resource: resource.pagetitle, id: Number(resource.id), value: text });
+    return '';
+  }
+  return decodeHtmlEntities(text).trim();
 }
 
-function mapPosition(pos) {
-  const map = {
-    'img-cover-pos-t': 'top',
-    'img-cover-pos-b': 'bottom',
-    'img-cover-pos-l': 'left',
-    'img-cover-pos-r': 'right',
-    '': 'center',
+// ─── Protected Resources ────────────────────────────────────────────
+
+// Credentials stored next to the protected pages (see writeProtectedArea)
+const HTPASSWD_FILE = '.htpasswd';
+
+/**
+ * Collected while reading the dump: resource group memberships, group names
+ * and the contexts each group restricts access in.
+ */
+function createAccessData() {
+  return {
+    // resource ID → Set of resource group IDs
+    members: new Map(),
+    // resource group ID → name
+    names: new Map(),
+    // resource group ID → Set of context keys with an access policy
+    acls: new Map(),
   };
-  return map[pos] || 'center';
 }
 
-function mapMinHeight(val) {
-  if (val === 'header-fullheight') return 'full';
-  if (val === 'minheight65') return 'medium';
-  return 'small';
+/**
+ * Row handlers for the resource group tables, filling `access` (see createAccessData).
+ */
+function accessRowHandlers(access) {
+  return {
+    document_groups: (row, info) => {
+      const record = rowToRecord(row, info.columns, 'document_groups', info.table);
+      const id = Number(record.document);
+      if (!access.members.has(id)) access.members.set(id, new Set());
+      access.members.get(id).add(Number(record.document_group));
+    },
+    documentgroup_names: (row, info) => {
+      const record = rowToRecord(row, info.columns, 'documentgroup_names', info.table);
+      access.names.set(Number(record.id), String(record.name || ''));
+    },
+    access_resource_groups: (row, info) => {
+      const record = rowToRecord(row, info.columns, 'access_resource_groups', info.table);
+      const group = Number(record.target);
+      if (!access.acls.has(group)) access.acls.set(group, new Set());
+      access.acls.get(group).add(String(record.context_key || 'web'));
+    },
+  };
 }
 
-function mapVerticalAlign(val) {
-  if (val === 'header-content-valign-t') return 'top';
-  if (val === 'header-content-valign-b') return 'bottom';
-  return 'center';
+/**
+ * Why a resource is hidden from anonymous visitors in MODX — `privateweb`
+ * (MODX 2), and the resource groups restricting access in its context.
+ * Without any access policies in the dump every group counts, as nothing
+ * tells a restricting group from a merely organising one.
+ *
+ * Returns the reasons (group names), empty for public resources.
+ */
+function protectionOf(resource, access) {
+  const reasons = Number(resource.privateweb) === 1 ? ['privateweb'] : [];
+  for (const group of access.members.get(Number(resource.id)) || []) {
+    const contexts = access.acls.get(group);
+    if (access.acls.size > 0 && !(contexts && contexts.has(resource.context_key || 'web'))) continue;
+    reasons.push(access.names.get(group) || `group ${group}`);
+  }
+  return reasons;
 }
 
-function mapTrennerWidth(val) {
-  if (val === 'trenner-60') return '60';
-  if (val === 'trenner-40') return '40';
-  if (val === 'trenner-20') return '20';
-  return 'full';
+/**
+ * Mark protected resources (`resource.protected`). With `mode` 'protect'
+ * they are moved under `areaPath` — their URIs are prefixed and they leave
+ * the menus; with 'exclude' the caller drops them.
+ *
+ * Returns the protected resources.
+ */
+function protectResources(resources, access, mode = settings.protected, areaPath = settings.protectedPath) {
+  const found = [];
+  for (const resource of resources) {
+    if (resource.deleted) continue;
+    const reasons = protectionOf(resource, access);
+    if (reasons.length === 0) continue;
+    resource.protected = true;
+    found.push(resource);
+    if (mode === 'protect') {
+      const uri = String(resource.uri || resource.alias || '').replace(/^\/+/, '');
+      resource.publicUri = uri;
+      resource.uri = `${areaPath}/${uri}`;
+      resource.hidemenu = 1;
+    }
+    log.verbose(`Protected: ${resource.pagetitle} (${reasons.join(', ')})`);
+  }
+  if (found.length > 0) {
+    log.info(`Protected resources: ${found.length} — ${mode === 'protect' ? `moved under /${areaPath}/` : 'left out (--protected protect publishes them behind a password)'}`);
+  }
+  return found;
 }
 
-function buildExpertCardHtml(row, resourceMap) {
-  const name = row['expert-name']?.value || '';
-  const role = row['expert-role']?.value || '';
-  const bio = row['expert-bio']?.value || '';
-  const img = resolveImagePath(row['expert-image']?.url || '');
-  
-  return `
-    <div class="bg-white rounded-xl shadow-sm border border-slate-200 p-6 flex gap-4 items-start">
-      ${img ? `<img src="${img}" alt="${name}" class="w-16 h-16 rounded-full object-cover" />` : ''}
-      <div>
-        <div class="font-bold text-lg">${name}</div>
-        <div class="text-sm text-slate-500">${role}</div>
-        ${bio ? `<p class="text-sm mt-2 text-slate-600">${resolveResourceLinks(bio, resourceMap)}</p>` : ''}
-      </div>
-    </div>
-  `;
-}
-
-function buildFaqHtml(row, resourceMap) {
-  const question = row.question?.value || '';
-  const answer = resolveResourceLinks(row.answer?.value || '', resourceMap);
-  
-  return `
-    <details class="border border-slate-200 rounded-lg mb-3">
-      <summary class="p-4 font-medium cursor-pointer hover:bg-slate-50">${question}</summary>
-      <div class="p-4 pt-0 text-slate-600">${answer}</div>
-    </details>
-  `;
+/**
+ * 301s from the old URLs of resources moved by protectResources.
+ */
+function protectedRedirects(resources, resourceMap) {
+  const redirects = [];
+  for (const resource of resources) {
+    if (!resource.protected || resource.publicUri === undefined || !resource.publicUri) continue;
+    const newUrl = resourceHref(resource.id, resourceMap);
+    const oldUrls = [...new Set([`/${resource.publicUri}`, `/${resource.publicUri.replace(/\.html$/, '').replace(/\/$/, '')}`])];
+    oldUrls.filter(u => u !== '/' && u !== newUrl).forEach((oldUrl, i) => {
+      redirects.push({ id: `protected-${resource.id}-${i + 1}`, old_url: oldUrl, new_url: newUrl, redirect_type: '301' });
+    });
+  }
+  return redirects;
 }
 
-// ─── Client Config ──────────────────────────────────────────────────
-
-function extractClientConfig(sql) {
-  const config = {};
-  // Support explicit column list form: INSERT INTO `t` (col1, col2, …) VALUES (…)
-  const insertRegex =
-    /INSERT INTO `modx_clientconfig_setting`\s*(?:\([^)]+\)\s*)?VALUES\s*(.+?);\s*$/ms;
-  const match = sql.match(insertRegex);
-  if (!match) return config;
+/**
+ * The basic-auth password — configured, or generated once per run and
+ * returned as the run's `credentials`.
+ */
+function protectedPassword() {
+  if (!settings.protectedPassword) {
+    settings.protectedPassword = generatePassword();
+    generatedCredentials = { path: `/${settings.protectedPath}/`, user: settings.protectedUser, password: settings.protectedPassword };
+    log.warn(`Generated password for /${settings.protectedPath}/ (user "${settings.protectedUser}"): ${settings.protectedPassword} — set PROTECTED_PASSWORD to choose one`);
+  }
+  return settings.protectedPassword;
+}
 
-  const rows = parseSQLValues(match[1]);
-  for (const row of rows) {
-    // Columns: 0=id, 1=key, 2=label, 3=xtype, 4=description, 5=is_required, 6=sortorder, 7=value, 8=default, 9=group, ...
-    const key = row[1];
-    const value = row[7]; // Value is at index 7, NOT index 2 (which is the label)
-    if (key && value !== null && value !== undefined) {
-      config[key] = value;
+/**
+ * Write the basic-auth rules of the protected path next to the site's
+ * public/ files: `<path>/.htaccess` and `.htpasswd` for Apache, or a
+ * `Basic-Auth` block in `_headers` for Netlify. Existing credentials are
+ * kept unless a password is configured.
+ */
+async function writeProtectedArea(outPath) {
+  const publicDir = path.join(outPath, '..', '..', 'public');
+  const { protectedPath, protectedUser } = settings;
+
+  if (settings.protectedServer === 'netlify') {
+    const headersPath = path.join(publicDir, '_headers');
+    let existing = '';
+    try { existing = await fs.readFile(headersPath, 'utf-8'); } catch { /* new file */ }
+    const MARKER_START = '# --- BEGIN MIGRATION BASIC AUTH (auto-generated) ---';
+    const MARKER_END   = '# --- END MIGRATION BASIC AUTH ---';
+    if (!settings.protectedPassword && existing.includes(MARKER_START)) {
+      log.info(`Kept: _headers basic auth for /${protectedPath}/`);
+      return;
     }
+    const block = [
+      MARKER_START,
+      `/${protectedPath}/*`,
+      `  Basic-Auth: ${protectedUser}:${protectedPassword()}`,
+      MARKER_END,
+    ].join('\n');
+    await fs.ensureDir(publicDir);
+    await fs.writeFile(headersPath, replaceMarkedBlock(existing, MARKER_START, MARKER_END, block));
+    log.info(`Written: _headers (basic auth for /${protectedPath}/)`);
+    return;
   }
 
-  return config;
+  const areaDir = path.join(publicDir, ...protectedPath.split('/'));
+  const htpasswd = path.join(areaDir, HTPASSWD_FILE);
+  if (settings.protectedPassword || !(await fs.pathExists(htpasswd))) {
+    await fs.outputFile(htpasswd, `${protectedUser}:${htpasswdHash(protectedPassword())}\n`);
+    log.info(`Written: ${protectedPath}/${HTPASSWD_FILE}`);
+  } else {
+    log.info(`Kept: ${protectedPath}/${HTPASSWD_FILE}`);
+  }
+
+  // Apache needs the absolute path of the file on the server
+  let authUserFile = settings.htpasswdPath
+    || (process.env.DEPLOY_PATH ? path.posix.join(process.env.DEPLOY_PATH, protectedPath, HTPASSWD_FILE) : '');
+  if (!authUserFile) {
+    authUserFile = `/path/to/webroot/${protectedPath}/${HTPASSWD_FILE}`;
+    log.warn(`No --htpasswd-path (or DEPLOY_PATH) — set AuthUserFile in ${protectedPath}/.htaccess; until then Apache refuses the protected pages`);
+    edgeCases.push({ type: 'htpasswd_path_unknown', path: `/${protectedPath}/` });
+  }
+  await fs.outputFile(path.join(areaDir, '.htaccess'), [
+    '# Basic auth for the protected area — rewritten on every `node migrate.js --protected protect` run.',
+    'AuthType Basic',
+    'AuthName "Protected area"',
+    `AuthUserFile ${authUserFile}`,
+    'Require valid-user',
+    `<Files "${HTPASSWD_FILE}">`,
+    '  Require all denied',
+    '</Files>',
+    '',
+  ].join('\n'));
+  log.info(`Written: ${protectedPath}/.htaccess`);
 }
 
 // ─── SEO Redirects ──────────────────────────────────────────────────
@@ -1855,37 +5191,56 @@ async function writeHtaccessRedirects(redirects, outPath) {
   let existing = '';
   try { existing = await fs.readFile(htaccessPath, 'utf-8'); } catch { /* new file */ }
 
-  const si = existing.indexOf(MARKER_START);
-  const ei = existing.indexOf(MARKER_END);
+  await fs.ensureDir(publicDir);
+  await fs.writeFile(htaccessPath, replaceMarkedBlock(existing, MARKER_START, MARKER_END, block));
+  log.info(`Written: .htaccess (${redirects.length} redirect rules)`);
+}
+
+/**
+ * Replace the block between the markers in `existing`, or append it.
+ */
+function replaceMarkedBlock(existing, markerStart, markerEnd, block) {
+  const si = existing.indexOf(markerStart);
+  const ei = existing.indexOf(markerEnd);
 
   let updated;
   if (si !== -1 && ei !== -1) {
     // Replace existing block
-    updated = existing.slice(0, si) + block + existing.slice(ei + MARKER_END.length);
+    updated = existing.slice(0, si) + block + existing.slice(ei + markerEnd.length);
   } else {
-    updated = existing.trimEnd() + '\n\n' + block + '\n';
+    updated = (existing.trim() ? existing.trimEnd() + '\n\n' : '') + block + '\n';
   }
+  return updated.replace(/\n{3,}/g, '\n\n');
+}
 
-  await fs.ensureDir(publicDir);
-  await fs.writeFile(htaccessPath, updated.replace(/\n{3,}/g, '\n\n'));
-  log.info(`Written: .htaccess (${redirects.length} redirect rules)`);
+function extractRedirects(sql, resourceMap = {}, prefix = settings.tablePrefix) {
+  const rows = [];
+  parseSqlDump(sql, {
+    seosuite_redirect: redirectRowHandler(rows),
+  }, { prefix });
+  return mapRedirectRows(rows, resourceMap);
+}
+
+/**
+ * Row handler for seosuite_redirect — collects column-mapped records into `rows`.
+ */
+function redirectRowHandler(rows) {
+  return (row, info) => rows.push(rowToRecord(row, info.columns, 'seosuite_redirect', info.table));
 }
 
-function extractRedirects(sql, resourceMap = {}) {
+/**
+ * Convert seosuite_redirect records (see rowToRecord) into normalized redirect entries.
+ * Kept separate from parsing because bare resource-ID targets can only be
+ * resolved once every resource has been read.
+ */
+function mapRedirectRows(rows, resourceMap = {}) {
   const redirects = [];
-  // Support explicit column list form: INSERT INTO `t` (col1, col2, …) VALUES (…)
-  const insertRegex =
-    /INSERT INTO `modx_seosuite_redirect`\s*(?:\([^)]+\)\s*)?VALUES\s*(.+?);\s*$/ms;
-  const match = sql.match(insertRegex);
-  if (!match) return redirects;
-
-  // Columns: 0=id, 1=context_key, 2=resource_id, 3=old_url, 4=new_url, 5=redirect_type, 6=active
-  const rows = parseSQLValues(match[1]);
+
   for (const row of rows) {
-    const oldUrl = (row[3] || '').trim();
-    const newUrl = (row[4] || '').trim();
-    const redirectType = (row[5] || '301').toString().trim();
-    const active = row[6];
+    const oldUrl = (row.old_url || '').trim();
+    const newUrl = (row.new_url || '').trim();
+    const redirectType = (row.redirect_type || '301').toString().trim();
+    const active = row.active;
 
     // Skip inactive or empty redirects
     if (!oldUrl || !newUrl) continue;
@@ -1901,11 +5256,11 @@ function extractRedirects(sql, resourceMap = {}) {
     if (/^\d+$/.test(newUrl)) {
       const res = resourceMap[parseInt(newUrl)];
       if (!res) {
-        log.verbose(`SEO redirect #${row[0]}: skipping — new_url is resource ID ${newUrl} but resource not found`);
+        log.verbose(`SEO redirect #${row.id}: skipping — new_url is resource ID ${newUrl} but resource not found`);
         continue;
       }
       let uri = res.uri || res.alias || '';
-      if (!uri.startsWith('/')) uri = '/' + uri;
+      if (!/^(\/|https?:\/\/)/.test(uri)) uri = '/' + uri;
       uri = uri.replace(/\.html$/, '');
       normalizedNew = uri || '/';
     } else {
@@ -1916,7 +5271,7 @@ function extractRedirects(sql, resourceMap = {}) {
     if (normalizedOld.replace(/\.html$/, '') === normalizedNew.replace(/\.html$/, '')) continue;
 
     redirects.push({
-      id: String(row[0]),
+      id: String(row.id),
       old_url: normalizedOld,
       new_url: normalizedNew,
       redirect_type: redirectType.includes('301') ? '301' : redirectType.includes('302') ? '302' : '301',
@@ -1928,7 +5283,7 @@ function extractRedirects(sql, resourceMap = {}) {
 
 // ─── Site Config Builder ────────────────────────────────────────────
 
-function buildSiteConfig(resources, clientConfig, processedPages = []) {
+function buildSiteConfig(resources, clientConfig, processedPages = [], languages = [], siteUrl = settings.site) {
   // Helper: get href for a resource
   const getHref = (r) => {
     let href = r.uri || r.alias || '';
@@ -1963,28 +5318,27 @@ function buildSiteConfig(resources, clientConfig, processedPages = []) {
     return null;
   };
 
-  // Build top-level resources (parent === 0)
-  const topLevel = resources
-    .filter(r => r.published && !r.deleted && !r.hidemenu && r.parent === 0)
-    .sort((a, b) => a.menuindex - b.menuindex);
-
-  // Build child resources by parent ID
+  // Build child resources by parent ID (posts are listed by their container page instead)
   const childrenByParent = {};
   resources
-    .filter(r => r.published && !r.deleted && !r.hidemenu && r.parent !== 0)
+    .filter(r => isPublishable(r) && !r.deleted && !r.hidemenu && r.parent !== 0 && !r.isPost)
     .sort((a, b) => a.menuindex - b.menuindex)
     .forEach(r => {
       if (!childrenByParent[r.parent]) childrenByParent[r.parent] = [];
       childrenByParent[r.parent].push(r);
     });
 
-  const navigation = topLevel
+  // Menu of the top-level resources (parent === 0) accepted by `inMenu`
+  const buildNavigation = (inMenu, homeHref) => resources
+    .filter(r => isPublishable(r) && !r.deleted && !r.hidemenu && r.parent === 0 && inMenu(r))
+    .sort((a, b) => a.menuindex - b.menuindex)
     .map(r => {
       const anchorHref = getAnchorForResource(r);
       const href = anchorHref || getHref(r);
       const item = {
         label: r.menutitle || r.pagetitle,
         href,
+        ...publishWindow(r),
       };
       // Add children (sub-menu items) if this resource has child pages
       const children = childrenByParent[r.id];
@@ -1994,13 +5348,26 @@ function buildSiteConfig(resources, clientConfig, processedPages = []) {
           return {
             label: c.menutitle || c.pagetitle,
             href: childAnchor || getHref(c),
+            ...publishWindow(c),
           };
         });
       }
       return item;
     })
     // Skip home link (logo already links there)
-    .filter(item => item.href !== '/');
+    .filter(item => item.href !== homeHref);
+
+  // Multilingual sites: one menu per language (context); `navigation` is the default language's
+  const navigationByLanguage = {};
+  for (const language of languages) {
+    navigationByLanguage[language.code] = buildNavigation(
+      // The start page is reached through the logo, like the root homepage
+      r => (r.context_key || 'web') === language.context && Number(r.id) !== language.startId,
+      language.prefix ? `/${language.prefix}` : '/'
+    );
+  }
+  const defaultLanguage = languages.find(l => l.default);
+  const navigation = defaultLanguage ? navigationByLanguage[defaultLanguage.code] : buildNavigation(() => true, '/');
 
   // --- Extract theme configuration from MODX clientconfig ---
   // MODX stores colors WITHOUT # prefix (e.g. "1e365a"), fonts as CSS strings
@@ -2127,10 +5494,14 @@ function buildSiteConfig(resources, clientConfig, processedPages = []) {
     analyticsType,
     trackingCodeHead,
     trackingCodeBody,
-    siteUrl: SITE_URL,
+    siteUrl,
     logo,
     favicon,
     navigation,
+    ...(languages.length > 0 && {
+      languages: languages.map(l => ({ code: l.code, href: l.prefix ? `/${l.prefix}` : '/', default: l.default })),
+      navigationByLanguage,
+    }),
     socialLinks,
     theme: {
       primaryColor: primaryColor || '#0f172a',
@@ -2262,21 +5633,287 @@ function countFiles(dir) {
   return count;
 }
 
+// ─── Plugins ────────────────────────────────────────────────────────
+
+// Everything registered by plugins, in plugin order (see loadPlugins)
+const pluginRegistry = {
+  plugins: [],
+  layouts: [],
+  fields: [],
+  postProcessors: [],
+  outputHooks: [],
+  snippets: [],
+};
+
+// Helpers handed to every plugin hook next to the per-call context
+const PLUGIN_HELPERS = {
+  resolveImagePath,
+  resolveResourceLinks,
+  processContentFields,
+  cleanHtml,
+  cleanModxTags,
+  fieldKind,
+  getLayoutDef,
+  getFieldDef,
+  log,
+  edgeCases,
+};
+
+/**
+ * Read a --config file (.json or .js):
+ *
+ *   { "plugins": ["./plugins/acme.js", ["migrate-plugin-x", { "option": 1 }]],
+ *     "mapping": "./mapping.json" }
+ *
+ * Relative plugin and mapping paths resolve against the config file.
+ */
+function loadConfig(file) {
+  const configPath = path.resolve(file);
+  const config = configPath.endsWith('.js')
+    ? require(configPath)
+    : JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  const baseDir = path.dirname(configPath);
+
+  const unknown = Object.keys(config).filter(k => !['plugins', 'mapping', 'htmlCleanup'].includes(k));
+  if (unknown.length > 0) throw new Error(`${configPath}: unknown option(s) ${unknown.join(', ')}`);
+  if (config.plugins !== undefined && !Array.isArray(config.plugins)) {
+    throw new Error(`${configPath}: "plugins" must be an array`);
+  }
+
+  return {
+    file: configPath,
+    plugins: (config.plugins || []).map(spec => {
+      const [name, options] = [].concat(spec);
+      return { name, options, baseDir };
+    }),
+    mapping: typeof config.mapping === 'string' ? path.resolve(baseDir, config.mapping) : config.mapping,
+    htmlCleanup: config.htmlCleanup,
+  };
+}
+
+/**
+ * Resolve and register plugins. `specs` are `{ name, options, baseDir }`
+ * (or `{ plugin, options }` for an already loaded plugin); a name starting
+ * with . or / is a file path, anything else an npm package.
+ * Plugins run ordered by their `order` (default 0), then in the order given.
+ */
+function loadPlugins(specs) {
+  const loaded = specs.map(({ name, options, plugin, baseDir = process.cwd() }) => {
+    if (plugin) return { plugin, options: options || {}, name: name || plugin.name || 'anonymous' };
+    const file = /^[./]/.test(name)
+      ? path.resolve(baseDir, name)
+      : require.resolve(name, { paths: [baseDir, process.cwd()] });
+    return { plugin: require(file), options: options || {}, name };
+  });
+
+  loaded
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => ((a.plugin.order || 0) - (b.plugin.order || 0)) || (a.index - b.index))
+    .forEach(({ plugin, options, name }) => registerPlugin(plugin, options, name));
+
+  return pluginRegistry.plugins;
+}
+
+/**
+ * Register one plugin: either `(api, options) => {}` or
+ * `{ name, order, setup(api, options) }`. `api` offers:
+ *
+ *   registerLayoutProcessor(match, fn)  fn(layout, ctx) → block(s); undefined falls through
+ *   registerFieldProcessor(match, fn)   fn(field, ctx) → block(s); undefined falls through
+ *   registerPostProcessor(fn)           fn(page, ctx) per page; return a page to replace it, false to drop it
+ *   registerOutputHook(fn)              fn(ctx) before output is written: { pages, siteConfig, redirects, outDir, … }
+ *   registerSnippetEmulator(names, fn)  see registerSnippetEmulator
+ *   helpers                             resolveImagePath, resolveResourceLinks, processContentFields, …
+ *
+ * `match` is a layout/field ID, a name or kind from the dump definitions, or
+ * a predicate `(item, def) => boolean`. Every ctx carries `resourceMap` and
+ * the helpers.
+ */
+function registerPlugin(plugin, options = {}, fallbackName = 'anonymous') {
+  const name = plugin.name || fallbackName;
+  const setup = typeof plugin === 'function' ? plugin : plugin.setup;
+  if (typeof setup !== 'function') throw new Error(`plugin ${name} exports neither a function nor setup()`);
+
+  const api = {
+    name,
+    options,
+    helpers: PLUGIN_HELPERS,
+    registerLayoutProcessor: (match, fn) => pluginRegistry.layouts.push({ plugin: name, match, fn }),
+    registerFieldProcessor: (match, fn) => pluginRegistry.fields.push({ plugin: name, match, fn }),
+    registerPostProcessor: (fn) => pluginRegistry.postProcessors.push({ plugin: name, fn }),
+    registerOutputHook: (fn) => pluginRegistry.outputHooks.push({ plugin: name, fn }),
+    registerSnippetEmulator: (names, fn) => {
+      for (const snippet of [].concat(names)) {
+        const key = snippet.toLowerCase();
+        pluginRegistry.snippets.push({ name: key, previous: snippetEmulators.get(key) });
+      }
+      registerSnippetEmulator(names, fn);
+    },
+  };
+  setup(api, options);
+  pluginRegistry.plugins.push(name);
+  return name;
+}
+
+/**
+ * Forget all plugins and restore the snippet emulators they replaced.
+ */
+function resetPlugins() {
+  for (const { name, previous } of pluginRegistry.snippets.reverse()) {
+    if (previous) snippetEmulators.set(name, previous);
+    else snippetEmulators.delete(name);
+  }
+  for (const list of Object.values(pluginRegistry)) list.length = 0;
+}
+
+function pluginMatches(match, item, id, def, kind) {
+  if (typeof match === 'function') return !!match(item, def);
+  if (typeof match === 'number' || /^\d+$/.test(String(match))) return Number(match) === Number(id);
+  return match === kind || (!!def && match === def.name);
+}
+
+/**
+ * Run the first matching plugin processor. Returns undefined when no plugin
+ * handles the item, so the built-in processor runs.
+ */
+function runPluginProcessors(processors, item, id, def, kind, resourceMap) {
+  for (const { plugin, match, fn } of processors) {
+    if (!pluginMatches(match, item, id, def, kind)) continue;
+    let result;
+    try {
+      result = fn(item, { resourceMap, def, kind, ...PLUGIN_HELPERS });
+    } catch (err) {
+      throw new Error(`plugin ${plugin}: ${err.message}`);
+    }
+    if (result !== undefined) return result;
+  }
+  return undefined;
+}
+
+/**
+ * Pass a processed page through every post-processor. Returns null when a
+ * plugin dropped the page.
+ */
+async function runPostProcessors(page, ctx) {
+  let current = page;
+  for (const { plugin, fn } of pluginRegistry.postProcessors) {
+    const result = await fn(current, { ...ctx, ...PLUGIN_HELPERS });
+    if (result === false) {
+      log.verbose(`Dropped by plugin ${plugin}: ${current.outputPath}`);
+      return null;
+    }
+    if (result && typeof result === 'object') current = result;
+  }
+  return current;
+}
+
+async function runOutputHooks(ctx) {
+  for (const { fn } of pluginRegistry.outputHooks) {
+    await fn({ ...ctx, ...PLUGIN_HELPERS });
+  }
+}
+
+// ─── CLI ────────────────────────────────────────────────────────────
+
+const CLI_HELP = `
+MODX → Astro Migration CLI
+
+Usage:
+  node migrate.js --sql <path> --assets <path> --out <path> [options]
+
+Options:
+  --sql       Path to the MODX SQL dump file — .sql, .sql.gz or .sql.zst (required)
+  --assets    Path to the assets directory (required)
+  --out       Output directory for generated content (required)
+  --site      Site domain for canonical URLs (optional)
+  --table-prefix  MODX table prefix, e.g. mx7_ (default: detected from the dump;
+              pass it without a value for unprefixed tables)
+  --tv-map    Map template variables onto page fields, comma-separated
+              tvName=target pairs. Targets: <blockType>.<field> or one of
+              ${TV_PAGE_FIELDS.join(', ')}
+              — e.g. heroImage=hero.backgroundImage,seoDesc=description
+  --mapping   Per-site mapping file (.json or .js) overriding layout ratios,
+              field block types and repeater keys
+  --plugin    Plugin module (file path or npm package); repeat for several
+  --config    Config file (.json or .js) listing plugins, a mapping and
+              htmlCleanup options
+  --split-contexts  Migrate every context as a site of its own, written to
+              <out>/<context>/src/content (pass --out as the base folder)
+  --only      Comma-separated contexts to migrate with --split-contexts
+  --schedule-days  Report pages going live or expiring within this many
+              days (default: 30)
+  --protected  Resources in protected resource groups: exclude (default)
+              or protect — publish them behind basic auth
+  --protected-path  URL path of the protected area (default: intern)
+  --protected-server  apache (.htaccess/.htpasswd, default) or netlify (_headers)
+  --protected-user  Basic-auth user name (default: intern); the password is
+              taken from PROTECTED_PASSWORD or generated
+  --htpasswd-path  Absolute path of the .htpasswd on the server
+              (default: $DEPLOY_PATH/<protected-path>/.htpasswd)
+  --no-html-cleanup  Keep text, heading and HTML content as it is in MODX
+              (no tag whitelist, style stripping or heading-level fixes)
+  --verbose   Enable verbose logging
+  --help      Show this help message
+`;
+
+/**
+ * Command-line entry point — maps flags onto migrate() options.
+ */
+async function cli(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(CLI_HELP);
+    return null;
+  }
+  if (!args.sql || !args.assets || !args.out) {
+    console.error('Error: --sql, --assets, and --out are required. Use --help for usage.');
+    process.exit(1);
+  }
+
+  return migrate({
+    sql: args.sql,
+    assets: args.assets,
+    out: args.out,
+    site: args.site || '',
+    verbose: !!args.verbose,
+    tablePrefix: args['table-prefix'] === undefined ? null
+      : args['table-prefix'] === true ? '' : String(args['table-prefix']),
+    tvMap: args['tv-map'],
+    mapping: args.mapping && String(args.mapping),
+    config: args.config && String(args.config),
+    plugins: (args.plugin || []).filter(p => p !== true).map(String),
+    splitContexts: !!args['split-contexts'],
+    only: typeof args.only === 'string' ? args.only : [],
+    scheduleDays: args['schedule-days'] === undefined ? undefined : String(args['schedule-days']),
+    protected: args.protected === undefined ? undefined : String(args.protected),
+    protectedPath: typeof args['protected-path'] === 'string' ? args['protected-path'] : undefined,
+    protectedServer: args['protected-server'] === undefined ? undefined : String(args['protected-server']),
+    protectedUser: typeof args['protected-user'] === 'string' ? args['protected-user'] : undefined,
+    htpasswdPath: typeof args['htpasswd-path'] === 'string' ? args['htpasswd-path'] : undefined,
+    htmlCleanup: args['no-html-cleanup'] ? false : undefined,
+  });
+}
+
 // ─── Argument Parsing ───────────────────────────────────────────────
 
-function parseArgs(argv) {
+/**
+ * Parse `--key value` / `--flag` arguments. Keys listed in `repeatable`
+ * collect every occurrence into an array.
+ */
+function parseArgs(argv, repeatable = ['plugin']) {
   const args = {};
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
     if (arg.startsWith('--')) {
       const key = arg.slice(2);
       const next = argv[i + 1];
+      let value = true;
       if (next && !next.startsWith('--')) {
-        args[key] = next;
+        value = next;
         i++;
-      } else {
-        args[key] = true;
       }
+      args[key] = repeatable.includes(key) ? [...(args[key] || []), value] : value;
     }
   }
   return args;
@@ -2288,11 +5925,38 @@ if (typeof module !== 'undefined') {
     parseSQLValues,
     parseSQLValue,
     mapRowToResource,
+    rowToRecord,
+    parseCreateTable,
     extractResources,
     extractClientConfig,
     extractRedirects,
+    mapRedirectRows,
+    parseTvMap,
+    tvRowHandlers,
+    createTvData,
+    buildResourceTvs,
+    applyTvMap,
+    createSqlStreamParser,
+    detectTablePrefix,
+    parseSqlDump,
+    readSqlDump,
     processContentBlocks,
+    contentBlocksDefs,
+    contentBlocksRowHandlers,
+    fieldKind,
+    loadMapping,
+    useMapping,
+    mappingReport,
+    loadConfig,
+    loadPlugins,
+    registerPlugin,
+    resetPlugins,
+    runPostProcessors,
+    runOutputHooks,
     processContentFields,
+    processResource,
+    normalizeClassKey,
+    resolveSymlinkTarget,
     processHeroLayout,
     resolveImagePath,
     resolvePhpThumbOf,
@@ -2300,23 +5964,68 @@ if (typeof module !== 'undefined') {
     fuzzyFindFile,
     cleanHtml,
     cleanModxTags,
+    resolveHtmlCleanup,
+    parseHtmlFragment,
+    serializeHtml,
+    cleanupHtml,
+    cleanupPageHtml,
+    processModxContent,
+    buildResourceMap,
+    findPostContainers,
+    toPost,
+    modxDate,
+    publishWindow,
+    applyPublishWindow,
+    scheduledChanges,
+    createSeoData,
+    seoRowHandlers,
+    applySeo,
+    createAccessData,
+    accessRowHandlers,
+    protectionOf,
+    protectResources,
+    protectedRedirects,
+    writeProtectedArea,
+    resourceMimeType,
+    isFileResource,
+    processFileResource,
+    findStaticFile,
+    resolveStaticResources,
+    registerSnippetEmulator,
+    parseFormMarkup,
+    parseFormItValidate,
+    buildFormBlock,
+    expandChunks,
+    chunkRowHandler,
+    findTagEnd,
     extractTextFromHtml,
     stripTitleFromHtml,
+    buildLanguages,
+    localizeResources,
+    parseBabelLinks,
+    applyTranslations,
+    contextSettingRowHandler,
+    splitContexts,
+    buildContextResourceMap,
     mapPosition,
     mapMinHeight,
     mapVerticalAlign,
     mapTrennerWidth,
     buildSiteConfig,
     parseArgs,
-    // Keep main for direct execution
-    main,
+    edgeCases,
+    chunks,
+    // Node API and CLI entry point
+    migrate,
+    cli,
   };
 }
 
 // ─── Run (only when executed directly) ──────────────────────────────
 if (require.main === module) {
-  main().catch((err) => {
-    console.error('Migration failed:', err);
+  cli(process.argv.slice(2)).catch((err) => {
+    log.error(`Migration failed: ${err.message}`);
+    log.verbose(err.stack);
     process.exit(1);
   });
 }
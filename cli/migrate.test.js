@@ -5,13 +5,9 @@
  * Run: npm test
  */
 
-// Mock globals that migrate.js expects
 const path = require('path');
 const os = require('os');
 
-// We need to set these before requiring migrate.js since it reads them at module level
-process.argv = ['node', 'test', '--sql', '/tmp/test.sql', '--assets', '/tmp/test-assets', '--out', '/tmp/test-out'];
-
 const migrate = require('./migrate');
 
 // ─── SQL Parsing ────────────────────────────────────────────────────
@@ -69,6 +65,116 @@ describe('parseSQLValues', () => {
   });
 });
 
+// ─── Streaming SQL Reader ───────────────────────────────────────────
+
+describe('createSqlStreamParser', () => {
+  const dump = [
+    '-- MySQL dump; with a semicolon in a comment',
+    '/*!40101 SET NAMES utf8mb4 */;',
+    'CREATE TABLE `modx_site_content` (`id` int(10), `pagetitle` varchar(255));',
+    "INSERT INTO `modx_session` VALUES ('abc','x;y),(z');",
+    "INSERT INTO `modx_site_content` VALUES (1,'A; (b)'),(2,'it\\'s'),(3,'say \"hi\"');",
+    "INSERT INTO `modx_site_content` (`id`, `pagetitle`) VALUES (4,'D');",
+  ].join('\n');
+
+  test('emits rows only for subscribed tables', () => {
+    const rows = [];
+    const stats = migrate.parseSqlDump(dump, { modx_site_content: (row) => rows.push(row) });
+    expect(rows).toEqual([[1, 'A; (b)'], [2, "it's"], [3, 'say "hi"'], [4, 'D']]);
+    expect(stats.tables.has('modx_session')).toBe(true);
+  });
+
+  test('passes the INSERT column list, falling back to CREATE TABLE columns', () => {
+    const infos = [];
+    migrate.parseSqlDump(dump.replace('(`id`, `pagetitle`)', '(`pagetitle`, `id`)'), {
+      modx_site_content: (row, info) => infos.push(info.columns),
+    });
+    expect(infos[0]).toEqual(['id', 'pagetitle']);
+    expect(infos[3]).toEqual(['pagetitle', 'id']);
+  });
+
+  test('passes null columns when the dump has no column information', () => {
+    const infos = [];
+    migrate.parseSqlDump("INSERT INTO `modx_site_content` VALUES (1,'A');", {
+      modx_site_content: (row, info) => infos.push(info.columns),
+    });
+    expect(infos).toEqual([null]);
+  });
+
+  test('produces identical rows when fed one character at a time', () => {
+    const rows = [];
+    const parser = migrate.createSqlStreamParser({ modx_site_content: (row) => rows.push(row) });
+    for (const ch of dump) parser.write(ch);
+    parser.end();
+    expect(rows).toHaveLength(4);
+    expect(rows[1]).toEqual([2, "it's"]);
+  });
+
+  test('stops at the end of the VALUES list', () => {
+    const sql = [
+      "INSERT INTO `modx_site_content` VALUES (1,'a'),(2,'b') ON DUPLICATE KEY UPDATE pagetitle=VALUES(pagetitle), `alias`='(c);';",
+      "INSERT INTO `modx_site_content` VALUES (3,'d');",
+    ].join('\n');
+    const rows = [];
+    const stats = migrate.parseSqlDump(sql, { modx_site_content: (row) => rows.push(row) });
+    expect(rows).toEqual([[1, 'a'], [2, 'b'], [3, 'd']]);
+    expect(stats.statements).toBe(2);
+  });
+});
+
+describe('table prefix', () => {
+  const dump = [
+    'CREATE TABLE `mx7_system_settings` (`key` varchar(50), `value` text);',
+    "INSERT INTO `mx7_site_content` (`id`, `pagetitle`) VALUES (1,'Home');",
+    "INSERT INTO `mx7_clientconfig_setting` (`key`, `value`) VALUES ('site_name','Acme');",
+  ].join('\n');
+
+  test('detects a custom prefix and routes unprefixed handler keys', () => {
+    const rows = [];
+    const stats = migrate.parseSqlDump(dump, { site_content: (row) => rows.push(row) });
+    expect(stats.prefix).toBe('mx7_');
+    expect(rows).toEqual([[1, 'Home']]);
+    expect(migrate.extractResources(dump)[0].pagetitle).toBe('Home');
+    expect(migrate.extractClientConfig(dump)).toEqual({ site_name: 'Acme' });
+  });
+
+  test('an explicit prefix wins over detection', () => {
+    const mixed = dump + "\nINSERT INTO `site_site_content` (`id`, `pagetitle`) VALUES (2,'Other');";
+    const rows = [];
+    const stats = migrate.parseSqlDump(mixed, { site_content: (row) => rows.push(row) }, { prefix: 'site_' });
+    expect(rows).toEqual([[2, 'Other']]);
+    expect([...stats.prefixes].sort()).toEqual(['mx7_', 'site_']);
+  });
+
+  test('detectTablePrefix recognises core tables only', () => {
+    expect(migrate.detectTablePrefix('site_site_content')).toBe('site_');
+    expect(migrate.detectTablePrefix('site_content')).toBe('');
+    expect(migrate.detectTablePrefix('wp_posts')).toBeNull();
+    expect(migrate.detectTablePrefix('x_seosuite_redirect', ['seosuite_redirect'])).toBe('x_');
+  });
+});
+
+describe('readSqlDump', () => {
+  const fs = require('fs');
+  const zlib = require('zlib');
+  const sql = "INSERT INTO `modx_site_content` VALUES (1,'Home'),(2,'About');\n";
+
+  test('reads plain and gzip-compressed dumps', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-dump-'));
+    const plain = path.join(dir, 'dump.sql');
+    const gz = path.join(dir, 'dump.sql.gz');
+    fs.writeFileSync(plain, sql);
+    fs.writeFileSync(gz, zlib.gzipSync(sql));
+
+    for (const file of [plain, gz]) {
+      const rows = [];
+      await migrate.readSqlDump(file, { modx_site_content: (row) => rows.push(row) });
+      expect(rows).toEqual([[1, 'Home'], [2, 'About']]);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
 // ─── Resource Mapping ───────────────────────────────────────────────
 
 describe('mapRowToResource', () => {
@@ -100,6 +206,54 @@ describe('mapRowToResource', () => {
     const resource = migrate.mapRowToResource(row);
     expect(resource.context_key).toBe('mgr');
   });
+
+  test('maps by column name when the dump provides columns', () => {
+    // MODX 3 order: no contentType/donthit/privateweb/privatemgr, extra trailing column
+    const columns = ['id', 'type', 'pagetitle', 'alias', 'published', 'parent', 'template',
+      'context_key', 'content_type', 'uri', 'properties', 'custom_extra'];
+    const row = [7, 'document', 'Seven', 'seven', 1, 0, 3, 'web', 1, 'seven.html', null, 'x'];
+    const resource = migrate.mapRowToResource(row, columns);
+    expect(resource.id).toBe(7);
+    expect(resource.pagetitle).toBe('Seven');
+    expect(resource.template).toBe(3);
+    expect(resource.context_key).toBe('web');
+    expect(resource.content_type_id).toBe(1);
+    expect(resource.uri).toBe('seven.html');
+  });
+
+  test('reports expected columns missing from the dump', () => {
+    const before = migrate.edgeCases.length;
+    migrate.mapRowToResource([1, 'Only'], ['id', 'pagetitle']);
+    const missing = migrate.edgeCases.slice(before).filter(e => e.type === 'missing_column');
+    expect(missing.map(e => e.column)).toContain('alias');
+    expect(missing.map(e => e.column)).not.toContain('pagetitle');
+
+    // The same column layout is reported only once
+    migrate.mapRowToResource([2, 'Again'], ['id', 'pagetitle']);
+    expect(migrate.edgeCases.length).toBe(before + missing.length);
+  });
+});
+
+describe('parseCreateTable', () => {
+  test('extracts columns from a mysqldump CREATE TABLE', () => {
+    const sql = [
+      'CREATE TABLE `modx_site_content` (',
+      "  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,",
+      "  `pagetitle` varchar(255) NOT NULL DEFAULT '' COMMENT 'title, shown in menus',",
+      '  `price` decimal(10,2) DEFAULT NULL,',
+      '  PRIMARY KEY (`id`),',
+      '  KEY `pagetitle` (`pagetitle`)',
+      ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4',
+    ].join('\n');
+    expect(migrate.parseCreateTable(sql)).toEqual({
+      table: 'modx_site_content',
+      columns: ['id', 'pagetitle', 'price'],
+    });
+  });
+
+  test('returns null for other statements', () => {
+    expect(migrate.parseCreateTable('DROP TABLE IF EXISTS `modx_site_content`')).toBeNull();
+  });
 });
 
 // ─── HTML Cleaning ──────────────────────────────────────────────────
@@ -142,6 +296,54 @@ describe('cleanModxTags', () => {
   });
 });
 
+describe('expandChunks', () => {
+  const chunkMap = new Map([
+    ['cta', '<a href="[[+link:default=`/kontakt`]]">[[+label]]</a>[[+note:notempty=`<small>[[+note]]</small>`]]'],
+    ['box', '<div class="box">[[$cta? &label=`[[+title]]`]]</div>'],
+    ['form', '<input value="[[!+fi.name]]">'],
+    ['loopA', 'A[[$loopB]]'],
+    ['loopB', 'B[[$loopA]]'],
+  ]);
+
+  test('expands chunks with parameters and modifiers', () => {
+    expect(migrate.expandChunks('[[$cta? &label=`Call us` &note=`24/7`]]', chunkMap))
+      .toBe('<a href="/kontakt">Call us</a><small>24/7</small>');
+    expect(migrate.expandChunks('[[!$cta? &link=`/x` &label=`Go`]]', chunkMap))
+      .toBe('<a href="/x">Go</a>');
+  });
+
+  test('expands nested chunks and passes parameters through', () => {
+    expect(migrate.expandChunks('<p>[[$box? &title=`Hi`]]</p>', chunkMap))
+      .toBe('<p><div class="box"><a href="/kontakt">Hi</a></div></p>');
+  });
+
+  test('keeps snippet placeholders with namespaced names', () => {
+    expect(migrate.expandChunks('[[$form]]', chunkMap)).toBe('<input value="[[!+fi.name]]">');
+  });
+
+  test('records cycles and unknown chunks in edge cases', () => {
+    const before = migrate.edgeCases.length;
+    expect(migrate.expandChunks('[[$loopA]]|[[$nope]]', chunkMap)).toBe('AB|');
+    const types = migrate.edgeCases.slice(before).map(e => e.type);
+    expect(types).toEqual(['chunk_cycle', 'unresolved_chunk']);
+  });
+
+  test('records chunks nested beyond the depth limit apart from cycles', () => {
+    // c0 → c1 → … → c24, no chunk repeats
+    const deep = new Map(Array.from({ length: 25 }, (_, i) => [`c${i}`, `${i}[[$c${i + 1}]]`]));
+    const before = migrate.edgeCases.length;
+    expect(migrate.expandChunks('[[$c0]]', deep)).toBe(Array.from({ length: 20 }, (_, i) => i).join(''));
+    expect(migrate.edgeCases.slice(before)).toEqual([
+      expect.objectContaining({ type: 'chunk_depth_exceeded', chunk: 'c20', chain: expect.stringMatching(/^c0 → c1 → .* → c20$/) }),
+    ]);
+  });
+
+  test('cleanModxTags keeps expanded chunk markup', () => {
+    expect(migrate.cleanModxTags('<p>x</p>[[$cta? &label=`Go`]][[!Snippet]]', chunkMap))
+      .toBe('<p>x</p><a href="/kontakt">Go</a>');
+  });
+});
+
 describe('extractTextFromHtml', () => {
   test('extracts text from simple HTML', () => {
     expect(migrate.extractTextFromHtml('<p>Hello World</p>')).toBe('Hello World');
@@ -264,6 +466,154 @@ INSERT INTO \`modx_clientconfig_setting\` VALUES ('1','site_name','Site Name','t
   });
 });
 
+// ─── Snippet Emulators ──────────────────────────────────────────────
+
+describe('processModxContent', () => {
+  const resources = [
+    { id: 1, parent: 0, pagetitle: 'Home', alias: 'index', uri: '', published: 1, menuindex: 0 },
+    { id: 2, parent: 0, pagetitle: 'News', alias: 'news', uri: 'news/', published: 1, menuindex: 1 },
+    { id: 3, parent: 2, pagetitle: 'Old', alias: 'old', uri: 'news/old', published: 1, menuindex: 0, publishedon: 100, introtext: 'First' },
+    { id: 4, parent: 2, pagetitle: 'New', alias: 'new', uri: 'news/new', published: 1, menuindex: 1, publishedon: 200 },
+    { id: 5, parent: 2, pagetitle: 'Draft', alias: 'draft', uri: 'news/draft', published: 0, menuindex: 2 },
+    { id: 6, parent: 2, pagetitle: 'Hidden', alias: 'hidden', uri: 'news/hidden', published: 1, hidemenu: 1, menuindex: 3 },
+  ];
+  const ctx = { resource: resources[1], resources, resourceMap: migrate.buildResourceMap(resources) };
+
+  test('turns pdoResources into a listing block between text blocks', () => {
+    const blocks = migrate.processModxContent('<p>Intro</p>[[!pdoResources? &parents=`2` &tpl=`row`]]<p>Outro</p>', ctx);
+    expect(blocks.map(b => b.type)).toEqual(['text', 'listing', 'text']);
+    // Sorted by publishedon DESC by default; unpublished skipped, hidden listed (pdoResources' showHidden=1)
+    expect(blocks[1].items.map(i => i.title)).toEqual(['New', 'Old', 'Hidden']);
+    expect(blocks[1].items[1]).toMatchObject({ href: '/news/old', description: 'First' });
+
+    const [hiddenSkipped] = migrate.processModxContent('[[pdoResources? &parents=`2` &showHidden=`0`]]', ctx);
+    expect(hiddenSkipped.items.map(i => i.title)).toEqual(['New', 'Old']);
+    const [getResources] = migrate.processModxContent('[[getResources? &parents=`2`]]', ctx);
+    expect(getResources.items.map(i => i.title)).toEqual(['New', 'Old']);
+  });
+
+  test('listing honours sortby, limit and the current resource as default parent', () => {
+    const [block] = migrate.processModxContent('[[getResources? &sortby=`menuindex` &sortdir=`ASC` &limit=`1` &showHidden=`1`]]', ctx);
+    expect(block.items.map(i => i.title)).toEqual(['Old']);
+  });
+
+  test('turns Wayfinder into a nav block', () => {
+    const [block] = migrate.processModxContent('[[Wayfinder? &startId=`0` &level=`2` &excludeDocs=`1`]]', ctx);
+    expect(block.type).toBe('nav');
+    expect(block.items).toEqual([{
+      label: 'News',
+      href: '/news/',
+      children: [{ label: 'Old', href: '/news/old' }, { label: 'New', href: '/news/new' }],
+    }]);
+  });
+
+  test('FormIt replaces the following form with a contact form', () => {
+    const blocks = migrate.processModxContent('[[!FormIt? &hooks=`email`]]<form action="x"><input name="a"></form><p>Thanks</p>', ctx);
+    expect(blocks).toEqual([
+      { type: 'contact-form', fields: [{ name: 'a', label: 'a', type: 'text' }] },
+      { type: 'text', content: '<p>Thanks</p>' },
+    ]);
+  });
+
+  test('reports unknown snippets with their parameters', () => {
+    const before = migrate.edgeCases.length;
+    const blocks = migrate.processModxContent('<p>A</p>[[!MyCustom? &id=`5`]]', ctx);
+    expect(blocks).toEqual([{ type: 'text', content: '<p>A</p>' }]);
+    expect(migrate.edgeCases.slice(before)).toContainEqual(expect.objectContaining({
+      type: 'unknown_snippet', snippet: 'MyCustom', params: { id: '5' },
+    }));
+  });
+
+  test('handles snippet calls in ContentBlocks richtext and code fields', () => {
+    const properties = JSON.stringify({ contentblocks: { content: JSON.stringify([
+      { layout: 2, content: {
+        left: [{ field: 3, value: '<p>Aktuell</p>[[!pdoResources? &parents=`2` &limit=`1`]][[*pagetitle]]' }],
+        right: [{ field: 27, value: '<div id="map"></div>[[$missingChunk]]' }],
+      }, settings: {} },
+    ]) } });
+    const page = migrate.processResource({ ...resources[1], properties }, ctx.resourceMap, {}, null, resources);
+    const [left, right] = page.data.blocks[0].children[0].cells;
+
+    expect(left).toEqual([
+      expect.objectContaining({ type: 'text', content: '<p>Aktuell</p>' }),
+      expect.objectContaining({ type: 'listing', items: [expect.objectContaining({ title: 'New' })] }),
+    ]);
+    expect(right).toEqual([{ type: 'html', content: '<div id="map"></div>' }]);
+  });
+
+  test('custom emulators can be registered', () => {
+    // Through a plugin, so resetPlugins() takes it out of the shared registry again
+    migrate.registerPlugin((api) => api.registerSnippetEmulator('Year', () => [{ type: 'text', content: '2024' }]));
+    try {
+      expect(migrate.processModxContent('[[!Year]]', ctx)).toEqual([{ type: 'text', content: '2024' }]);
+    } finally {
+      migrate.resetPlugins();
+    }
+    expect(migrate.processModxContent('[[!Year]]', ctx)).toEqual([]);
+  });
+});
+
+// ─── Template Variables ─────────────────────────────────────────────
+
+describe('template variables', () => {
+  const sql = [
+    "INSERT INTO `modx_site_tmplvars` (`id`,`type`,`name`,`default_text`) VALUES (1,'text','price','@INHERIT'),(2,'text','badge','New'),(3,'text','dyn','@SELECT 1');",
+    'INSERT INTO `modx_site_tmplvar_templates` (`tmplvarid`,`templateid`,`rank`) VALUES (1,1,0),(2,1,0),(3,1,0);',
+    "INSERT INTO `modx_site_tmplvar_contentvalues` (`id`,`tmplvarid`,`contentid`,`value`) VALUES (1,1,1,'10.00'),(2,2,2,'Sale');",
+  ].join('\n');
+  const resources = [
+    { id: 1, parent: 0, template: 1 },
+    { id: 2, parent: 1, template: 1 },
+    { id: 3, parent: 2, template: 2 },
+  ];
+
+  const load = () => {
+    const tvData = migrate.createTvData();
+    migrate.parseSqlDump(sql, migrate.tvRowHandlers(tvData));
+    return migrate.buildResourceTvs(tvData, resources);
+  };
+
+  test('combines explicit values, template defaults and @INHERIT', () => {
+    const tvs = load();
+    expect(tvs.get(1)).toEqual({ price: '10.00', badge: 'New' });
+    expect(tvs.get(2)).toEqual({ price: '10.00', badge: 'Sale' });
+    // Template 2 has no TVs assigned
+    expect(tvs.get(3)).toEqual({});
+  });
+
+  test('reports default bindings that need MODX to evaluate', () => {
+    const before = migrate.edgeCases.length;
+    load();
+    expect(migrate.edgeCases.slice(before)).toContainEqual(
+      expect.objectContaining({ type: 'tv_binding', tv: 'dyn' })
+    );
+  });
+
+  test('parseTvMap reads name=target pairs', () => {
+    expect(migrate.parseTvMap('heroImage=hero.backgroundImage, seo=description')).toEqual([
+      { tv: 'heroImage', target: 'hero.backgroundImage' },
+      { tv: 'seo', target: 'description' },
+    ]);
+    expect(migrate.parseTvMap(undefined)).toEqual([]);
+  });
+
+  test('applyTvMap sets page meta and nested block fields', () => {
+    const data = {
+      title: 'T',
+      description: '',
+      blocks: [{ type: 'section', children: [{ type: 'hero', backgroundImage: '' }] }],
+    };
+    migrate.applyTvMap(data, { img: '/assets/a.jpg', seo: 'Fish &amp; chips' }, [
+      { tv: 'img', target: 'hero.backgroundImage' },
+      { tv: 'seo', target: 'description' },
+      { tv: 'missing', target: 'title' },
+    ]);
+    expect(data.blocks[0].children[0].backgroundImage).toBe('/assets/a.jpg');
+    expect(data.description).toBe('Fish & chips');
+    expect(data.title).toBe('T');
+  });
+});
+
 // ─── Redirect Extraction ────────────────────────────────────────────
 
 describe('extractRedirects', () => {
@@ -335,6 +685,761 @@ describe('processContentFields', () => {
     const result = migrate.processContentFields(fields, {});
     expect(result).toHaveLength(0);
   });
+
+  test('turns expert repeaters into person blocks, authors on article layouts', () => {
+    const row = {
+      'expert-name': { value: 'Dr. Anna Muster' },
+      'expert-role': { value: 'Fachärztin' },
+      'expert-bio': { value: '<p>Seit 2010 in [[~5]].</p>' },
+      'expert-image': { url: '/assets/uploads/anna.jpg' },
+      'expert-linkedin': { value: 'https://linkedin.com/in/anna' },
+      'expert-xing': { value: 'https://xing.com/profile/anna' },
+    };
+    const person = {
+      name: 'Dr. Anna Muster',
+      role: 'Fachärztin',
+      image: '/assets/uploads/anna.jpg',
+      bio: '<p>Seit 2010 in /praxis.</p>',
+      links: [{ label: 'LinkedIn', url: 'https://linkedin.com/in/anna' }, { label: 'XING', url: 'https://xing.com/profile/anna' }],
+    };
+    const resourceMap = { 5: { uri: 'praxis' } };
+
+    expect(migrate.processContentFields([{ field: 186, rows: [row, {}] }], resourceMap))
+      .toEqual([{ type: 'person', items: [person] }]);
+
+    const [authors] = migrate.processContentBlocks(JSON.stringify({
+      contentblocks: { content: JSON.stringify([{ layout: 19, content: { expert: [{ field: 196, rows: [row] }] }, settings: {} }]) },
+    }), resourceMap);
+    expect(authors).toEqual({ type: 'person', items: [person], author: true });
+  });
+
+  test('turns FAQ repeaters into one faq block', () => {
+    const [block] = migrate.processContentFields([{
+      field: 177,
+      rows: [
+        { question: { value: '<strong>Was kostet &amp; dauert es?</strong>' }, answer: { value: '<p>Siehe [[~5]].</p>' } },
+        { question: { value: 'Leer' }, answer: { value: '' } },
+      ],
+    }], { 5: { uri: 'preise' } });
+    expect(block).toEqual({
+      type: 'faq',
+      items: [{ question: 'Was kostet & dauert es?', answer: '<p>Siehe /preise.</p>' }],
+    });
+
+    // No block without a complete question/answer pair
+    expect(migrate.processContentFields([{ field: 177, rows: [{ question: { value: 'Leer' }, answer: { value: '' } }] }], {})).toEqual([]);
+  });
+});
+
+describe('ContentBlocks definitions from the dump', () => {
+  // SQL string literal as mysqldump writes it
+  const q = (v) => `'${JSON.stringify(v).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const sql = [
+    'INSERT INTO `modx_contentblocks_layout` (`id`,`name`,`columns`,`settings`) VALUES',
+    `(101,'Bühne',${q([{ reference: 'content' }])},${q([{ reference: 'bgimg' }])}),`,
+    `(102,'Zweispaltig',${q([{ reference: 'a', width: '66' }, { reference: 'b', width: '33' }])},'[]'),`,
+    `(103,'Linie','[]','[]');`,
+    'INSERT INTO `modx_contentblocks_field` (`id`,`input`,`name`,`properties`) VALUES',
+    "(501,'heading','Titel','{}'),(502,'richtext','Text','{}'),",
+    `(503,'repeater','Häufige Fragen',${q({ group: JSON.stringify([{ key: 'question' }, { key: 'answer' }]) })}),`,
+    "(504,'repeater','Bilder','{}'),(505,'layout','Verschachtelt','{}');",
+  ].join('\n');
+
+  beforeAll(() => migrate.parseSqlDump(sql, migrate.contentBlocksRowHandlers(migrate.contentBlocksDefs)));
+  afterAll(() => {
+    migrate.contentBlocksDefs.layouts.clear();
+    migrate.contentBlocksDefs.fields.clear();
+  });
+
+  const process = (layouts) => migrate.processContentBlocks(
+    JSON.stringify({ contentblocks: { content: JSON.stringify(layouts) } }), {}
+  );
+
+  test('chooses layout processors by column keys and settings', () => {
+    const blocks = process([
+      { layout: 101, content: { content: [{ field: 501, value: 'Welcome', level: 'h1' }] }, settings: { bgimg: 'https://x/bg.jpg' } },
+      { layout: 102, content: { a: [{ field: 502, value: '<p>A</p>' }], b: [{ field: 501, value: 'B' }] }, settings: {} },
+      { layout: 103, content: {}, settings: {} },
+    ]);
+    expect(blocks.map(b => b.type)).toEqual(['hero', 'section', 'divider']);
+    expect(blocks[0].title).toBe('Welcome');
+    expect(blocks[1].children[0]).toMatchObject({ type: 'grid', columns: [66, 33] });
+    expect(blocks[1].children[0].cells[1][0]).toMatchObject({ type: 'heading', text: 'B' });
+  });
+
+  test('processes layouts nested in layout fields down to a bounded depth', () => {
+    const columns = (a, b) => ({ layout: 102, content: { a, b }, settings: {} });
+    const nest = (inner) => [{ field: 505, layouts: [inner] }];
+    const heading = (text) => [{ field: 501, value: text }];
+
+    const [section] = process([columns(nest(columns(heading('A'), heading('B'))), heading('C'))]);
+    const [outer] = section.children;
+    // The nested layout's plain section is unwrapped into the cell
+    expect(outer.cells[0]).toEqual([expect.objectContaining({ type: 'grid', columns: [66, 33] })]);
+    expect(outer.cells[0][0].cells[1]).toEqual([expect.objectContaining({ type: 'heading', text: 'B' })]);
+
+    const before = migrate.edgeCases.length;
+    const [deep] = process([columns(nest(columns(nest(columns(nest(columns(heading('D'), heading('E'))), [])), [])), [])]);
+    const third = deep.children[0].cells[0][0].cells[0][0].cells[0];
+    expect(third.map(b => b.text)).toEqual(['D', 'E']);
+    expect(migrate.edgeCases.slice(before)).toEqual([expect.objectContaining({ type: 'layout_nesting_too_deep', depth: 3 })]);
+  });
+
+  test('classifies repeaters by sub-field keys, not IDs', () => {
+    expect(migrate.fieldKind({ field: 503, rows: [] })).toBe('faq');
+    expect(migrate.fieldKind({ field: 504, rows: [{ image: { url: 'a.jpg' }, text: { value: 'x' } }] })).toBe('slider');
+    // Built-in IDs no longer apply once the dump has definitions
+    expect(migrate.fieldKind({ field: 14 })).toBe('unknown');
+  });
+});
+
+describe('site mapping', () => {
+  const process = (layouts) => migrate.processContentBlocks(
+    JSON.stringify({ contentblocks: { content: JSON.stringify(layouts) } }), {}
+  );
+
+  afterEach(() => migrate.useMapping(migrate.loadMapping({})));
+
+  test('reports every invalid entry at once', () => {
+    expect(() => migrate.loadMapping({
+      layouts: { 2: { ratio: 'wide' } },
+      fields: { 3: 'carousel' },
+      repeaterKeys: { accordion: { heading: 'titel' } },
+      extra: {},
+    })).toThrow(/unknown section "extra"[\s\S]*layouts\.2\.ratio[\s\S]*fields\.3[\s\S]*repeaterKeys\.accordion\.heading/);
+  });
+
+  test('overrides layout ratios and field kinds by ID or name', () => {
+    migrate.useMapping(migrate.loadMapping({
+      layouts: { '80|20': { ratio: '60-40' }, 99: { kind: 'columns', columns: ['links', 'rechts'], ratio: [50, 50] } },
+      fields: { 3: 'heading' },
+    }));
+    const blocks = process([
+      { layout: 10, content: { left: [{ field: 2, value: 'L' }], right: [{ field: 2, value: 'R' }] }, settings: {} },
+      { layout: 99, content: { links: [{ field: 3, value: 'Links' }], rechts: [{ field: 2, value: 'Rechts' }] }, settings: {} },
+    ]);
+    expect(blocks[0].children[0]).toMatchObject({ type: 'grid', columns: [60, 40] });
+    expect(blocks[1].children[0]).toMatchObject({ type: 'grid', columns: [50, 50] });
+    expect(blocks[1].children[0].cells[0][0]).toMatchObject({ type: 'heading', text: 'Links' });
+    expect(migrate.mappingReport().unused).toEqual([]);
+  });
+
+  test('keeps exact column ratios and sets stacking breakpoints', () => {
+    migrate.useMapping(migrate.loadMapping({ layouts: { 6: { ratio: '50|25|25', stackBelow: 'lg' } } }));
+    const blocks = process([
+      { layout: 10, content: { left: [{ field: 2, value: 'L' }], right: [{ field: 2, value: 'R' }] }, settings: {} },
+      { layout: 6, content: { left: [{ field: 2, value: 'A' }], middle: [{ field: 2, value: 'B' }], right: [{ field: 2, value: 'C' }] }, settings: {} },
+      { layout: 18, content: { left: [{ field: 2, value: 'A' }] }, settings: {} },
+    ]);
+    expect(blocks[0].children[0].columns).toEqual([80, 20]);
+    expect(blocks[0].children[0].stackBelow).toBeUndefined();
+    expect(blocks[1].children[0]).toMatchObject({ columns: [50, 25, 25], stackBelow: 'lg' });
+    expect(blocks[2].children[0].columns).toEqual([25, 25, 25, 25]);
+    expect(() => migrate.loadMapping({ layouts: { 6: { stackBelow: 'tablet' } } })).toThrow(/layouts\.6\.stackBelow/);
+  });
+
+  test('reads extra repeater keys and lists unmatched entries', () => {
+    migrate.useMapping(migrate.loadMapping({
+      fields: { 'Nie benutzt': 'slider' },
+      repeaterKeys: { accordion: { title: 'titel', content: ['beschreibung'] } },
+    }));
+    const [block] = migrate.processContentFields([
+      { field: 11, rows: [{ titel: { value: 'Frage' }, beschreibung: { value: '<p>Antwort</p>' } }] },
+    ], {});
+    expect(block).toMatchObject({ type: 'accordion', items: [{ title: 'Frage', content: '<p>Antwort</p>' }] });
+    expect(migrate.mappingReport().unused).toEqual(['fields.Nie benutzt']);
+  });
+});
+
+describe('plugins', () => {
+  const fs = require('fs');
+  const process = (layouts) => migrate.processContentBlocks(
+    JSON.stringify({ contentblocks: { content: JSON.stringify(layouts) } }),
+    { 7: { alias: 'kontakt', uri: 'kontakt/', parent: 0 } }
+  );
+
+  afterEach(() => migrate.resetPlugins());
+
+  test('plugin processors run before the built-in ones and may fall through', () => {
+    migrate.registerPlugin((api) => {
+      api.registerLayoutProcessor(9, (layout, ctx) => ({ type: 'html', content: ctx.resolveResourceLinks('[[~7]]', ctx.resourceMap) }));
+      api.registerFieldProcessor('heading', (field) => (field.value === 'skip' ? undefined : { type: 'heading', text: field.value.toUpperCase(), level: 'h3' }));
+    });
+    const blocks = process([
+      { layout: 9, content: {}, settings: {} },
+      { layout: 1, content: { main: [{ field: 2, value: 'hallo' }, { field: 2, value: 'skip' }] }, settings: {} },
+    ]);
+    expect(blocks[0]).toEqual({ type: 'html', content: '/kontakt/' });
+    expect(blocks[1].children.map(b => b.text)).toEqual(['HALLO', 'skip']);
+  });
+
+  test('loads plugin files ordered by `order` and runs post-processors', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-plugin-'));
+    const plugin = (name, order) => `module.exports = { name: '${name}', order: ${order}, setup(api, options) {
+      api.registerPostProcessor((page) => ({ ...page, data: { ...page.data, seen: [...(page.data.seen || []), '${name}' + options.suffix] } }));
+    } };`;
+    fs.writeFileSync(path.join(dir, 'late.js'), plugin('late', 10));
+    fs.writeFileSync(path.join(dir, 'early.js'), plugin('early', -1));
+    fs.writeFileSync(path.join(dir, 'drop.js'), `module.exports = (api) => api.registerPostProcessor((page) => page.data.draft ? false : undefined);`);
+    fs.writeFileSync(path.join(dir, 'migrate.config.json'), JSON.stringify({ plugins: [['./late.js', { suffix: '!' }], ['./early.js', { suffix: '?' }], './drop.js'] }));
+
+    const config = migrate.loadConfig(path.join(dir, 'migrate.config.json'));
+    expect(migrate.loadPlugins(config.plugins)).toEqual(['early', './drop.js', 'late']);
+
+    const page = await migrate.runPostProcessors({ outputPath: 'a.json', data: { title: 'A' } }, {});
+    expect(page.data.seen).toEqual(['early?', 'late!']);
+    expect(await migrate.runPostProcessors({ outputPath: 'b.json', data: { draft: true } }, {})).toBeNull();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('rejects unknown config options', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-config-'));
+    fs.writeFileSync(path.join(dir, 'c.json'), JSON.stringify({ plugin: [] }));
+    expect(() => migrate.loadConfig(path.join(dir, 'c.json'))).toThrow(/unknown option\(s\) plugin/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('posts (Collections / Articles)', () => {
+  const resources = () => [
+    { id: 1, pagetitle: 'Home', uri: 'index.html', parent: 0, menuindex: 0, published: 1 },
+    { id: 2, pagetitle: 'Blog', uri: 'blog/', parent: 0, menuindex: 1, published: 1, class_key: 'MODX\\Collections\\CollectionContainer' },
+    { id: 3, pagetitle: 'First', uri: 'blog/first.html', parent: 2, menuindex: 0, published: 1, publishedon: 1700000000, introtext: 'Intro &amp; more' },
+    { id: 4, pagetitle: 'News', uri: 'news/', parent: 0, menuindex: 2, published: 1, class_key: 'ArticlesContainer', properties: '{"articles":{"articlesPerPage":"5"}}' },
+  ];
+
+  test('finds containers, tags their children as posts and keeps them out of the menu', () => {
+    const list = resources();
+    const containers = migrate.findPostContainers(list);
+    expect([...containers.values()]).toEqual([
+      { id: 2, slug: 'blog', title: 'Blog', pageSize: 10 },
+      { id: 4, slug: 'news', title: 'News', pageSize: 5 },
+    ]);
+    expect(list.filter(r => r.isPost).map(r => r.id)).toEqual([3]);
+    const blog = migrate.buildSiteConfig(list, {}).navigation.find(n => n.label === 'Blog');
+    expect(blog.children).toBeUndefined();
+  });
+
+  test('turns a container child into a posts entry with date, excerpt and tags', () => {
+    const list = resources();
+    const containers = migrate.findPostContainers(list);
+    const page = migrate.processResource(list[2], migrate.buildResourceMap(list), {});
+    const post = migrate.toPost(page, list[2], containers.get(2), { tags: 'News, Pizza,News' });
+    expect(post.collection).toBe('posts');
+    expect(post.outputPath).toBe('blog/first.json');
+    expect(post.data).toMatchObject({
+      publishedAt: '2023-11-14T22:13:20.000Z',
+      excerpt: 'Intro & more',
+      tags: ['News', 'Pizza'],
+      container: 'blog',
+      order: 0,
+    });
+  });
+});
+
+describe('scheduled publishing', () => {
+  const day = 86400;
+  const now = Date.UTC(2026, 0, 1) / 1000;
+  const resources = () => [
+    { id: 1, pagetitle: 'Home', uri: 'index.html', parent: 0, menuindex: 0, published: 1 },
+    { id: 2, pagetitle: 'Aktion', uri: 'aktion.html', parent: 0, menuindex: 1, published: 1, publishedon: now - day, unpub_date: now + 3 * day },
+    { id: 3, pagetitle: 'Neu', uri: 'neu.html', parent: 0, menuindex: 2, published: 0, pub_date: now + 10 * day },
+    { id: 4, pagetitle: 'Entwurf', uri: 'entwurf.html', parent: 0, menuindex: 3, published: 0 },
+    { id: 5, pagetitle: 'Später', uri: 'spaeter.html', parent: 0, menuindex: 4, published: 0, pub_date: now + 90 * day },
+  ];
+
+  test('carries publishedon, pub_date and unpub_date into page data', () => {
+    const [, aktion, neu] = resources();
+    const data = {};
+    migrate.applyPublishWindow(data, aktion);
+    expect(data).toEqual({ publishedAt: '2025-12-31T00:00:00.000Z', unpubDate: '2026-01-04T00:00:00.000Z' });
+    expect(migrate.publishWindow(neu)).toEqual({ pubDate: '2026-01-11T00:00:00.000Z' });
+  });
+
+  test('keeps scheduled pages in the menu with their publish window', () => {
+    const navigation = migrate.buildSiteConfig(resources(), {}).navigation;
+    expect(navigation.map(n => n.label)).toEqual(['Home', 'Aktion', 'Neu', 'Später']);
+    expect(navigation[2]).toEqual({ label: 'Neu', href: '/neu', pubDate: '2026-01-11T00:00:00.000Z' });
+  });
+
+  test('carries the publish window into emulated listings and menus', () => {
+    const list = resources();
+    const ctx = { resource: list[0], resources: list, resourceMap: migrate.buildResourceMap(list) };
+    const [listing] = migrate.processModxContent('[[pdoResources? &parents=`0` &sortby=`menuindex` &sortdir=`ASC`]]', ctx);
+    expect(listing.items.map(i => i.title)).toEqual(['Home', 'Aktion', 'Neu', 'Später']);
+    expect(listing.items[1]).toMatchObject({ title: 'Aktion', unpubDate: '2026-01-04T00:00:00.000Z' });
+
+    const [nav] = migrate.processModxContent('[[Wayfinder? &startId=`0`]]', ctx);
+    expect(nav.items[2]).toEqual({ label: 'Neu', href: '/neu', pubDate: '2026-01-11T00:00:00.000Z' });
+  });
+
+  test('reports the changes within the given number of days', () => {
+    expect(migrate.scheduledChanges(resources(), 30, now * 1000)).toEqual([
+      { id: 2, title: 'Aktion', href: '/aktion', action: 'unpublish', at: '2026-01-04T00:00:00.000Z' },
+      { id: 3, title: 'Neu', href: '/neu', action: 'publish', at: '2026-01-11T00:00:00.000Z' },
+    ]);
+    expect(migrate.scheduledChanges(resources(), 5, now * 1000).map(c => c.id)).toEqual([2]);
+  });
+});
+
+describe('SEO metadata', () => {
+  const resourceMap = { 5: { uri: 'produkte/kaffee.html' } };
+  const seoData = () => {
+    const data = migrate.createSeoData();
+    const handlers = migrate.seoRowHandlers(data);
+    const suiteColumns = ['id', 'resource_id', 'index_type', 'follow_type', 'sitemap', 'canonical', 'canonical_uri', 'meta_title'];
+    handlers.seosuite_resource([1, 2, 0, 1, 1, 1, '5', '[{"type":"field","value":"pagetitle"},{"type":"text","value":" | Kaffee &amp; Co"}]'], { columns: suiteColumns, table: 'modx_seosuite_resource' });
+    handlers.seosuite_resource([2, 3, 1, 0, 0, 0, '', '[[+pagetitle]] | [[++site_name]]'], { columns: suiteColumns, table: 'modx_seosuite_resource' });
+    handlers.seopro_keywords([1, 2, 'kaffee,  bohnen ,'], { columns: ['id', 'resource', 'keywords'], table: 'modx_seopro_keywords' });
+    return data;
+  };
+
+  test('leaves pages without SEO settings untouched', () => {
+    const data = {};
+    migrate.applySeo(data, { id: 1, pagetitle: 'Home', searchable: 1, properties: '{}' }, seoData(), resourceMap);
+    expect(data).toEqual({});
+  });
+
+  test('maps SEO Suite, SEO Pro, SEOTab and searchable onto page fields', () => {
+    const data = {};
+    migrate.applySeo(data, { id: 2, pagetitle: 'Bohnen', searchable: 0 }, seoData(), resourceMap);
+    expect(data).toEqual({
+      metaTitle: 'Bohnen | Kaffee & Co',
+      keywords: 'kaffee, bohnen',
+      canonicalUrl: '/produkte/kaffee',
+      noindex: true,
+      searchable: false,
+    });
+
+    const other = {};
+    migrate.applySeo(other, { id: 3, pagetitle: 'Intern' }, seoData(), resourceMap);
+    expect(other).toEqual({ nofollow: true, sitemap: false });
+
+    const sterc = {};
+    migrate.applySeo(sterc, { id: 4, properties: '{"stercseo":{"index":"0","follow":"1","sitemap":"0"}}' }, seoData(), resourceMap);
+    expect(sterc).toEqual({ noindex: true, sitemap: false });
+  });
+});
+
+describe('non-HTML resources', () => {
+  const resourceMap = { 3: { uri: 'team.html' } };
+  const ctx = { resourceMap, siteUrl: 'https://example.ch/' };
+
+  test('detects the MIME type from contentType or the content type ID', () => {
+    expect(migrate.resourceMimeType({ contentType: 'text/plain' })).toBe('text/plain');
+    expect(migrate.resourceMimeType({ contentType: '', content_type_id: 6 })).toBe('application/rss+xml');
+    expect(migrate.isFileResource({ contentType: 'text/html' })).toBe(false);
+    expect(migrate.isFileResource({ contentType: 'application/pdf', class_key: 'modStaticResource' })).toBe(false);
+    expect(migrate.processResource({ id: 9, uri: 'robots.txt', contentType: 'text/plain', content: '' }, resourceMap, {})).toBeNull();
+  });
+
+  test('writes a file entry with its MODX tags resolved', () => {
+    const file = migrate.processFileResource({
+      id: 9,
+      pagetitle: 'robots',
+      uri: 'robots.txt',
+      contentType: 'text/plain',
+      content: 'Disallow: /[[~3]]\nAllow: [[~3? &scheme=`full`]]\nSitemap: [[++site_url]]sitemap.xml\n[[!Counter]]',
+    }, ctx);
+    expect(file).toEqual({
+      outputPath: 'robots.txt.json',
+      collection: 'files',
+      data: {
+        title: 'robots',
+        path: 'robots.txt',
+        contentType: 'text/plain',
+        body: 'Disallow: /team\nAllow: https://example.ch/team\nSitemap: https://example.ch/sitemap.xml\n',
+      },
+    });
+  });
+
+  test('replaces a MODX sitemap with a redirect to the theme sitemap', () => {
+    const file = migrate.processFileResource({ id: 7, pagetitle: 'Sitemap', uri: 'google-map.xml', contentType: 'text/xml', content: '[[!GoogleSiteMap]]' }, ctx);
+    expect(file).toEqual({
+      sitemapRedirect: { id: 'sitemap-7', old_url: '/google-map.xml', new_url: '/sitemap-index.xml', redirect_type: '301' },
+    });
+  });
+});
+
+describe('static resources', () => {
+  const fs = require('fs');
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-static-'));
+    fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'files', 'Preise 2024.pdf'), '%PDF');
+    fs.writeFileSync(path.join(dir, 'secret.pdf'), '%PDF');
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('finds the file behind a static resource path', () => {
+    const expected = { source: path.join(dir, 'files', 'Preise 2024.pdf'), rel: 'files/Preise 2024.pdf' };
+    expect(migrate.findStaticFile('assets/files/Preise%202024.pdf', dir)).toEqual(expected);
+    expect(migrate.findStaticFile('[[++assets_url]]files/Preise 2024.pdf', dir)).toEqual(expected);
+    expect(migrate.findStaticFile('https://example.ch/files/Preise 2024.pdf?v=2', dir)).toEqual(expected);
+    expect(migrate.findStaticFile('../secret.pdf', path.join(dir, 'files'))).toBeNull();
+  });
+
+  test('serves files at their URI or redirects old URLs to them', () => {
+    const resources = [
+      { id: 5, pagetitle: 'Preise', uri: 'downloads/preise.pdf', class_key: 'modStaticResource', content: 'assets/files/Preise 2024.pdf' },
+      { id: 6, pagetitle: 'Flyer', uri: 'flyer.html', class_key: 'MODX\\Revolution\\modStaticResource', content: 'files/Preise 2024.pdf' },
+      { id: 7, pagetitle: 'Fehlt', uri: 'fehlt.pdf', class_key: 'modStaticResource', content: 'assets/files/fehlt.pdf' },
+    ];
+    const resourceMap = { 5: { uri: 'downloads/preise.pdf' }, 6: { uri: 'flyer.html' }, 7: { uri: 'fehlt.pdf' } };
+    const before = migrate.edgeCases.length;
+    const downloads = migrate.resolveStaticResources(resources, resourceMap, dir);
+
+    expect(downloads.map(({ id, url, redirects }) => ({ id, url, redirects }))).toEqual([
+      { id: 5, url: '/downloads/preise.pdf', redirects: [] },
+      { id: 6, url: '/assets/files/Preise%202024.pdf', redirects: ['/flyer.html', '/flyer'] },
+    ]);
+    expect(resourceMap[6].uri).toBe('/assets/files/Preise%202024.pdf');
+    expect(migrate.edgeCases.slice(before).map(e => e.type)).toEqual(['static_resource_missing']);
+  });
+});
+
+describe('class keys and symlinks', () => {
+  const resources = [
+    { id: 1, pagetitle: 'Leistungen', longtitle: 'Unsere Leistungen', uri: 'leistungen/', alias: 'leistungen', parent: 0, menuindex: 1, published: 1, class_key: 'modDocument', content: '<p>Beratung</p>' },
+    { id: 2, pagetitle: 'Angebot', uri: 'angebot/', alias: 'angebot', parent: 0, menuindex: 2, published: 1, hidemenu: 0, class_key: 'MODX\\Revolution\\modSymLink', content: '1' },
+    { id: 3, pagetitle: 'Umweg', uri: 'umweg/', alias: 'umweg', parent: 0, menuindex: 3, published: 1, class_key: 'modSymLink', content: '[[~2]]' },
+    { id: 4, pagetitle: 'Kaputt', uri: 'kaputt/', alias: 'kaputt', parent: 0, menuindex: 4, published: 1, class_key: 'modSymLink', content: '4' },
+    { id: 5, pagetitle: 'Weiter', uri: 'weiter.html', alias: 'weiter', parent: 0, menuindex: 5, published: 1, class_key: 'MODX\\Revolution\\modWebLink', content: '[[~1]]' },
+  ];
+  const resourceMap = migrate.buildResourceMap(resources);
+
+  test('normalizes MODX 2 and MODX 3 class keys', () => {
+    expect(migrate.normalizeClassKey('MODX\\Revolution\\modWebLink')).toBe('modWebLink');
+    expect(migrate.normalizeClassKey('modStaticResource')).toBe('modStaticResource');
+    expect(migrate.normalizeClassKey(undefined)).toBe('modDocument');
+    expect(migrate.processResource(resources[4], resourceMap, {}, null, resources).data.blocks[0].content).toContain('url=/leistungen/');
+  });
+
+  test('renders the target under the symlink URL with a canonical to the original', () => {
+    const page = migrate.processResource(resources[1], resourceMap, {}, null, resources);
+    expect(page.outputPath).toBe('angebot.json');
+    expect(page.data).toMatchObject({ title: 'Unsere Leistungen', slug: 'angebot', menuTitle: 'Angebot', canonicalUrl: '/leistungen/', sitemap: false });
+    expect(page.data.blocks).toEqual(migrate.processResource(resources[0], resourceMap, {}, null, resources).data.blocks);
+
+    // Chains are followed to the first real page
+    expect(migrate.processResource(resources[2], resourceMap, {}, null, resources).data.canonicalUrl).toBe('/leistungen/');
+  });
+
+  test('reports symlinks without a usable target', () => {
+    const before = migrate.edgeCases.length;
+    expect(migrate.processResource(resources[3], resourceMap, {}, null, resources)).toBeNull();
+    expect(migrate.edgeCases.slice(before).map(e => e.type)).toEqual(['symlink_target_missing']);
+  });
+
+  test('leaves out public symlinks to protected pages', () => {
+    const secret = { id: 6, pagetitle: 'Löhne', uri: 'intern/loehne/', alias: 'loehne', parent: 0, menuindex: 6, published: 1, class_key: 'modDocument', content: '<p>Lohnliste</p>', protected: true };
+    const link = { id: 7, pagetitle: 'Link', uri: 'link/', alias: 'link', parent: 0, menuindex: 7, published: 1, class_key: 'modSymLink', content: '6' };
+    const all = [...resources, secret, link];
+    const map = migrate.buildResourceMap(all);
+    const before = migrate.edgeCases.length;
+
+    expect(migrate.processResource(link, map, {}, null, all)).toBeNull();
+    expect(migrate.edgeCases.slice(before)).toEqual([
+      expect.objectContaining({ type: 'symlink_target_unsupported', id: 7, target: 6, reason: 'protected' }),
+    ]);
+    // A symlink inside the protected area may show it
+    expect(migrate.processResource({ ...link, protected: true }, map, {}, null, all).data.blocks).toEqual([{ type: 'text', content: '<p>Lohnliste</p>' }]);
+  });
+});
+
+describe('protected resources', () => {
+  const fs = require('fs');
+  const { htpasswdHash } = require('../scripts/setup-admin');
+  const sql = [
+    'INSERT INTO `modx_site_content` (`id`,`pagetitle`,`alias`,`uri`,`published`,`deleted`,`parent`,`menuindex`,`privateweb`,`class_key`,`content`,`template`,`context_key`) VALUES',
+    "(1,'Home','index','index.html',1,0,0,0,0,'modDocument','<p><a href=\"[[~2]]\">Intranet</a></p>',1,'web'),",
+    "(2,'Intranet','intranet','intranet.html',1,0,0,1,0,'modDocument','<p>Nur intern</p>',1,'web'),",
+    "(3,'Privat','privat','privat.html',1,0,0,2,1,'modDocument','<p>Privat</p>',1,'web'),",
+    "(4,'Redaktion','redaktion','redaktion.html',1,0,0,3,0,'modDocument','<p>Manager only</p>',1,'web');",
+    'INSERT INTO `modx_document_groups` VALUES (1,1,2),(2,2,4);',
+    "INSERT INTO `modx_documentgroup_names` VALUES (1,'Mitarbeiter',0,1),(2,'Redaktion',1,0);",
+    "INSERT INTO `modx_access_resource_groups` VALUES (1,1,'modUserGroup',2,9999,1,'web'),(2,2,'modUserGroup',3,9999,1,'mgr');",
+  ].join('\n');
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-protected-'));
+    fs.writeFileSync(path.join(dir, 'dump.sql'), sql);
+    fs.mkdirSync(path.join(dir, 'assets'));
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('hashes .htpasswd passwords as Apache does', () => {
+    // openssl passwd -apr1 -salt AbCd1234 secret
+    expect(htpasswdHash('secret', 'AbCd1234')).toBe('$apr1$AbCd1234$n/8IcHraSGYMDLSp86.W80');
+  });
+
+  test('leaves protected resources out by default', async () => {
+    const out = path.join(dir, 'exclude', 'src', 'content');
+    const result = await migrate.migrate({ sql: path.join(dir, 'dump.sql'), assets: path.join(dir, 'assets'), out, quiet: true });
+
+    // Only groups with a web context policy protect; manager-only groups do not
+    expect(result.protected).toEqual([
+      { id: 2, title: 'Intranet', context: 'web' },
+      { id: 3, title: 'Privat', context: 'web' },
+    ]);
+    expect(result.pages.map(p => p.outputPath).sort()).toEqual(['index.json', 'redaktion.json']);
+    expect(result.siteConfig.navigation.map(n => n.title)).not.toContain('Intranet');
+  });
+
+  test('moves protected resources behind basic auth with --protected protect', async () => {
+    const out = path.join(dir, 'protect', 'src', 'content');
+    const publicDir = path.join(dir, 'protect', 'public');
+    const result = await migrate.migrate({
+      sql: path.join(dir, 'dump.sql'),
+      assets: path.join(dir, 'assets'),
+      out,
+      quiet: true,
+      protected: 'protect',
+      protectedPassword: 'geheim',
+      htpasswdPath: '/srv/site/intern/.htpasswd',
+    });
+
+    const intranet = result.pages.find(p => p.outputPath === 'intern/intranet.json');
+    expect(intranet.data).toMatchObject({ slug: 'intern/intranet', hideMenu: true, noindex: true, sitemap: false, searchable: false });
+    expect(result.pages.find(p => p.outputPath === 'index.json').data.blocks[0].content).toContain('href="/intern/intranet"');
+    expect(result.redirects).toContainEqual({ id: 'protected-2-1', old_url: '/intranet.html', new_url: '/intern/intranet', redirect_type: '301' });
+
+    const htaccess = fs.readFileSync(path.join(publicDir, 'intern', '.htaccess'), 'utf-8');
+    expect(htaccess).toContain('AuthUserFile /srv/site/intern/.htpasswd');
+    expect(htaccess).toContain('Require valid-user');
+    const [user, hash] = fs.readFileSync(path.join(publicDir, 'intern', '.htpasswd'), 'utf-8').trim().split(':');
+    expect(user).toBe('intern');
+    expect(htpasswdHash('geheim', hash.split('$')[2])).toBe(hash);
+  });
+
+  test('returns a generated password, which quiet runs do not print', async () => {
+    const out = path.join(dir, 'generated', 'src', 'content');
+    const publicDir = path.join(dir, 'generated', 'public');
+    const options = { sql: path.join(dir, 'dump.sql'), assets: path.join(dir, 'assets'), out, quiet: true, protected: 'protect', protectedServer: 'netlify' };
+    const saved = process.env.PROTECTED_PASSWORD;
+    delete process.env.PROTECTED_PASSWORD;
+    try {
+      const result = await migrate.migrate(options);
+      expect(result.credentials).toEqual({ path: '/intern/', user: 'intern', password: expect.any(String) });
+      expect(fs.readFileSync(path.join(publicDir, '_headers'), 'utf-8')).toContain(`Basic-Auth: intern:${result.credentials.password}`);
+
+      // Kept credentials are not generated again
+      expect((await migrate.migrate(options)).credentials).toBeNull();
+    } finally {
+      if (saved !== undefined) process.env.PROTECTED_PASSWORD = saved;
+    }
+  });
+
+  test('rejects unknown protection options', async () => {
+    await expect(migrate.migrate({ sql: 'a', assets: 'b', out: 'c', protected: 'hide' })).rejects.toThrow(/protected must be/);
+    await expect(migrate.migrate({ sql: 'a', assets: 'b', out: 'c', protected: 'protect', protectedServer: 'nginx' })).rejects.toThrow(/protectedServer/);
+  });
+});
+
+describe('FormIt forms', () => {
+  const form = [
+    '<form action="[[~[[*id]]]]" method="post" enctype="multipart/form-data">',
+    '<input type="hidden" name="nospam" value="">',
+    '<label for="name">Name *</label><input type="text" id="name" name="name" value="[[!+fi.name]]">',
+    '<label for="email">E-Mail</label><input type="text" id="email" name="email" placeholder="name@firma.ch">',
+    '<label for="datum">Wunschtermin</label><input type="date" id="datum" name="datum" min="2024-01-01">',
+    '<label for="anlass">Anlass</label><select id="anlass" name="anlass"><option value="">Bitte wählen</option><option value="hochzeit">Hochzeit</option><option>Firmenfest</option></select>',
+    '<label><input type="radio" name="gaeste" value="klein"> bis 20</label><label><input type="radio" name="gaeste" value="gross"> mehr als 20</label>',
+    '<label><input type="checkbox" name="extras[]" value="musik"> Musik</label><label><input type="checkbox" name="extras[]" value="deko"> Deko</label>',
+    '<label for="plan">Plan</label><input type="file" id="plan" name="plan" accept=".pdf">',
+    '<input type="text" name="workemail" value="">',
+    '<label><input type="checkbox" name="agb" value="1"> Ich akzeptiere die AGB *</label>',
+    '<button type="submit">Anfrage senden</button>',
+    '</form>',
+  ].join('');
+  const params = {
+    validate: 'name:required,email:email:required,anlass:required,plan:isFile,workemail:blank,agb:required,gaeste:required:minLength=^1^,name:regexp=^/^[a-z, ]+$/i^',
+    successMessage: 'Danke &amp; bis bald!',
+    validationErrorMessage: '<p>Bitte prüfen Sie Ihre Angaben.</p>',
+    'agb.vTextRequired': 'Bitte akzeptieren Sie die AGB.',
+    redirectTo: '7',
+  };
+
+  test('parses the form markup and validation rules into a field schema', () => {
+    const before = migrate.edgeCases.length;
+    const block = migrate.buildFormBlock(params, form, { resourceMap: { 7: { uri: 'danke.html' } } });
+
+    expect(block).toEqual({
+      type: 'contact-form',
+      fields: [
+        { name: 'name', label: 'Name', type: 'text', required: true, pattern: '^[a-z, ]+$' },
+        { name: 'email', label: 'E-Mail', type: 'email', required: true, placeholder: 'name@firma.ch' },
+        { name: 'datum', label: 'Wunschtermin', type: 'date', min: '2024-01-01' },
+        {
+          name: 'anlass', label: 'Anlass', type: 'select', required: true, placeholder: 'Bitte wählen',
+          options: [{ value: 'hochzeit', label: 'Hochzeit' }, { value: 'Firmenfest', label: 'Firmenfest' }],
+        },
+        {
+          name: 'gaeste', label: '', type: 'radio', required: true, minLength: 1,
+          options: [{ value: 'klein', label: 'bis 20' }, { value: 'gross', label: 'mehr als 20' }],
+        },
+        {
+          name: 'extras', label: '', type: 'checkbox', multiple: true,
+          options: [{ value: 'musik', label: 'Musik' }, { value: 'deko', label: 'Deko' }],
+        },
+        { name: 'plan', label: 'Plan', type: 'file', accept: '.pdf' },
+        { name: 'agb', label: 'Ich akzeptiere die AGB', type: 'checkbox', required: true, errorMessage: 'Bitte akzeptieren Sie die AGB.' },
+      ],
+      submitLabel: 'Anfrage senden',
+      successMessage: 'Danke & bis bald!',
+      errorMessage: 'Bitte prüfen Sie Ihre Angaben.',
+      successUrl: '/danke',
+    });
+    expect(migrate.edgeCases.slice(before)).toEqual([
+      expect.objectContaining({ type: 'form_validator_unsupported', field: 'plan', validator: 'isFile' }),
+      expect.objectContaining({ type: 'form_upload_without_endpoint', field: 'plan' }),
+    ]);
+  });
+
+  test('splits &validate on commas and colons outside carets', () => {
+    expect(migrate.parseFormItValidate('a:required, b:regexp=^/^[0-9,:]+$/^:maxLength=^5^,c[]:required')).toEqual([
+      ['a', ['required']],
+      ['b', ['regexp=^/^[0-9,:]+$/^', 'maxLength=^5^']],
+      ['c', ['required']],
+    ]);
+  });
+
+  test('reads AjaxForm forms from their &form chunk', () => {
+    migrate.chunks.set('tpl.Anfrage', '<form><label for="m">Nachricht</label><textarea id="m" name="message" required></textarea></form>');
+    try {
+      const blocks = migrate.processModxContent('[[!AjaxForm? &form=`tpl.Anfrage` &hooks=`email`]]', { resources: [], resourceMap: {} });
+      expect(blocks).toEqual([
+        { type: 'contact-form', fields: [{ name: 'message', label: 'Nachricht', type: 'textarea', required: true }] },
+      ]);
+    } finally {
+      migrate.chunks.delete('tpl.Anfrage');
+    }
+  });
+});
+
+describe('HTML cleanup', () => {
+  const options = migrate.resolveHtmlCleanup(undefined);
+
+  test('whitelists tags, strips styles and unsafe attributes, and counts each change', () => {
+    const stats = {};
+    const html = [
+      '<p style="color:red; text-align:center">Hallo <font color="red">Welt</font></p>',
+      '<p>&nbsp;</p><script>alert(1)</script>',
+      '<p><br>Zeile<br/></p><a href="javascript:void(0)" onclick="go()">Link</a><ul><li>A<li>B</ul>',
+    ].join('\n');
+
+    expect(migrate.cleanupHtml(html, 'text', options, stats)).toBe([
+      '<p style="text-align:center">Hallo Welt</p>',
+      '',
+      '<p>Zeile</p><a>Link</a><ul><li>A</li><li>B</li></ul>',
+    ].join('\n'));
+    expect(stats).toEqual({
+      style_stripped: 1, tag_unwrapped: 1, empty_removed: 1, tag_removed: 1, whitespace_cleaned: 1, unsafe_attribute_removed: 2,
+    });
+
+    // Raw HTML blocks keep scripts and styles; unchanged values come back as they were
+    const embed = '<script>var p = "<p>";</script><div style="color:red">x</div>';
+    expect(migrate.cleanupHtml(embed, 'html', options, stats)).toBe(embed);
+    expect(migrate.cleanupHtml('<P>Text</P>', 'text', options, stats)).toBe('<P>Text</P>');
+    // Headings keep inline markup only
+    expect(migrate.cleanupHtml('<strong>Unser</strong> Team', 'heading', options, {})).toBe('Unser Team');
+  });
+
+  test('replaces <b> and <i> with <strong> and <em>', () => {
+    const stats = {};
+    expect(migrate.cleanupHtml('<p><b>Willkommen</b> im <i>Tal</i></p>', 'text', options, stats)).toBe('<p><strong>Willkommen</strong> im <em>Tal</em></p>');
+    expect(migrate.cleanupHtml('<b>Das</b> <i>Team</i>', 'heading', options, stats)).toBe('Das <em>Team</em>');
+    expect(stats).toEqual({ tag_normalized: 4, tag_unwrapped: 1 });
+  });
+
+  test('keeps the meta refresh fallback of weblink pages', () => {
+    const resources = [
+      { id: 1, pagetitle: 'Ziel', uri: 'ziel/', alias: 'ziel', parent: 0, menuindex: 1, published: 1, class_key: 'modDocument', content: '' },
+      { id: 2, pagetitle: 'Weiter', uri: 'weiter.html', alias: 'weiter', parent: 0, menuindex: 2, published: 1, class_key: 'modWebLink', content: '[[~1]]' },
+    ];
+    const page = migrate.processResource(resources[1], migrate.buildResourceMap(resources), {}, null, resources);
+    const content = page.data.blocks[0].content;
+    const stats = {};
+    migrate.cleanupPageHtml(page.data, options, stats);
+
+    expect(page.data.blocks[0].content).toBe(content);
+    expect(content).toContain('<meta http-equiv="refresh" content="0;url=/ziel/">');
+    expect(stats).toEqual({});
+  });
+
+  test('keeps one h1 per page and closes heading-level gaps', () => {
+    const stats = {};
+    const page = {
+      blocks: [
+        { type: 'hero', title: 'Willkommen' },
+        { type: 'heading', text: 'Angebot', level: 'h1' },
+        { type: 'grid', columns: [50, 50], cells: [[{ type: 'text', content: '<h4>Beratung</h4><p>Text</p>' }], []] },
+        { type: 'html', content: '<h6>Tabelle</h6>' },
+      ],
+    };
+    migrate.cleanupPageHtml(page, options, stats);
+
+    expect(page.blocks[1].level).toBe('h2');
+    expect(page.blocks[2].cells[0][0].content).toBe('<h3>Beratung</h3><p>Text</p>');
+    expect(page.blocks[3].content).toBe('<h4>Tabelle</h4>');
+    expect(stats).toEqual({ heading_level_fixed: 3 });
+  });
+
+  test('validates options and can be turned off', () => {
+    expect(migrate.resolveHtmlCleanup(false)).toBe(false);
+    expect(migrate.resolveHtmlCleanup({ allowedStyles: ['Color'] })).toMatchObject({ allowedStyles: ['color'], removeEmpty: true });
+    expect(() => migrate.resolveHtmlCleanup({ allowTags: [] })).toThrow(/unknown option "allowTags"/);
+    expect(() => migrate.resolveHtmlCleanup({ removeEmpty: 'yes' })).toThrow(/removeEmpty must be true or false/);
+    expect(migrate.cleanupHtml('<p style="color:red">x</p>', 'text', false)).toBe('<p style="color:red">x</p>');
+  });
+});
+
+describe('contexts as languages', () => {
+  const resources = [
+    { id: 1, pagetitle: 'Start', uri: 'index.html', parent: 0, menuindex: 0, context_key: 'web', published: 1 },
+    { id: 2, pagetitle: 'Über uns', uri: 'ueber-uns.html', parent: 0, menuindex: 1, context_key: 'web', published: 1 },
+    { id: 3, pagetitle: 'Home', uri: 'home.html', parent: 0, menuindex: 0, context_key: 'en', published: 1 },
+    { id: 4, pagetitle: 'About', uri: 'about-us.html', parent: 0, menuindex: 1, context_key: 'en', published: 1 },
+  ];
+  const contextSettings = {
+    web: { cultureKey: 'de', base_url: '/' },
+    en: { cultureKey: 'en', base_url: '/', site_url: 'https://en.example.ch/' },
+  };
+  const setup = () => {
+    const copy = resources.map(r => ({ ...r }));
+    const languages = migrate.buildLanguages(copy, contextSettings);
+    migrate.localizeResources(copy, languages);
+    return { resources: copy, languages, resourceMap: migrate.buildResourceMap(copy) };
+  };
+
+  test('single-context sites have no languages', () => {
+    expect(migrate.buildLanguages(resources.filter(r => r.context_key === 'web'))).toEqual([]);
+  });
+
+  test('prefixes non-default contexts and keeps the default at the root', () => {
+    const { resources: localized, languages } = setup();
+    expect(languages.map(l => [l.code, l.prefix, l.default])).toEqual([['de', '', true], ['en', 'en', false]]);
+    expect(localized.map(r => r.uri)).toEqual(['index.html', 'ueber-uns.html', 'en', 'en/about-us.html']);
+
+    const pages = localized.map(r => migrate.processResource(r, {}, {}));
+    expect(pages.map(p => p.outputPath)).toEqual(['index.json', 'ueber-uns.json', 'en.json', 'en/about-us.json']);
+  });
+
+  test('links Babel translations and builds a menu per language', () => {
+    const { resources: localized, languages, resourceMap } = setup();
+    const page = migrate.processResource(localized[1], resourceMap, {});
+    page.data.tvs = { babelLanguageLinks: 'web:2;en:4;fr:99', price: '5' };
+    migrate.applyTranslations(page, localized[1], page.data.tvs, languages, resourceMap);
+    expect(page.data).toMatchObject({ lang: 'de', translations: { en: '/en/about-us' }, tvs: { price: '5' } });
+
+    const config = migrate.buildSiteConfig(localized, {}, [], languages);
+    expect(config.languages).toEqual([{ code: 'de', href: '/', default: true }, { code: 'en', href: '/en', default: false }]);
+    expect(config.navigationByLanguage.en).toEqual([{ label: 'About', href: '/en/about-us' }]);
+    expect(config.navigation).toEqual([{ label: 'Über uns', href: '/ueber-uns' }]);
+  });
 });
 
 // ─── Parse Args ─────────────────────────────────────────────────────
@@ -357,6 +1462,12 @@ describe('parseArgs', () => {
     expect(result.sql).toBe('test.sql');
     expect(result.verbose).toBe(true);
   });
+
+  test('collects repeated --plugin flags', () => {
+    const result = migrate.parseArgs(['--plugin', './a.js', '--sql', 'x.sql', '--plugin', 'b']);
+    expect(result.plugin).toEqual(['./a.js', 'b']);
+    expect(result.sql).toBe('x.sql');
+  });
 });
 
 // ─── Integration: stripTitleFromHtml ────────────────────────────────
@@ -369,3 +1480,97 @@ describe('stripTitleFromHtml', () => {
     expect(result).toContain('Content here');
   });
 });
+
+// ─── Node API ───────────────────────────────────────────────────────
+
+describe('migrate()', () => {
+  const fs = require('fs');
+  const sql = [
+    'INSERT INTO `modx_site_content` (`id`,`pagetitle`,`alias`,`uri`,`published`,`deleted`,`parent`,`class_key`,`content`,`template`,`context_key`) VALUES',
+    "(1,'Home','index','index.html',1,0,0,'modDocument','<p>Willkommen</p>',1,'web'),",
+    "(2,'Kontakt','kontakt','kontakt/',1,0,1,'modDocument','<p>Schreiben Sie uns</p>',1,'web');",
+  ].join('\n');
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-migrate-'));
+    fs.writeFileSync(path.join(dir, 'dump.sql'), sql);
+    fs.mkdirSync(path.join(dir, 'assets', 'uploads'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'assets', 'uploads', 'Team Foto.JPEG'), '');
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('writes output and resolves to pages, edge cases and timings', async () => {
+    const out = path.join(dir, 'site', 'src', 'content');
+    const result = await migrate.migrate({ sql: path.join(dir, 'dump.sql'), assets: path.join(dir, 'assets'), out, quiet: true });
+
+    expect(result.pages.map(p => p.outputPath).sort()).toEqual(['index.json', 'kontakt.json']);
+    expect(result.siteConfig).toBeDefined();
+    expect(result.redirects).toEqual([]);
+    expect(Object.keys(result.timings)).toEqual(['parse', 'process', 'write', 'assets', 'total']);
+    expect(result.htmlCleanup).toEqual({});
+    expect(fs.existsSync(path.join(out, 'pages', 'kontakt.json'))).toBe(true);
+
+    // Asset lookups use the run's assets directory
+    expect(migrate.fuzzyFindFile('team_foto.jpg')).toBe('/assets/uploads/Team Foto.JPEG');
+  });
+
+  test('rejects missing paths and invalid options', async () => {
+    await expect(migrate.migrate({ sql: 'dump.sql' })).rejects.toThrow(/required/);
+    await expect(migrate.migrate({ sql: 'a', assets: 'b', out: 'c', tvMap: 'broken' })).rejects.toThrow(/invalid --tv-map entry/);
+    await expect(migrate.migrate({ sql: 'a', assets: 'b', out: 'c', scheduleDays: 'soon' })).rejects.toThrow(/scheduleDays/);
+    await expect(migrate.migrate({ sql: 'a', assets: 'b', out: 'c', htmlCleanup: 'strict' })).rejects.toThrow(/htmlCleanup must be false or an object/);
+  });
+});
+
+describe('contexts as sites', () => {
+  const fs = require('fs');
+  const sql = [
+    'INSERT INTO `modx_site_content` (`id`,`pagetitle`,`alias`,`uri`,`published`,`deleted`,`parent`,`menuindex`,`class_key`,`content`,`template`,`context_key`) VALUES',
+    "(1,'Home','index','index.html',1,0,0,0,'modDocument','<p>Willkommen</p>',1,'web'),",
+    "(2,'Kontakt','kontakt','kontakt/',1,0,0,1,'modDocument','<p><a href=\"[[~11]]\">Shop</a></p>',1,'web'),",
+    "(10,'Shop','shop-home','shop-home/',1,0,0,3,'modDocument','<p>Shop</p>',1,'shop'),",
+    "(11,'Produkte','produkte','produkte/',1,0,0,4,'modDocument','<p><a href=\"[[~10]]\">Start</a></p>',1,'shop');",
+    'INSERT INTO `modx_context_setting` (`context_key`,`key`,`value`) VALUES',
+    "('shop','site_url','https://shop.example.ch/'),('shop','site_start','10'),('shop','site_name','Shop AG');",
+    'INSERT INTO `modx_seosuite_redirect` (`id`,`context_key`,`old_url`,`new_url`,`redirect_type`,`active`) VALUES',
+    "(1,'web','alt','/kontakt','301',1),(2,'shop','katalog','/produkte','301',1),(3,'','impressum','/kontakt','301',1);",
+  ].join('\n');
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modx-split-'));
+    fs.writeFileSync(path.join(dir, 'dump.sql'), sql);
+    fs.mkdirSync(path.join(dir, 'assets'));
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('writes one site per context with its own config, redirects and links', async () => {
+    const out = path.join(dir, 'out');
+    const result = await migrate.migrate({ sql: path.join(dir, 'dump.sql'), assets: path.join(dir, 'assets'), out, splitContexts: true, quiet: true });
+    const [web, shop] = result.sites;
+
+    expect(result.sites.map(s => s.context)).toEqual(['web', 'shop']);
+    expect(shop.out).toBe(path.join(out, 'shop', 'src', 'content'));
+    expect(shop.pages.map(p => p.outputPath).sort()).toEqual(['index.json', 'produkte.json']);
+    expect(shop.siteConfig).toMatchObject({ companyName: 'Shop AG', siteUrl: 'https://shop.example.ch' });
+    expect(shop.siteConfig.navigation.map(n => n.href)).toEqual(['/produkte/']);
+    expect(shop.redirects.map(r => r.old_url).sort()).toEqual(['/impressum', '/katalog']);
+    expect(web.redirects.map(r => r.old_url).sort()).toEqual(['/alt', '/impressum']);
+
+    // The start resource is the site's homepage; links into other contexts go to their site_url
+    expect(JSON.stringify(shop.pages.find(p => p.outputPath === 'produkte.json').data.blocks)).toContain('href=\\"/\\"');
+    expect(JSON.stringify(web.pages.find(p => p.outputPath === 'kontakt.json').data.blocks)).toContain('https://shop.example.ch/produkte');
+    expect(web.edgeCases).toContainEqual({ type: 'context_without_site_url', context: 'web' });
+    expect(fs.existsSync(path.join(out, 'shop', 'src', 'content', 'site-config.json'))).toBe(true);
+    expect(fs.existsSync(path.join(out, 'web', 'public', 'assets'))).toBe(true);
+  });
+
+  test('--only limits the contexts and rejects unknown ones', async () => {
+    const options = { sql: path.join(dir, 'dump.sql'), assets: path.join(dir, 'assets'), out: path.join(dir, 'only'), splitContexts: true, quiet: true };
+    const result = await migrate.migrate({ ...options, only: 'shop' });
+
+    expect(result.sites.map(s => s.context)).toEqual(['shop']);
+    await expect(migrate.migrate({ ...options, only: ['blog'] })).rejects.toThrow(/no contexts to migrate \(found: web, shop\)/);
+  });
+});
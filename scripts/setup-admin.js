@@ -8,6 +8,10 @@
  *   - astro-theme/.env      (Astro project — bakes hash into build)
  *
  * After running this, rebuild and redeploy the Astro site.
+ *
+ * The password helpers are also used by cli/migrate.js for the basic-auth
+ * credentials of protected areas:
+ *   const { generatePassword, htpasswdHash } = require('../scripts/setup-admin');
  */
 
 const crypto = require('crypto');
@@ -17,9 +21,50 @@ const path = require('path');
 const rootEnvPath  = path.join(__dirname, '..', '.env');
 const astroEnvPath = path.join(__dirname, '..', 'astro-theme', '.env');
 
+// ── Helpers: passwords and hashes ─────────────────────────────────
+
 // Generate a 16-char URL-safe random password
-const password = crypto.randomBytes(12).toString('base64url');
-const hash = crypto.createHash('sha256').update(password).digest('hex');
+function generatePassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// SHA-256 hex digest — the form baked into the Astro build
+function hashPassword(password) {
+  return crypto.createHash('sha256').update(password).digest('hex');
+}
+
+const APR1_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Apache's salted MD5 ("$apr1$…") — the .htpasswd format every Apache and nginx understands
+function htpasswdHash(password, salt = [...crypto.randomBytes(8)].map(b => APR1_ALPHABET[b & 0x3f]).join('')) {
+  const md5 = (...parts) => parts.reduce((h, part) => h.update(part), crypto.createHash('md5')).digest();
+  const pw = Buffer.from(String(password));
+  salt = String(salt).slice(0, 8);
+
+  const alternate = md5(pw, salt, pw);
+  const parts = [pw, '$apr1$', salt];
+  for (let i = pw.length; i > 0; i -= 16) parts.push(alternate.subarray(0, Math.min(16, i)));
+  for (let i = pw.length; i > 0; i >>= 1) parts.push(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  let digest = md5(...parts);
+
+  for (let i = 0; i < 1000; i++) {
+    const round = [i & 1 ? pw : digest];
+    if (i % 3) round.push(salt);
+    if (i % 7) round.push(pw);
+    round.push(i & 1 ? digest : pw);
+    digest = md5(...round);
+  }
+
+  const to64 = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++, value >>= 6) out += APR1_ALPHABET[value & 0x3f];
+    return out;
+  };
+  const encoded = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]
+    .map(([a, b, c]) => to64((digest[a] << 16) | (digest[b] << 8) | digest[c], 4))
+    .join('') + to64(digest[11], 2);
+  return `$apr1$${salt}$${encoded}`;
+}
 
 // ── Helper: patch or create an .env file ──────────────────────────
 function patchEnv(filePath, vars) {
@@ -35,31 +80,40 @@ function patchEnv(filePath, vars) {
   fs.writeFileSync(filePath, result);
 }
 
-// ── Write credentials ──────────────────────────────────────────────
-// Root .env — stores plaintext password (human reference, never committed)
-patchEnv(rootEnvPath, {
-  ADMIN_PASSWORD:        password,
-  ADMIN_PASSWORD_HASH:   hash,
-  ADMIN_REBUILD_WEBHOOK: '',
-});
-
-// astro-theme/.env — Astro reads this at build time
-patchEnv(astroEnvPath, {
-  ADMIN_PASSWORD_HASH:   hash,
-  ADMIN_REBUILD_WEBHOOK: '',
-});
-
-console.log('\n✓ Admin credentials written');
-console.log('  Root .env        →', rootEnvPath);
-console.log('  Astro .env       →', astroEnvPath);
-
-console.log('');
-console.log('  Password :', password);
-console.log('  SHA-256  :', hash);
-console.log('  Route    : /admin-b7264r9s');
-console.log('');
-console.log('⚠ NEXT STEPS:');
-console.log('  1. Optionally set ADMIN_REBUILD_WEBHOOK in astro-theme/.env');
-console.log('  2. cd astro-theme && npm run build');
-console.log('  3. Redeploy → the hash is now baked into the HTML');
-console.log('');
+function main() {
+  const password = generatePassword();
+  const hash = hashPassword(password);
+
+  // ── Write credentials ────────────────────────────────────────────
+  // Root .env — stores plaintext password (human reference, never committed)
+  patchEnv(rootEnvPath, {
+    ADMIN_PASSWORD:        password,
+    ADMIN_PASSWORD_HASH:   hash,
+    ADMIN_REBUILD_WEBHOOK: '',
+  });
+
+  // astro-theme/.env — Astro reads this at build time
+  patchEnv(astroEnvPath, {
+    ADMIN_PASSWORD_HASH:   hash,
+    ADMIN_REBUILD_WEBHOOK: '',
+  });
+
+  console.log('\n✓ Admin credentials written');
+  console.log('  Root .env        →', rootEnvPath);
+  console.log('  Astro .env       →', astroEnvPath);
+
+  console.log('');
+  console.log('  Password :', password);
+  console.log('  SHA-256  :', hash);
+  console.log('  Route    : /admin-b7264r9s');
+  console.log('');
+  console.log('⚠ NEXT STEPS:');
+  console.log('  1. Optionally set ADMIN_REBUILD_WEBHOOK in astro-theme/.env');
+  console.log('  2. cd astro-theme && npm run build');
+  console.log('  3. Redeploy → the hash is now baked into the HTML');
+  console.log('');
+}
+
+if (require.main === module) main();
+
+module.exports = { generatePassword, hashPassword, htpasswdHash, patchEnv };